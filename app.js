@@ -5,23 +5,223 @@
  * Handles UI interactions, authentication state, and calendar display.
  */
 
-import { login, logout, onAuthChange, getCurrentUser } from './auth.js';
+import {
+    login,
+    logout,
+    signUp,
+    resetPassword,
+    isEmailVerified,
+    resendVerification,
+    refreshVerification,
+    changePassword,
+    changeEmail,
+    getAuthErrorMessage,
+    onAuthChange,
+    getCurrentUser
+} from './auth.js';
+import { config, isLocalOnly } from './config.js';
+import {
+    t,
+    tn,
+    getLanguage,
+    setLanguage,
+    getLanguageWeekStart,
+    getDayNames,
+    getMonthNames,
+    formatLocalDate,
+    translatePage,
+    renderLanguageSelect
+} from './i18n.js';
 import { 
-    loadUserEntries, 
+    watchUserEntries,
+    stopWatchingEntries,
+    updateDayCells,
     saveEntry, 
+    deleteEntry,
+    saveEntries,
+    getEditLock,
+    describeEditLock,
+    getEditWindow,
+    setEditWindow,
+    scrollToToday,
+    getSelectedDates,
+    clearSelection,
     renderCalendar, 
     getAllUsers,
-    getCurrentEntries 
+    getCurrentEntries,
+    getViewingUserId,
+    getUserEntries,
+    getYear,
+    setYear,
+    setTagFilter,
+    getTagFilter,
+    getAllEntries,
+    getViewingVisibility,
+    setupUser,
+    setViewMode,
+    getViewMode,
+    setWeekStart,
+    setViewingHabits,
+    getViewingHabits,
+    getHabitList,
+    saveHabitList,
+    rerenderCalendar,
+    restoreDayFocus,
+    focusDay,
+    formatDate,
+    JOURNAL_MAX_LENGTH
 } from './calendar.js';
-import { exportCSV, exportJSON } from './export.js';
+import {
+    exportCSV,
+    exportJSON,
+    exportICS,
+    exportMarkdown,
+    exportYearImage,
+    buildYearSVG,
+    IMAGE_FORMATS
+} from './export.js';
+import { computeStats, renderStats } from './stats.js';
+import { previewImport, applyImport, renderImportPreview } from './import.js';
+import { isOnline, getSyncState, onSyncStatusChange, onWriteConflict } from './sync.js';
+import { createTagPicker, collectTags, renderTagFilter } from './tags.js';
+import { createHabitEditor, renderHabitChecklist, getCheckedHabits } from './habits.js';
+import { searchEntries, renderSearchResults, hideSearchResults } from './search.js';
+import { getDisplayName, renderCalendarOwner, getPreferences, savePreferences, getAllProfiles } from './profiles.js';
+import { renderComparison } from './compare.js';
+import {
+    loadMyGroups,
+    createGroup,
+    inviteToGroup,
+    removeFromGroup,
+    answerInvitation,
+    leaveGroup,
+    deleteGroup,
+    isInvitedTo,
+    computeGroupCalendar,
+    renderGroupCalendar,
+    renderGroupList
+} from './groups.js';
+import { BULK_ACTIONS, planBulkEdit, applyBulkEdit, describeBulkEdit } from './bulk.js';
+import {
+    getDraft,
+    saveDraft,
+    clearDraft,
+    describeJournal,
+    getJournalDates,
+    renderJournalPreview,
+    renderJournalPage
+} from './journal.js';
+import {
+    getEntryHistory,
+    getRecentChanges,
+    renderRevisionHistory,
+    renderRecentChanges
+} from './revisions.js';
+import {
+    registerServiceWorker,
+    isReminderSupported,
+    getReminderPermission,
+    requestReminderPermission,
+    scheduleReminder,
+    cancelReminder,
+    onReminderClick,
+    takeReminderDay
+} from './pwa.js';
+import {
+    SHARING_MODES,
+    loadMySharing,
+    saveMySharing,
+    getShareableUsers,
+    renderShareList,
+    readShareList
+} from './sharing.js';
 
 // DOM Elements
 let loginSection, appSection, loginForm, logoutBtn, userEmailSpan;
+let signupForm, resetForm, showSignupBtn, verifyBanner, verifyEmailSpan;
+let verifyResendBtn, verifyCheckBtn, accountBtn, accountModalInstance, passwordForm, emailForm;
+let editWindowForm, editWindowSelect;
 let userSelector, calendarContainer, editModal, editForm;
-let editDateSpan, editRatingInput, editNoteInput;
-let exportCsvBtn, exportJsonBtn, loadingSpinner;
+let editDateSpan, editRatingInput, editNoteInput, editDeleteBtn, editTagPicker;
+let tagFilterContainer;
+let searchInput, searchScopeSelect, searchResultsContainer;
+let exportCsvBtn, exportJsonBtn, exportScopeSelect, loadingSpinner, liveStatusBadge;
+let statsBtn, statsContainer;
+let importBtn, importModal, importFileInput, importPolicySelect;
+let importPreviewContainer, importConfirmBtn, importModalInstance;
+let sharingBtn, sharingModal, sharingForm, sharingPeopleContainer;
+let sharingRatingCheckbox, sharingNotesCheckbox, sharingModalInstance;
+let reminderBtn, reminderForm, reminderEnabledCheckbox, reminderTimeInput, reminderStatus;
+let reminderModalInstance;
+let editHistory, editHistoryList, changesBtn, changesList, changesModalInstance;
+let editHabitsGroup, editHabitsList;
+let habitsBtn, habitsForm, habitAddBtn, habitEditor, habitsModalInstance;
+let editJournalBtn, editJournalSummary, editJournalDiscardBtn;
+let journalEditorModal, journalEditorModalInstance, journalEditorDate, journalEditorText;
+let journalEditorPreview, journalEditorCount, journalEditorStatus;
+let journalBtn, journalModal, journalModalInstance, journalPage, journalMonthLabel, journalPosition;
+let journalPrevMonthBtn, journalNextMonthBtn, journalPrevBtn, journalNextBtn, journalEditBtn;
+let bulkBar, bulkForm, bulkCount, bulkActionSelect, bulkRatingSelect, bulkNoteInput, bulkCancelBtn;
+let visibilityNotice, calendarOwnerHeader, calendarExtras;
+let compareBtn, compareBar, compareUserASelect, compareUserBSelect;
+let compareYearInput, compareModeSelect, compareExitBtn;
+let groupsBtn, groupsList, groupCreateForm, groupNameInput, groupsModalInstance;
+let groupBar, groupSelect, groupYearInput, groupMethodSelect, groupExitBtn, exportGroupSelect;
+let viewModeSelect, weekStartSelect, languageSelect, loginLanguageSelect;
+let exportMoreBtn, exportModalInstance, exportUserSelect, exportFromInput, exportToInput;
+let exportIcsBtn, exportMdBtn;
+let exportImageBtn, imageModalInstance, imageTitleInput, imageInitialsCheckbox, imagePreview;
+let imageSvgBtn, imagePngBtn, imageEntries = {};
+
+// Days a week can start on, offered in the week start selector
+const WEEK_START_DAYS = [1, 0, 6];
+
+// Milliseconds of quiet typing after which the journal draft is saved
+const JOURNAL_DRAFT_DELAY = 500;
+
+// Whether two calendars are being compared instead of one being shown
+let comparing = false;
+
+// Whether a group's combined calendar is shown instead of one calendar
+let viewingGroup = false;
+
+// Groups the logged-in user is in or invited to, and everyone who can be invited
+let myGroups = [];
+let groupDirectory = [];
+
+// Profiles of the users in the user selector, by uid
+let userProfiles = new Map();
+
+// The logged-in user's habit list, offered as checkboxes in the edit modal
+let myHabits = [];
+
+// Dry-run result of the file selected for import
+let importPreview = null;
+
+// Last status reported by the live calendar listener
+let liveStatus = 'idle';
+
+// Tags the logged-in user has used before, for autocomplete
+let knownTags = [];
+
+// Entries loaded for searching, reused until the scope or data changes
+let searchCache = { key: null, entries: [] };
+let searchTimer = null;
 let editModalInstance;
 
+// Journal of the day open in the edit modal: as stored, and as being written
+// (a restored draft or the journal editor's text). The edit modal steps aside
+// while the journal editor is open and comes back when it closes.
+let editJournalSaved = '';
+let editJournal = '';
+let journalEditorOpening = false;
+let journalDraftTimer = null;
+
+// Reading view: the month shown, its entries and journal days, and the day open
+let journalView = { userId: null, year: 0, month: 0, entries: {}, dates: [], index: 0 };
+// Day to open in the edit modal once the reading view has closed
+let journalEditDate = null;
+
 /**
  * Initialize DOM element references
  */
@@ -31,6 +231,18 @@ function initElements() {
     loginForm = document.getElementById('login-form');
     logoutBtn = document.getElementById('logout-btn');
     userEmailSpan = document.getElementById('user-email');
+    signupForm = document.getElementById('signup-form');
+    resetForm = document.getElementById('reset-form');
+    showSignupBtn = document.getElementById('show-signup-btn');
+    verifyBanner = document.getElementById('verify-banner');
+    verifyEmailSpan = document.getElementById('verify-email');
+    verifyResendBtn = document.getElementById('verify-resend-btn');
+    verifyCheckBtn = document.getElementById('verify-check-btn');
+    accountBtn = document.getElementById('account-btn');
+    passwordForm = document.getElementById('password-form');
+    emailForm = document.getElementById('email-form');
+    editWindowForm = document.getElementById('edit-window-form');
+    editWindowSelect = document.getElementById('edit-window');
     userSelector = document.getElementById('user-selector');
     calendarContainer = document.getElementById('calendar-container');
     editModal = document.getElementById('edit-modal');
@@ -38,12 +250,129 @@ function initElements() {
     editDateSpan = document.getElementById('edit-date');
     editRatingInput = document.getElementById('edit-rating');
     editNoteInput = document.getElementById('edit-note');
+    editDeleteBtn = document.getElementById('edit-delete-btn');
+    editHistory = document.getElementById('edit-history');
+    editHistoryList = document.getElementById('edit-history-list');
+    editHabitsGroup = document.getElementById('edit-habits-group');
+    editHabitsList = document.getElementById('edit-habits');
+    habitsBtn = document.getElementById('habits-btn');
+    habitsForm = document.getElementById('habits-form');
+    habitAddBtn = document.getElementById('habit-add-btn');
+    habitEditor = createHabitEditor(
+        document.getElementById('habits-list'),
+        document.getElementById('habit-new')
+    );
+    editJournalBtn = document.getElementById('edit-journal-btn');
+    editJournalSummary = document.getElementById('edit-journal-summary');
+    editJournalDiscardBtn = document.getElementById('edit-journal-discard-btn');
+    journalEditorModal = document.getElementById('journal-editor-modal');
+    journalEditorDate = document.getElementById('journal-editor-date');
+    journalEditorText = document.getElementById('journal-editor-text');
+    journalEditorPreview = document.getElementById('journal-editor-preview');
+    journalEditorCount = document.getElementById('journal-editor-count');
+    journalEditorStatus = document.getElementById('journal-editor-status');
+    journalBtn = document.getElementById('journal-btn');
+    journalModal = document.getElementById('journal-modal');
+    journalPage = document.getElementById('journal-page');
+    journalMonthLabel = document.getElementById('journal-month-label');
+    journalPosition = document.getElementById('journal-position');
+    journalPrevMonthBtn = document.getElementById('journal-prev-month-btn');
+    journalNextMonthBtn = document.getElementById('journal-next-month-btn');
+    journalPrevBtn = document.getElementById('journal-prev-btn');
+    journalNextBtn = document.getElementById('journal-next-btn');
+    journalEditBtn = document.getElementById('journal-edit-btn');
+    changesBtn = document.getElementById('changes-btn');
+    changesList = document.getElementById('changes-list');
+    bulkBar = document.getElementById('bulk-bar');
+    bulkForm = document.getElementById('bulk-form');
+    bulkCount = document.getElementById('bulk-count');
+    bulkActionSelect = document.getElementById('bulk-action');
+    bulkRatingSelect = document.getElementById('bulk-rating');
+    bulkNoteInput = document.getElementById('bulk-note');
+    bulkCancelBtn = document.getElementById('bulk-cancel-btn');
+    editTagPicker = createTagPicker(
+        document.getElementById('edit-tags-chips'),
+        document.getElementById('edit-tags-input'),
+        document.getElementById('edit-tags-suggestions')
+    );
+    tagFilterContainer = document.getElementById('tag-filter');
+    searchInput = document.getElementById('search-input');
+    searchScopeSelect = document.getElementById('search-scope');
+    searchResultsContainer = document.getElementById('search-results');
     exportCsvBtn = document.getElementById('export-csv-btn');
     exportJsonBtn = document.getElementById('export-json-btn');
+    exportScopeSelect = document.getElementById('export-scope');
+    exportGroupSelect = document.getElementById('export-group');
     loadingSpinner = document.getElementById('loading-spinner');
+    liveStatusBadge = document.getElementById('live-status');
+    statsBtn = document.getElementById('stats-btn');
+    statsContainer = document.getElementById('stats-container');
+    importBtn = document.getElementById('import-btn');
+    importModal = document.getElementById('import-modal');
+    importFileInput = document.getElementById('import-file');
+    importPolicySelect = document.getElementById('import-policy');
+    importPreviewContainer = document.getElementById('import-preview');
+    importConfirmBtn = document.getElementById('import-confirm-btn');
+    sharingBtn = document.getElementById('sharing-btn');
+    sharingModal = document.getElementById('sharing-modal');
+    sharingForm = document.getElementById('sharing-form');
+    reminderBtn = document.getElementById('reminder-btn');
+    reminderForm = document.getElementById('reminder-form');
+    reminderEnabledCheckbox = document.getElementById('reminder-enabled');
+    reminderTimeInput = document.getElementById('reminder-time');
+    reminderStatus = document.getElementById('reminder-status');
+    sharingPeopleContainer = document.getElementById('sharing-people');
+    sharingRatingCheckbox = document.getElementById('sharing-field-rating');
+    sharingNotesCheckbox = document.getElementById('sharing-field-notes');
+    visibilityNotice = document.getElementById('visibility-notice');
+    calendarOwnerHeader = document.getElementById('calendar-owner');
+    calendarExtras = document.getElementById('calendar-extras');
+    compareBtn = document.getElementById('compare-btn');
+    compareBar = document.getElementById('compare-bar');
+    compareUserASelect = document.getElementById('compare-user-a');
+    compareUserBSelect = document.getElementById('compare-user-b');
+    compareYearInput = document.getElementById('compare-year');
+    compareModeSelect = document.getElementById('compare-mode');
+    compareExitBtn = document.getElementById('compare-exit-btn');
+    groupsBtn = document.getElementById('groups-btn');
+    groupsList = document.getElementById('groups-list');
+    groupCreateForm = document.getElementById('group-create-form');
+    groupNameInput = document.getElementById('group-name');
+    groupBar = document.getElementById('group-bar');
+    groupSelect = document.getElementById('group-select');
+    groupYearInput = document.getElementById('group-year');
+    groupMethodSelect = document.getElementById('group-method');
+    groupExitBtn = document.getElementById('group-exit-btn');
+    viewModeSelect = document.getElementById('view-mode');
+    weekStartSelect = document.getElementById('week-start');
+    languageSelect = document.getElementById('language-select');
+    loginLanguageSelect = document.getElementById('login-language-select');
+    exportMoreBtn = document.getElementById('export-more-btn');
+    exportUserSelect = document.getElementById('export-user');
+    exportFromInput = document.getElementById('export-from');
+    exportToInput = document.getElementById('export-to');
+    exportIcsBtn = document.getElementById('export-ics-btn');
+    exportMdBtn = document.getElementById('export-md-btn');
+    exportImageBtn = document.getElementById('export-image-btn');
+    imageTitleInput = document.getElementById('image-title');
+    imageInitialsCheckbox = document.getElementById('image-initials');
+    imagePreview = document.getElementById('image-preview');
+    imageSvgBtn = document.getElementById('image-svg-btn');
+    imagePngBtn = document.getElementById('image-png-btn');
     
-    // Initialize Bootstrap modal
+    // Initialize Bootstrap modals
     editModalInstance = new bootstrap.Modal(editModal);
+    importModalInstance = new bootstrap.Modal(importModal);
+    sharingModalInstance = new bootstrap.Modal(sharingModal);
+    reminderModalInstance = new bootstrap.Modal(document.getElementById('reminder-modal'));
+    changesModalInstance = new bootstrap.Modal(document.getElementById('changes-modal'));
+    habitsModalInstance = new bootstrap.Modal(document.getElementById('habits-modal'));
+    groupsModalInstance = new bootstrap.Modal(document.getElementById('groups-modal'));
+    accountModalInstance = new bootstrap.Modal(document.getElementById('account-modal'));
+    exportModalInstance = new bootstrap.Modal(document.getElementById('export-modal'));
+    imageModalInstance = new bootstrap.Modal(document.getElementById('image-modal'));
+    journalEditorModalInstance = new bootstrap.Modal(journalEditorModal);
+    journalModalInstance = new bootstrap.Modal(journalModal);
 }
 
 /**
@@ -58,20 +387,38 @@ function showLoading(show) {
 
 /**
  * Show an alert message
- * @param {string} message 
+ * @param {string} message - Plain text; names of users and groups can end up in it, so it is never parsed as HTML
  * @param {string} type - Bootstrap alert type (success, danger, warning, info)
+ * @param {Object} [action] - Optional button shown in the alert
+ * @param {string} action.label - Button text (e.g. "Undo")
+ * @param {Function} action.onClick - Called once when the button is clicked
  */
-function showAlert(message, type = 'danger') {
+function showAlert(message, type = 'danger', action = null) {
     const alertContainer = document.getElementById('alert-container');
     if (!alertContainer) return;
     
     const alert = document.createElement('div');
     alert.className = `alert alert-${type} alert-dismissible fade show`;
     alert.role = 'alert';
-    alert.innerHTML = `
-        ${message}
-        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-    `;
+    alert.textContent = message;
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'btn-close';
+    closeBtn.dataset.bsDismiss = 'alert';
+    alert.appendChild(closeBtn);
+    
+    if (action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'btn btn-link btn-sm alert-link p-0 ms-2 align-baseline';
+        actionBtn.textContent = action.label;
+        actionBtn.addEventListener('click', () => {
+            alert.remove();
+            action.onClick();
+        });
+        alert.insertBefore(actionBtn, alert.querySelector('.btn-close'));
+    }
     
     alertContainer.appendChild(alert);
     
@@ -99,7 +446,212 @@ async function handleLogin(e) {
         await login(email, password);
         loginForm.reset();
     } catch (error) {
-        showAlert(`Login failed: ${error.message}`);
+        showAlert(t('Login failed: {reason}', { reason: getAuthErrorMessage(error) }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Switch the login card between logging in, signing up and resetting a password
+ * @param {string} view - 'login', 'signup' or 'reset'
+ */
+function showAuthView(view) {
+    // Carry the typed address over to the next form
+    const email = [loginForm, signupForm, resetForm]
+        .filter(form => form.style.display !== 'none')
+        .map(form => form.querySelector('input[type="email"]').value)[0] || '';
+    
+    loginForm.style.display = view === 'login' ? '' : 'none';
+    signupForm.style.display = view === 'signup' ? '' : 'none';
+    resetForm.style.display = view === 'reset' ? '' : 'none';
+    
+    const form = { login: loginForm, signup: signupForm, reset: resetForm }[view];
+    const emailInput = form.querySelector('input[type="email"]');
+    emailInput.value = email;
+    emailInput.focus();
+}
+
+/**
+ * Handle account creation
+ * @param {Event} e
+ */
+async function handleSignUp(e) {
+    e.preventDefault();
+    
+    const email = document.getElementById('signup-email').value;
+    const password = document.getElementById('signup-password').value;
+    if (password !== document.getElementById('signup-password-confirm').value) {
+        showAlert(t('The passwords do not match.'));
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        await signUp(email, password);
+        signupForm.reset();
+        showAlert(t('Account created. We sent a verification link to {email}.', { email }), 'success');
+    } catch (error) {
+        showAlert(t('Sign-up failed: {reason}', { reason: getAuthErrorMessage(error) }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Handle a "forgot password" request
+ * @param {Event} e
+ */
+async function handleResetPassword(e) {
+    e.preventDefault();
+    
+    const email = document.getElementById('reset-email').value;
+    showLoading(true);
+    
+    try {
+        await resetPassword(email);
+        showAuthView('login');
+        // Firebase may hide whether the address has an account, so don't claim it does
+        showAlert(t('If {email} has an account, a link to reset its password is on its way.', { email }), 'success');
+    } catch (error) {
+        showAlert(t('Password reset failed: {reason}', { reason: getAuthErrorMessage(error) }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Show or hide the notice asking an unverified user to verify their email
+ * @param {Object|null} user
+ */
+function updateVerifyBanner(user) {
+    if (!user || isEmailVerified()) {
+        verifyBanner.style.display = 'none';
+        return;
+    }
+    verifyEmailSpan.textContent = user.email;
+    verifyBanner.style.display = 'block';
+}
+
+/**
+ * Send the verification email again
+ */
+async function handleResendVerification() {
+    showLoading(true);
+    
+    try {
+        await resendVerification();
+        showAlert(t('Verification link sent to {email}.', { email: getCurrentUser().email }), 'success');
+    } catch (error) {
+        showAlert(t('Could not send the email: {reason}', { reason: getAuthErrorMessage(error) }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Check whether the email address was verified, unlocking the calendar if so
+ */
+async function handleCheckVerification() {
+    showLoading(true);
+    
+    try {
+        if (!(await refreshVerification())) {
+            showAlert(t('Your email address is not verified yet. Click the link in the email we sent, then try again.'), 'warning');
+            return;
+        }
+        
+        const user = getCurrentUser();
+        updateVerifyBanner(user);
+        await displayCalendar(getViewingUserId() || user.uid);
+        showAlert(t('Email address verified. Happy logging!'), 'success');
+    } catch (error) {
+        showAlert(t('Could not check verification: {reason}', { reason: getAuthErrorMessage(error) }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Open the account settings with empty forms
+ */
+function handleOpenAccount() {
+    passwordForm.reset();
+    emailForm.reset();
+    editWindowSelect.value = getEditWindow() === null ? '' : String(getEditWindow());
+    accountModalInstance.show();
+}
+
+/**
+ * Save how long past days stay editable
+ * @param {Event} e
+ */
+async function handleEditWindowSubmit(e) {
+    e.preventDefault();
+    
+    const user = getCurrentUser();
+    const editWindowDays = editWindowSelect.value === '' ? null : parseInt(editWindowSelect.value);
+    showLoading(true);
+    
+    try {
+        const profile = await savePreferences(user, { editWindowDays });
+        userProfiles.set(user.uid, profile);
+        setEditWindow(editWindowDays);
+        refreshCalendarView();
+        accountModalInstance.hide();
+        showAlert(t('Edit window saved.'), 'success');
+    } catch (error) {
+        showAlert(t('Failed to save the edit window: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Handle a password change
+ * @param {Event} e
+ */
+async function handlePasswordChange(e) {
+    e.preventDefault();
+    
+    const newPassword = document.getElementById('password-new').value;
+    if (newPassword !== document.getElementById('password-new-confirm').value) {
+        showAlert(t('The new passwords do not match.'));
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        await changePassword(document.getElementById('password-current').value, newPassword);
+        passwordForm.reset();
+        accountModalInstance.hide();
+        showAlert(t('Password changed.'), 'success');
+    } catch (error) {
+        showAlert(t('Password change failed: {reason}', { reason: getAuthErrorMessage(error) }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Handle an email address change
+ * @param {Event} e
+ */
+async function handleEmailChange(e) {
+    e.preventDefault();
+    
+    const newEmail = document.getElementById('email-new').value;
+    showLoading(true);
+    
+    try {
+        await changeEmail(document.getElementById('email-password').value, newEmail);
+        emailForm.reset();
+        accountModalInstance.hide();
+        showAlert(t('We sent a confirmation link to {email}. Your email address changes once you click it.', { email: newEmail }), 'success');
+    } catch (error) {
+        showAlert(t('Email change failed: {reason}', { reason: getAuthErrorMessage(error) }));
     } finally {
         showLoading(false);
     }
@@ -112,42 +664,45 @@ async function handleLogout() {
     showLoading(true);
     
     try {
+        // Detach the live listener before losing read access
+        stopWatchingEntries();
         await logout();
     } catch (error) {
-        showAlert(`Logout failed: ${error.message}`);
+        showAlert(t('Logout failed: {reason}', { reason: getAuthErrorMessage(error) }));
     } finally {
         showLoading(false);
     }
 }
 
 /**
- * Load and populate the user selector dropdown
+ * Load and populate the user selector dropdown with the calendars the
+ * current user may see
  */
 async function loadUserSelector() {
     try {
-        const users = await getAllUsers(); // now returns [{ uid, email }]
+        const users = await getAllUsers(); // [{ uid, profile, visibility }]
         const currentUser = getCurrentUser();
+        userProfiles = new Map(users.filter(user => user.profile).map(user => [user.uid, user.profile]));
 
         // Clear existing options
-        userSelector.innerHTML = '<option value="">Select a user...</option>';
+        userSelector.innerHTML = '';
+        userSelector.appendChild(new Option('', ''));
 
         // Add current user first (always show current user)
         if (currentUser) {
             const option = document.createElement('option');
             option.value = currentUser.uid;
-            option.textContent = `${currentUser.email} (You)`;
             option.selected = true;
             userSelector.appendChild(option);
         }
+        labelUserSelector();
 
-        // Add other users with emails when available
-        users.forEach(userObj => {
-            const uid = userObj.uid || userObj;
-            const email = userObj.email || null;
+        // Add other users by display name
+        users.forEach(({ uid, profile }) => {
             if (uid !== currentUser?.uid) {
                 const option = document.createElement('option');
                 option.value = uid;
-                option.textContent = email ? email : (uid.substring ? uid.substring(0, 8) + '...' : String(uid));
+                option.textContent = getDisplayName(profile, uid);
                 userSelector.appendChild(option);
             }
         });
@@ -156,150 +711,1928 @@ async function loadUserSelector() {
     }
 }
 
+/**
+ * Set the texts of the user selector that depend on the language
+ */
+function labelUserSelector() {
+    const currentUser = getCurrentUser();
+    Array.from(userSelector.options).forEach(option => {
+        if (!option.value) {
+            option.textContent = t('Select a user...');
+        } else if (option.value === currentUser?.uid) {
+            option.textContent = t('{name} (You)', {
+                name: getDisplayName(userProfiles.get(currentUser.uid), currentUser.email || currentUser.uid)
+            });
+        }
+    });
+}
+
 /**
  * Handle day cell click to open edit modal
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {Object|null} entry - Existing entry data or null
  */
 function handleDayClick(date, entry) {
+    const lock = getEditLock(date);
+    if (lock) {
+        showAlert(t('{date} is locked. {reason}', { date, reason: describeEditLock(lock) }), 'info');
+        return;
+    }
+    
     editDateSpan.textContent = date;
     editRatingInput.value = entry?.rating || 3;
     editNoteInput.value = entry?.note || '';
+    editTagPicker.setTags(entry?.tags || []);
+    editTagPicker.setSuggestions(knownTags);
+    
+    renderHabitChecklist(editHabitsList, myHabits, entry?.habits || []);
+    editHabitsGroup.style.display = editHabitsList.childElementCount > 0 ? 'block' : 'none';
+    
+    // Pick up where an unsaved journal was left off
+    const draft = getDraft(getCurrentUser().uid, date);
+    editJournalSaved = entry?.journal || '';
+    editJournal = draft ? draft.text : editJournalSaved;
+    updateJournalSummary();
+    
+    // Only days that have been logged can be cleared
+    editDeleteBtn.style.display = getCurrentEntries()[date] ? 'inline-block' : 'none';
+    
+    editHistory.open = false;
+    loadEditHistory(date);
     
     editModalInstance.show();
 }
 
 /**
- * Handle edit form submission
- * @param {Event} e 
+ * Load the history of the day open in the edit modal
+ * @param {string} date - Date in YYYY-MM-DD format
  */
-async function handleEditSubmit(e) {
-    e.preventDefault();
-    
-    const date = editDateSpan.textContent;
-    const rating = editRatingInput.value;
-    const note = editNoteInput.value.trim();
+async function loadEditHistory(date) {
+    editHistoryList.innerHTML = '<div class="list-group-item small text-muted"></div>';
+    editHistoryList.firstChild.textContent = t('Loading...');
     
+    try {
+        const revisions = await getEntryHistory(date);
+        // Another day may have been opened meanwhile
+        if (editDateSpan.textContent !== date) return;
+        renderRevisionHistory(editHistoryList, revisions, version => handleRestoreVersion(date, version));
+    } catch (error) {
+        editHistoryList.innerHTML = '';
+        showAlert(t('Failed to load history: {reason}', { reason: error.message }));
+    }
+}
+
+/**
+ * Restore an earlier version of a day from its history
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} version - { rating, note, tags, journal, habits }
+ */
+async function handleRestoreVersion(date, version) {
     showLoading(true);
     
     try {
-        await saveEntry(date, rating, note);
+        await saveEntry(date, version.rating, version.note, version.tags, version.journal, version.habits);
+        rememberTags(version.tags || []);
         editModalInstance.hide();
         
-        // Reload calendar to show updated entry
-        await displayCalendar(getCurrentUser().uid);
-        
-        showAlert('Entry saved successfully!', 'success');
+        showAlert(t('Earlier version of {date} restored.', { date }), 'success');
     } catch (error) {
-        showAlert(`Failed to save entry: ${error.message}`);
+        showAlert(t('Failed to restore entry: {reason}', { reason: error.message }));
     } finally {
         showLoading(false);
     }
 }
 
 /**
- * Handle user selector change
+ * Open the feed of the logged-in user's recent changes
  */
-async function handleUserChange() {
-    const selectedUserId = userSelector.value;
-    if (!selectedUserId) return;
-    
+async function handleOpenChanges() {
     showLoading(true);
     
     try {
-        await displayCalendar(selectedUserId);
+        const revisions = await getRecentChanges();
+        renderRecentChanges(changesList, revisions, date => {
+            changesModalInstance.hide();
+            openOwnDay(date);
+        });
+        changesModalInstance.show();
     } catch (error) {
-        showAlert(`Failed to load calendar: ${error.message}`);
+        showAlert(t('Failed to load recent changes: {reason}', { reason: error.message }));
     } finally {
         showLoading(false);
     }
 }
 
 /**
- * Display calendar for a specific user
- * @param {string} userId 
+ * Open the reading view at the month on show: the current one, or the
+ * last one with a journal in another year
  */
-async function displayCalendar(userId) {
-    await loadUserEntries(userId);
+async function handleOpenJournal() {
+    const userId = getViewingUserId();
+    if (!userId) return;
     
-    const currentUser = getCurrentUser();
-    const isEditable = currentUser && currentUser.uid === userId;
+    const year = getYear();
+    const today = new Date();
+    const entries = getCurrentEntries();
+    let month = year === today.getFullYear() ? today.getMonth() : 11;
+    while (month > 0 && getJournalDates(entries, year, month).length === 0) {
+        month--;
+    }
+    if (getJournalDates(entries, year, month).length === 0) {
+        month = year === today.getFullYear() ? today.getMonth() : 0;
+    }
     
-    renderCalendar(calendarContainer, isEditable, handleDayClick);
+    if (await showJournalMonth(userId, year, month)) {
+        journalModalInstance.show();
+    }
 }
 
 /**
- * Handle CSV export
+ * Load a month into the reading view
+ * @param {string} userId - Whose journal is read
+ * @param {number} year
+ * @param {number} month - 0 = January
+ * @param {boolean} [fromEnd] - Open the month's last day instead of its first
+ * @returns {Promise<boolean>} - Whether the month could be loaded
  */
-async function handleExportCSV() {
+async function showJournalMonth(userId, year, month, fromEnd = false) {
     showLoading(true);
     
     try {
-        await exportCSV();
-        showAlert('CSV exported successfully!', 'success');
+        // The viewed year is already loaded and kept live
+        const entries = userId === getViewingUserId() && year === getYear()
+            ? getCurrentEntries()
+            : await getUserEntries(userId, year);
+        const dates = getJournalDates(entries, year, month);
+        journalView = { userId, year, month, entries, dates, index: fromEnd ? Math.max(dates.length - 1, 0) : 0 };
+        renderJournalView();
+        return true;
     } catch (error) {
-        showAlert(`Export failed: ${error.message}`);
+        showAlert(t('Failed to load the journal: {reason}', { reason: error.message }));
+        return false;
     } finally {
         showLoading(false);
     }
 }
 
 /**
- * Handle JSON export
+ * Show the open day of the reading view
  */
-async function handleExportJSON() {
+function renderJournalView() {
+    const { userId, year, month, entries, dates, index } = journalView;
+    const monthLabel = `${getMonthNames()[month]} ${year}`;
+    const date = dates[index];
+    
+    journalMonthLabel.textContent = monthLabel;
+    if (date) {
+        renderJournalPage(journalPage, date, entries[date]);
+        journalPosition.textContent = t('Day {index} of {count}', { index: index + 1, count: dates.length });
+    } else {
+        journalPage.innerHTML = '<p class="text-muted my-4 text-center"></p>';
+        journalPage.firstChild.textContent = t('No journal entries in {month}.', { month: monthLabel });
+        journalPosition.textContent = '';
+    }
+    
+    journalPrevBtn.disabled = index <= 0;
+    journalNextBtn.disabled = index >= dates.length - 1;
+    journalEditBtn.style.display = date && userId === getCurrentUser()?.uid && !getEditLock(date) ? '' : 'none';
+}
+
+/**
+ * Page the reading view by a number of days with a journal
+ * @param {number} step - -1 or 1
+ */
+function stepJournalDay(step) {
+    const index = journalView.index + step;
+    if (index < 0 || index >= journalView.dates.length) return;
+    
+    journalView.index = index;
+    renderJournalView();
+    journalPage.closest('.modal-body').scrollTop = 0;
+}
+
+/**
+ * Show the previous or next month in the reading view
+ * @param {number} step - -1 or 1
+ */
+function stepJournalMonth(step) {
+    const { userId, year, month } = journalView;
+    const target = new Date(year, month + step, 1);
+    showJournalMonth(userId, target.getFullYear(), target.getMonth(), step < 0);
+}
+
+/**
+ * Page through the reading view with the arrow keys
+ * @param {KeyboardEvent} e
+ */
+function handleJournalKeydown(e) {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        stepJournalDay(e.key === 'ArrowLeft' ? -1 : 1);
+    }
+}
+
+/**
+ * Edit the day open in the reading view (see handleJournalModalHidden)
+ */
+function handleJournalEdit() {
+    journalEditDate = journalView.dates[journalView.index];
+    journalModalInstance.hide();
+}
+
+/**
+ * Open the day chosen for editing once the reading view has closed
+ */
+function handleJournalModalHidden() {
+    if (journalEditDate) {
+        const date = journalEditDate;
+        journalEditDate = null;
+        openOwnDay(date);
+    }
+}
+
+/**
+ * Handle edit form submission
+ * @param {Event} e 
+ */
+async function handleEditSubmit(e) {
+    e.preventDefault();
+    
+    const date = editDateSpan.textContent;
+    const rating = editRatingInput.value;
+    const note = editNoteInput.value.trim();
+    const tags = editTagPicker.getTags();
+    const habits = getCheckedHabits(editHabitsList);
+    
     showLoading(true);
     
     try {
-        await exportJSON();
-        showAlert('JSON exported successfully!', 'success');
+        await saveEntry(date, rating, note, tags, editJournal, habits);
+        clearDraft(getCurrentUser().uid, date);
+        editJournalSaved = editJournal;
+        rememberTags(tags);
+        editModalInstance.hide();
+        
+        showAlert(isOnline() 
+            ? t('Entry saved successfully!') 
+            : t('Entry saved offline. It will sync when you reconnect.'), 'success');
     } catch (error) {
-        showAlert(`Export failed: ${error.message}`);
+        showAlert(t('Failed to save entry: {reason}', { reason: error.message }));
     } finally {
         showLoading(false);
     }
 }
 
 /**
- * Handle authentication state changes
- * @param {Object|null} user 
+ * Rate a day straight from the keyboard, keeping its note, tags, journal and habits
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} rating - Rating 1-5
  */
-async function handleAuthStateChange(user) {
-    if (user) {
-        // User is logged in
-        loginSection.style.display = 'none';
-        appSection.style.display = 'block';
-        userEmailSpan.textContent = user.email;
+async function handleDayRate(date, rating) {
+    const entry = getCurrentEntries()[date];
+    
+    try {
+        await saveEntry(date, rating, entry?.note || '', entry?.tags || [], entry?.journal || '', entry?.habits || []);
         
-        showLoading(true);
+        showAlert(isOnline() 
+            ? t('{date} rated {rating} of 5.', { date, rating }) 
+            : t('{date} rated {rating} of 5 offline. It will sync when you reconnect.', { date, rating }), 'success');
+    } catch (error) {
+        showAlert(t('Failed to save entry: {reason}', { reason: error.message }));
+    }
+}
+
+/**
+ * Clear the entry of a day after confirming, offering to undo
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<boolean>} - Whether the entry was cleared
+ */
+async function handleDayClear(date) {
+    if (!confirm(t('Clear the entry for {date}? Its rating and note will be removed.', { date }))) {
+        return false;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const removed = await deleteEntry(date);
         
-        try {
-            await loadUserSelector();
-            await displayCalendar(user.uid);
-        } catch (error) {
-            console.error('Error initializing app:', error);
-            showAlert('Failed to load calendar data');
-        } finally {
-            showLoading(false);
-        }
-    } else {
-        // User is logged out
-        loginSection.style.display = 'block';
-        appSection.style.display = 'none';
-        calendarContainer.innerHTML = '';
+        showAlert(t('Entry for {date} cleared.', { date }), 'success', removed ? {
+            label: t('Undo'),
+            onClick: () => handleUndoDelete(date, removed)
+        } : null);
+        return true;
+    } catch (error) {
+        showAlert(t('Failed to clear entry: {reason}', { reason: error.message }));
+        return false;
+    } finally {
+        showLoading(false);
     }
 }
 
 /**
- * Set up event listeners
+ * Handle clearing the entry for the day open in the edit modal
+ */
+async function handleEditDelete() {
+    const date = editDateSpan.textContent;
+    if (await handleDayClear(date)) {
+        clearDraft(getCurrentUser().uid, date);
+        editModalInstance.hide();
+    }
+}
+
+/**
+ * Restore an entry that was just cleared
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} entry - The removed entry
+ */
+async function handleUndoDelete(date, entry) {
+    showLoading(true);
+    
+    try {
+        await saveEntry(date, entry.rating, entry.note, entry.tags, entry.journal, entry.habits);
+        
+        showAlert(t('Entry for {date} restored.', { date }), 'success');
+    } catch (error) {
+        showAlert(t('Failed to restore entry: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Describe the journal of the day open in the edit modal
+ */
+function updateJournalSummary() {
+    const hasDraft = editJournal !== editJournalSaved;
+    
+    if (!editJournal.trim()) {
+        editJournalSummary.textContent = t('Write as much as you like; the note stays the preview in the calendar.');
+    } else {
+        editJournalSummary.textContent = hasDraft
+            ? t('{length}, unsaved draft kept on this device.', { length: describeJournal(editJournal) })
+            : describeJournal(editJournal);
+    }
+    editJournalDiscardBtn.style.display = hasDraft ? '' : 'none';
+}
+
+/**
+ * Drop the unsaved journal of the day open in the edit modal
+ */
+function handleDiscardJournalDraft() {
+    clearDraft(getCurrentUser().uid, editDateSpan.textContent);
+    editJournal = editJournalSaved;
+    updateJournalSummary();
+}
+
+/**
+ * Swap the edit modal for the journal editor (see handleEditModalHidden)
+ */
+function handleOpenJournalEditor() {
+    journalEditorOpening = true;
+    editModalInstance.hide();
+}
+
+/**
+ * Open the journal editor once the edit modal has closed, or hand the
+ * keyboard back to the calendar
+ */
+function handleEditModalHidden() {
+    if (!journalEditorOpening) {
+        // Keyboard users continue from the day they edited
+        restoreDayFocus();
+        return;
+    }
+    
+    journalEditorOpening = false;
+    journalEditorDate.textContent = editDateSpan.textContent;
+    journalEditorText.value = editJournal;
+    journalEditorStatus.textContent = '';
+    renderJournalEditorPreview();
+    journalEditorModalInstance.show();
+}
+
+/**
+ * Show the preview and length of the text in the journal editor
+ */
+function renderJournalEditorPreview() {
+    renderJournalPreview(journalEditorPreview, editJournal);
+    journalEditorCount.textContent = `${describeJournal(editJournal)} · ${editJournal.length}/${JOURNAL_MAX_LENGTH}`;
+}
+
+/**
+ * Update the preview while writing and save a draft once typing pauses
+ */
+function handleJournalInput() {
+    editJournal = journalEditorText.value;
+    renderJournalEditorPreview();
+    
+    clearTimeout(journalDraftTimer);
+    journalDraftTimer = setTimeout(saveJournalDraft, JOURNAL_DRAFT_DELAY);
+}
+
+/**
+ * Keep the journal being written on this device until the entry is saved
+ */
+function saveJournalDraft() {
+    clearTimeout(journalDraftTimer);
+    const user = getCurrentUser();
+    if (!user) return;
+    
+    const date = editDateSpan.textContent;
+    if (editJournal === editJournalSaved) {
+        clearDraft(user.uid, date);
+        journalEditorStatus.textContent = '';
+        return;
+    }
+    
+    const savedAt = saveDraft(user.uid, date, editJournal);
+    journalEditorStatus.textContent = savedAt
+        ? t('Draft saved on this device at {time}. Save the entry to keep it.', {
+            time: formatLocalDate(new Date(savedAt), { timeStyle: 'short' })
+        })
+        : t("Couldn't save a draft on this device.");
+}
+
+/**
+ * Return from the journal editor to the edit modal
+ */
+function handleJournalEditorHidden() {
+    saveJournalDraft();
+    updateJournalSummary();
+    editModalInstance.show();
+}
+
+/**
+ * Show the bulk edit bar while days are selected
+ * @param {string[]} dates - Selected dates in YYYY-MM-DD format, in order
+ */
+function handleSelectionChange(dates) {
+    if (dates.length === 0) {
+        bulkBar.style.display = 'none';
+        return;
+    }
+    
+    bulkCount.textContent = dates.length === 1
+        ? t('1 day selected ({date})', { date: dates[0] })
+        : t('{count} days selected ({from} – {to})', { count: dates.length, from: dates[0], to: dates[dates.length - 1] });
+    bulkBar.style.display = 'block';
+}
+
+/**
+ * Show the input the chosen bulk action needs
+ */
+function updateBulkInputs() {
+    const action = bulkActionSelect.value;
+    bulkRatingSelect.style.display = action === BULK_ACTIONS.RATE ? '' : 'none';
+    bulkNoteInput.style.display = action === BULK_ACTIONS.APPEND_NOTE || action === BULK_ACTIONS.REPLACE_NOTE ? '' : 'none';
+}
+
+/**
+ * Apply the chosen action to every selected day in one write, offering to undo
+ * @param {Event} e
+ */
+async function handleBulkSubmit(e) {
+    e.preventDefault();
+    
+    const action = bulkActionSelect.value;
+    const dates = getSelectedDates();
+    const value = action === BULK_ACTIONS.RATE ? bulkRatingSelect.value : bulkNoteInput.value;
+    
+    let plan;
+    try {
+        plan = planBulkEdit(getCurrentEntries(), dates, action, value);
+    } catch (error) {
+        showAlert(error.message, 'warning');
+        return;
+    }
+    
+    if (plan.changes.length === 0) {
+        showAlert(plan.locked > 0
+            ? tn(plan.locked, 'Nothing to change on the selected days ({count} is locked).',
+                'Nothing to change on the selected days ({count} are locked).')
+            : t('Nothing to change on the selected days.'), 'info');
+        return;
+    }
+    if (action === BULK_ACTIONS.CLEAR
+        && !confirm(tn(plan.changes.length, 'Clear {count} logged day? Its rating and note will be removed.',
+            'Clear {count} logged days? Their ratings and notes will be removed.'))) {
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const undo = await applyBulkEdit(plan.changes);
+        clearSelection();
+        bulkNoteInput.value = '';
+        
+        const summary = describeBulkEdit(action, plan.changes.length, plan.skipped, plan.locked);
+        showAlert(isOnline() ? summary : `${summary} ${t('It will sync when you reconnect.')}`, 'success', {
+            label: t('Undo'),
+            onClick: () => handleBulkUndo(undo)
+        });
+    } catch (error) {
+        showAlert(t('Failed to update the selected days: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Put back the days a bulk edit changed
+ * @param {Object[]} undo - Changes returned by applyBulkEdit
+ */
+async function handleBulkUndo(undo) {
+    showLoading(true);
+    
+    try {
+        await saveEntries(undo);
+        
+        showAlert(tn(undo.length, 'Restored {count} day.', 'Restored {count} days.'), 'success');
+    } catch (error) {
+        showAlert(t('Failed to undo: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Handle user selector change
+ */
+async function handleUserChange() {
+    const selectedUserId = userSelector.value;
+    if (!selectedUserId) return;
+    
+    showLoading(true);
+    
+    try {
+        await displayCalendar(selectedUserId);
+    } catch (error) {
+        showAlert(t('Failed to load calendar: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Display calendar for a specific user and keep it up to date live
+ * @param {string} userId 
+ */
+async function displayCalendar(userId) {
+    leaveCompareMode();
+    leaveGroupMode();
+    await watchUserEntries(userId, getYear(), handleEntriesChanged, updateLiveStatus);
+    
+    const currentUser = getCurrentUser();
+    const isSelf = Boolean(currentUser && currentUser.uid === userId);
+    // Unverified accounts can look but not log days (see updateVerifyBanner)
+    const isEditable = isSelf && isEmailVerified();
+    
+    renderCalendarOwner(calendarOwnerHeader, userProfiles.get(userId) || null, userId, isSelf);
+    setViewingHabits(isSelf ? myHabits : await getHabitList(userId));
+    renderCalendar(calendarContainer, isEditable, handleDayClick, handleYearChange, handleDayRate, handleDayClear,
+        handleSelectionChange);
+    renderVisibilityNotice();
+    refreshStats();
+    refreshTagFilter();
+}
+
+/**
+ * Tell the viewer when the calendar's owner hides part of it
+ */
+function renderVisibilityNotice() {
+    const visibility = getViewingVisibility();
+    let message = null;
+    if (!visibility.rating && !visibility.notes) {
+        message = t('The owner of this calendar keeps their ratings, tags, habits and notes private.');
+    } else if (!visibility.rating) {
+        message = t('The owner of this calendar keeps their ratings, tags and habits private.');
+    } else if (!visibility.notes) {
+        message = t('The owner of this calendar keeps their notes private.');
+    }
+    
+    if (!message) {
+        visibilityNotice.style.display = 'none';
+        return;
+    }
+    visibilityNotice.innerHTML = '<i class="bi bi-eye-slash"></i> ';
+    visibilityNotice.appendChild(document.createTextNode(message));
+    visibilityNotice.style.display = 'block';
+}
+
+/**
+ * Apply the logged-in user's saved preferences
+ * @param {Object|null} profile
+ */
+function applyPreferences(profile) {
+    const preferences = getPreferences(profile);
+    if (preferences.language && preferences.language !== getLanguage()) {
+        applyLanguage(preferences.language);
+    }
+    setViewMode(preferences.viewMode);
+    viewModeSelect.value = getViewMode();
+    setWeekStart(preferences.weekStart);
+    weekStartSelect.value = preferences.weekStart === null ? '' : String(preferences.weekStart);
+    setEditWindow(preferences.editWindowDays);
+    applyReminder(preferences);
+}
+
+/**
+ * Fill the week start selector with the weekdays in the UI language,
+ * keeping the current choice
+ */
+function renderWeekStartSelect() {
+    const dayNames = getDayNames('long');
+    const selected = weekStartSelect.value;
+    
+    weekStartSelect.innerHTML = '';
+    weekStartSelect.appendChild(new Option(
+        t('Week starts on {day} (language default)', { day: dayNames[getLanguageWeekStart()] }), ''));
+    WEEK_START_DAYS.forEach(day => {
+        weekStartSelect.appendChild(new Option(t('Week starts on {day}', { day: dayNames[day] }), String(day)));
+    });
+    weekStartSelect.value = selected;
+}
+
+/**
+ * Re-render whatever the calendar area shows: the comparison, the group
+ * calendar or the calendar
+ */
+function refreshCalendarView() {
+    if (comparing) {
+        runComparison();
+    } else if (viewingGroup) {
+        runGroupCalendar();
+    } else {
+        rerenderCalendar();
+        refreshStats();
+    }
+}
+
+/**
+ * Switch the UI language and re-render the text built by scripts
+ * @param {string} code - One of the LANGUAGES codes
+ */
+function applyLanguage(code) {
+    setLanguage(code);
+    languageSelect.value = getLanguage();
+    loginLanguageSelect.value = getLanguage();
+    
+    translatePage();
+    renderWeekStartSelect();
+    renderConnectionStatus();
+    if (!getCurrentUser()) return;
+    
+    renderGroupSelects();
+    
+    labelUserSelector();
+    const viewingUserId = getViewingUserId();
+    if (viewingUserId && !comparing && !viewingGroup) {
+        renderCalendarOwner(calendarOwnerHeader, userProfiles.get(viewingUserId) || null, viewingUserId,
+            viewingUserId === getCurrentUser().uid);
+    }
+    renderVisibilityNotice();
+    refreshTagFilter();
+    handleSelectionChange(getSelectedDates());
+    refreshCalendarView();
+}
+
+/**
+ * Switch the UI language and remember it for the logged-in user
+ * @param {Event} event - Change event of a language selector
+ */
+async function handleLanguageChange(event) {
+    applyLanguage(event.target.value);
+    
+    const user = getCurrentUser();
+    if (!user) return;
+    try {
+        const profile = await savePreferences(user, { language: getLanguage() });
+        userProfiles.set(user.uid, profile);
+    } catch (error) {
+        showAlert(t('Could not remember the language: {reason}', { reason: error.message }), 'warning');
+    }
+}
+
+/**
+ * Change the first day of the week and remember it for the logged-in user
+ */
+async function handleWeekStartChange() {
+    const weekStart = weekStartSelect.value === '' ? null : parseInt(weekStartSelect.value);
+    setWeekStart(weekStart);
+    refreshCalendarView();
+    
+    const user = getCurrentUser();
+    if (!user) return;
+    try {
+        const profile = await savePreferences(user, { weekStart });
+        userProfiles.set(user.uid, profile);
+    } catch (error) {
+        showAlert(t('Could not remember the week start: {reason}', { reason: error.message }), 'warning');
+    }
+}
+
+/**
+ * Switch the calendar layout and remember it for the logged-in user
+ */
+async function handleViewModeChange() {
+    setViewMode(viewModeSelect.value);
+    if (!comparing && !viewingGroup) {
+        rerenderCalendar();
+    }
+    
+    const user = getCurrentUser();
+    if (!user) return;
+    try {
+        const profile = await savePreferences(user, { viewMode: getViewMode() });
+        userProfiles.set(user.uid, profile);
+    } catch (error) {
+        showAlert(t('Could not remember the layout: {reason}', { reason: error.message }), 'warning');
+    }
+}
+
+/**
+ * Hide the comparison controls and show the single-calendar panels again
+ */
+function leaveCompareMode() {
+    comparing = false;
+    compareBar.style.display = 'none';
+    calendarExtras.style.display = '';
+    compareBtn.classList.remove('active');
+}
+
+/**
+ * Switch to comparing two calendars, starting with mine against the viewed one
+ */
+async function handleOpenCompare() {
+    if (comparing) {
+        handleExitCompare();
+        return;
+    }
+    
+    const currentUser = getCurrentUser();
+    const options = Array.from(userSelector.options).filter(opt => opt.value);
+    if (!currentUser || options.length < 2) {
+        showAlert(t('Nobody else shares a calendar with you yet.'), 'info');
+        return;
+    }
+    
+    [compareUserASelect, compareUserBSelect].forEach(select => {
+        select.innerHTML = '';
+        options.forEach(opt => select.appendChild(new Option(opt.textContent, opt.value)));
+    });
+    
+    const viewedUserId = getViewingUserId();
+    compareUserASelect.value = currentUser.uid;
+    compareUserBSelect.value = viewedUserId && viewedUserId !== currentUser.uid
+        ? viewedUserId
+        : options.find(opt => opt.value !== currentUser.uid).value;
+    compareYearInput.value = getYear();
+    
+    leaveGroupMode();
+    comparing = true;
+    clearSelection();
+    compareBar.style.display = 'block';
+    calendarExtras.style.display = 'none';
+    compareBtn.classList.add('active');
+    
+    await runComparison();
+}
+
+/**
+ * Load both selected calendars and render the comparison
+ */
+async function runComparison() {
+    const uidA = compareUserASelect.value;
+    const uidB = compareUserBSelect.value;
+    
+    showLoading(true);
+    
+    try {
+        setYear(compareYearInput.value);
+        compareYearInput.value = getYear();
+        
+        // Comparisons are a snapshot; the live listener serves the single calendar view
+        stopWatchingEntries();
+        updateLiveStatus('idle');
+        // Fetched aside so the viewed calendar is still loaded when the comparison closes
+        const [entriesA, entriesB] = await Promise.all([
+            getUserEntries(uidA, getYear()),
+            getUserEntries(uidB, getYear())
+        ]);
+        if (!comparing) return;
+        
+        renderComparison(calendarContainer, getYear(),
+            { entries: entriesA, label: getUserLabel(uidA) },
+            { entries: entriesB, label: getUserLabel(uidB) },
+            compareModeSelect.value);
+    } catch (error) {
+        showAlert(t('Failed to compare calendars: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Leave comparison mode and show the calendar picked in the user selector
+ */
+async function handleExitCompare() {
+    const userId = userSelector.value || getCurrentUser()?.uid;
+    if (!userId) return;
+    
+    showLoading(true);
+    
+    try {
+        await displayCalendar(userId);
+    } catch (error) {
+        showAlert(t('Failed to load calendar: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Load the logged-in user's groups and refresh the group selectors
+ */
+async function loadGroups() {
+    myGroups = await loadMyGroups();
+    renderGroupSelects();
+}
+
+/**
+ * Fill the group view and export selectors with the groups the logged-in
+ * user is a member of, keeping the current choices
+ */
+function renderGroupSelects() {
+    const uid = getCurrentUser()?.uid;
+    const joined = myGroups.filter(group => !isInvitedTo(group, uid));
+    const isJoined = id => joined.some(group => group.id === id);
+    
+    const exportGroup = exportGroupSelect.value;
+    exportGroupSelect.innerHTML = '';
+    exportGroupSelect.appendChild(new Option(t('Everyone'), ''));
+    joined.forEach(group => {
+        exportGroupSelect.appendChild(new Option(t('Group: {name}', { name: group.name }), group.id));
+    });
+    exportGroupSelect.value = isJoined(exportGroup) ? exportGroup : '';
+    
+    const viewedGroup = groupSelect.value;
+    groupSelect.innerHTML = '';
+    joined.forEach(group => groupSelect.appendChild(new Option(group.name, group.id)));
+    if (isJoined(viewedGroup)) {
+        groupSelect.value = viewedGroup;
+    }
+}
+
+/**
+ * Get the name of a group member or invited user
+ * @param {string} uid
+ * @returns {string}
+ */
+function getGroupMemberName(uid) {
+    return getDisplayName(groupDirectory.find(profile => profile.uid === uid) || null, uid);
+}
+
+/**
+ * Open the groups modal with the logged-in user's groups and invitations
+ */
+async function handleOpenGroups() {
+    showLoading(true);
+    
+    try {
+        [groupDirectory] = await Promise.all([getAllProfiles(), loadGroups()]);
+        renderGroupsModalList();
+        groupNameInput.value = '';
+        groupsModalInstance.show();
+    } catch (error) {
+        showAlert(t('Failed to load groups: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Render the groups of the groups modal
+ */
+function renderGroupsModalList() {
+    renderGroupList(groupsList, myGroups, getCurrentUser().uid, groupDirectory, {
+        onView: handleViewGroup,
+        onInvite: (group, uid) => changeGroup(() => inviteToGroup(group, uid),
+            t('Invited {name} to {group}.', { name: getGroupMemberName(uid), group: group.name })),
+        onRemove: (group, uid) => changeGroup(() => removeFromGroup(group, uid)),
+        onAnswer: (group, accept) => changeGroup(() => answerInvitation(group, accept),
+            accept ? t('You joined {group}.', { group: group.name }) : null),
+        onLeave: (group) => {
+            if (confirm(t('Leave {group}? You can only join again if the owner invites you.', { group: group.name }))) {
+                changeGroup(() => leaveGroup(group), t('You left {group}.', { group: group.name }));
+            }
+        },
+        onDelete: (group) => {
+            if (confirm(t('Delete {group}? Its members keep their own calendars.', { group: group.name }))) {
+                changeGroup(() => deleteGroup(group), t('Group deleted.'));
+            }
+        }
+    });
+}
+
+/**
+ * Apply a change to a group, then reload the groups and whatever shows them
+ * @param {Function} change - Makes the change and returns a promise
+ * @param {string|null} [message] - Shown when the change succeeds
+ */
+async function changeGroup(change, message = null) {
+    const viewedGroupId = groupSelect.value;
+    showLoading(true);
+    
+    try {
+        await change();
+        await loadGroups();
+        renderGroupsModalList();
+        if (message) {
+            showAlert(message, 'success');
+        }
+        
+        if (viewingGroup && groupSelect.value !== viewedGroupId) {
+            // The viewed group was left or deleted
+            await handleExitGroup();
+        } else if (viewingGroup) {
+            await runGroupCalendar();
+        }
+    } catch (error) {
+        showAlert(t('Failed to update the group: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Create a group from the groups modal
+ * @param {Event} e
+ */
+async function handleGroupCreate(e) {
+    e.preventDefault();
+    
+    await changeGroup(async () => {
+        await createGroup(groupNameInput.value);
+        groupNameInput.value = '';
+    }, t('Group created. Invite people to it above.'));
+}
+
+/**
+ * Hide the group calendar controls and show the single-calendar panels again
+ */
+function leaveGroupMode() {
+    viewingGroup = false;
+    groupBar.style.display = 'none';
+    calendarExtras.style.display = '';
+}
+
+/**
+ * Switch to a group's combined calendar
+ * @param {Object} group
+ */
+async function handleViewGroup(group) {
+    groupsModalInstance.hide();
+    leaveCompareMode();
+    
+    groupSelect.value = group.id;
+    groupYearInput.value = getYear();
+    
+    viewingGroup = true;
+    clearSelection();
+    groupBar.style.display = 'block';
+    calendarExtras.style.display = 'none';
+    
+    await runGroupCalendar();
+}
+
+/**
+ * Load the calendars of the selected group's members and render the
+ * combined calendar
+ */
+async function runGroupCalendar() {
+    const group = myGroups.find(other => other.id === groupSelect.value);
+    if (!group) return;
+    
+    showLoading(true);
+    
+    try {
+        setYear(groupYearInput.value);
+        groupYearInput.value = getYear();
+        
+        // Like comparisons, the group calendar is a snapshot
+        stopWatchingEntries();
+        updateLiveStatus('idle');
+        const visibilities = new Map((await getAllUsers()).map(({ uid, visibility }) => [uid, visibility]));
+        const sharing = group.members.filter(uid => visibilities.get(uid)?.rating);
+        const memberEntries = await Promise.all(sharing.map(uid => getUserEntries(uid, getYear())));
+        if (!viewingGroup) return;
+        
+        renderGroupCalendar(calendarContainer, getYear(), {
+            label: group.name,
+            method: groupMethodSelect.value,
+            days: computeGroupCalendar(memberEntries, groupMethodSelect.value),
+            memberCount: group.members.length,
+            sharingCount: sharing.length,
+            hiddenNames: group.members.filter(uid => !sharing.includes(uid)).map(getGroupMemberName)
+        });
+    } catch (error) {
+        showAlert(t('Failed to load the group calendar: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Leave the group view and show the calendar picked in the user selector
+ */
+async function handleExitGroup() {
+    const userId = userSelector.value || getCurrentUser()?.uid;
+    if (!userId) return;
+    
+    showLoading(true);
+    
+    try {
+        await displayCalendar(userId);
+    } catch (error) {
+        showAlert(t('Failed to load calendar: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Patch the calendar when entries change remotely or locally
+ * @param {string[]} dates - Dates whose entries changed
+ */
+function handleEntriesChanged(dates) {
+    searchCache.key = null;
+    updateDayCells(dates);
+    refreshStats();
+    refreshTagFilter();
+}
+
+/**
+ * Re-render the tag filter bar from the tags in the viewed calendar
+ */
+function refreshTagFilter() {
+    renderTagFilter(tagFilterContainer, collectTags(getCurrentEntries()), getTagFilter(), handleTagFilterChange);
+}
+
+/**
+ * Highlight days carrying the selected tags
+ * @param {string[]} tags 
+ */
+function handleTagFilterChange(tags) {
+    setTagFilter(tags);
+    refreshTagFilter();
+}
+
+/**
+ * Load the tags the user has used in any year, for autocomplete
+ * @param {string} uid 
+ */
+async function loadKnownTags(uid) {
+    try {
+        knownTags = collectTags(await getUserEntries(uid));
+    } catch (error) {
+        console.error('Error loading tags:', error);
+    }
+}
+
+/**
+ * Add newly used tags to the autocomplete suggestions
+ * @param {string[]} tags 
+ */
+function rememberTags(tags) {
+    tags.forEach(tag => {
+        if (!knownTags.includes(tag)) {
+            knownTags.push(tag);
+        }
+    });
+}
+
+/**
+ * Record the status of the live calendar listener
+ * @param {string} status - 'live', 'reconnecting', 'stopped' or 'idle'
+ */
+function updateLiveStatus(status) {
+    liveStatus = status;
+    renderConnectionStatus();
+    
+    if (status === 'stopped') {
+        showAlert(t('This calendar stopped updating, for example because it is no longer shared with you.'), 'warning',
+            { label: t('Reload'), onClick: handleUserChange });
+    }
+}
+
+/**
+ * Update the live / sync indicator in the navbar
+ */
+function renderConnectionStatus() {
+    if (!liveStatusBadge) return;
+    
+    const { online, pending } = getSyncState();
+    let state = null;
+    
+    if (liveStatus === 'idle') {
+        state = null;
+    } else if (isLocalOnly()) {
+        state = config.backend === 'memory'
+            ? { className: 'bg-secondary', html: `<i class="bi bi-memory"></i> ${t('Demo (not saved)')}` }
+            : { className: 'bg-secondary', html: `<i class="bi bi-hdd"></i> ${t('Local')}` };
+    } else if (!online) {
+        state = { 
+            className: 'bg-secondary', 
+            html: `<i class="bi bi-wifi-off"></i> ${t('Offline')}${pending > 0 ? ` · ${t('{count} pending', { count: pending })}` : ''}` 
+        };
+    } else if (liveStatus === 'stopped') {
+        state = { className: 'bg-danger', html: `<i class="bi bi-exclamation-triangle"></i> ${t('Stopped')}` };
+    } else if (pending > 0) {
+        state = { className: 'bg-info text-dark', html: `<i class="bi bi-cloud-upload"></i> ${t('Syncing {count}…', { count: pending })}` };
+    } else if (liveStatus === 'live') {
+        state = { className: 'bg-success', html: `<i class="bi bi-broadcast"></i> ${t('Live')}` };
+    } else {
+        state = { className: 'bg-warning text-dark', html: `<i class="bi bi-arrow-repeat"></i> ${t('Reconnecting…')}` };
+    }
+    
+    liveStatusBadge.style.display = state ? 'inline-block' : 'none';
+    if (state) {
+        liveStatusBadge.className = `badge ${state.className}`;
+        liveStatusBadge.innerHTML = state.html;
+    }
+}
+
+/**
+ * Tell the user an offline edit lost against a newer edit from another device
+ * @param {string} date - Date of the rejected entry
+ */
+function handleWriteConflict(date) {
+    showAlert(t('Your offline change to {date} was older than a change made on another device, so the newer one was kept.', { date }), 'warning');
+}
+
+/**
+ * Re-render the statistics panel for the viewed calendar (if it is open)
+ */
+function refreshStats() {
+    if (statsContainer.style.display === 'none') return;
+    
+    const selected = userSelector.options[userSelector.selectedIndex];
+    const ownerLabel = selected && selected.value ? selected.textContent : '';
+    renderStats(statsContainer, computeStats(getCurrentEntries(), getYear(), new Date(), getViewingHabits()), ownerLabel);
+}
+
+/**
+ * Toggle the statistics panel
+ */
+function handleToggleStats() {
+    const show = statsContainer.style.display === 'none';
+    statsContainer.style.display = show ? 'block' : 'none';
+    statsBtn.classList.toggle('active', show);
+    
+    if (show) {
+        refreshStats();
+    }
+}
+
+/**
+ * Handle switching the calendar to another year
+ * @param {number} year 
+ */
+async function handleYearChange(year) {
+    const userId = getViewingUserId() || getCurrentUser()?.uid;
+    if (!userId) return;
+    
+    const previousYear = getYear();
+    showLoading(true);
+    
+    try {
+        setYear(year);
+        await displayCalendar(userId);
+    } catch (error) {
+        setYear(previousYear);
+        showAlert(t('Failed to load {year}: {reason}', { year, reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Get the year selected for exports
+ * @returns {number|null} - The viewed year, or null for all years
+ */
+function getExportYear() {
+    return exportScopeSelect && exportScopeSelect.value === 'all' ? null : getYear();
+}
+
+/**
+ * Get the group picked for CSV and JSON exports
+ * @returns {Object|null} - null to export everyone
+ */
+function getExportGroup() {
+    return myGroups.find(group => group.id === exportGroupSelect.value) || null;
+}
+
+/**
+ * Get the entries to search, loading them if the scope changed
+ * @returns {Promise<Object[]>} - Entries with userId and date
+ */
+async function getSearchEntries() {
+    const scope = searchScopeSelect.value;
+    const userId = getViewingUserId();
+    const key = scope === 'all' ? 'all' : `user:${userId}`;
+    
+    if (searchCache.key !== key) {
+        let entries;
+        if (scope === 'all') {
+            entries = await getAllEntries(null);
+        } else {
+            const byDate = await getUserEntries(userId);
+            entries = Object.entries(byDate).map(([date, entry]) => ({ ...entry, userId, date }));
+        }
+        searchCache = { key, entries };
+    }
+    
+    return searchCache.entries;
+}
+
+/**
+ * Get the display name of a user from the user selector
+ * @param {string} uid 
+ * @returns {string}
+ */
+function getUserLabel(uid) {
+    const option = Array.from(userSelector.options).find(opt => opt.value === uid);
+    return option ? option.textContent : uid;
+}
+
+/**
+ * Run the search for the current query
+ */
+async function runSearch() {
+    const queryText = searchInput.value;
+    if (!queryText.trim()) {
+        hideSearchResults(searchResultsContainer);
+        return;
+    }
+    
+    try {
+        const results = searchEntries(await getSearchEntries(), queryText);
+        // Ignore results for a query that was typed over meanwhile
+        if (queryText !== searchInput.value) return;
+        renderSearchResults(
+            searchResultsContainer, 
+            results, 
+            handleSearchSelect, 
+            searchScopeSelect.value === 'all' ? getUserLabel : null
+        );
+    } catch (error) {
+        showAlert(t('Search failed: {reason}', { reason: error.message }));
+    }
+}
+
+/**
+ * Debounce search while typing
+ */
+function handleSearchInput() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 250);
+}
+
+/**
+ * Jump to the day of a search result, switching user and year if needed
+ * @param {Object} result - Search result
+ */
+async function handleSearchSelect(result) {
+    hideSearchResults(searchResultsContainer);
+    
+    const year = parseInt(result.date.substring(0, 4));
+    const needsReload = result.userId !== getViewingUserId() || year !== getYear();
+    
+    if (needsReload) {
+        const previousYear = getYear();
+        const previousUserId = getViewingUserId();
+        showLoading(true);
+        try {
+            setYear(year);
+            userSelector.value = result.userId;
+            await displayCalendar(result.userId);
+        } catch (error) {
+            showAlert(t('Failed to load calendar: {reason}', { reason: error.message }));
+            // The failed load already stopped watching the previous calendar: show it again
+            setYear(previousYear);
+            if (previousUserId) {
+                userSelector.value = previousUserId;
+                await displayCalendar(previousUserId).catch(reloadError => {
+                    console.error('Error reloading calendar:', reloadError);
+                });
+            }
+            return;
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    focusDay(result.date);
+    
+    // Open the day for editing if it belongs to the logged-in user
+    if (result.userId === getCurrentUser()?.uid) {
+        handleDayClick(result.date, getCurrentEntries()[result.date]);
+    }
+}
+
+/**
+ * Handle CSV export
+ */
+async function handleExportCSV() {
+    showLoading(true);
+    
+    try {
+        await exportCSV(getExportYear(), getExportGroup());
+        showAlert(isOnline() 
+            ? t('CSV exported successfully!') 
+            : t('CSV exported from the offline cache (only entries viewed before going offline).'), 'success');
+    } catch (error) {
+        showAlert(t('Export failed: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Handle JSON export
+ */
+async function handleExportJSON() {
+    showLoading(true);
+    
+    try {
+        await exportJSON(getExportYear(), getExportGroup());
+        showAlert(isOnline() 
+            ? t('JSON exported successfully!') 
+            : t('JSON exported from the offline cache (only entries viewed before going offline).'), 'success');
+    } catch (error) {
+        showAlert(t('Export failed: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Open the iCalendar / Markdown export dialog for the viewed calendar and year
+ */
+function handleOpenExportMore() {
+    exportUserSelect.innerHTML = '';
+    Array.from(userSelector.options)
+        .filter(opt => opt.value)
+        .forEach(opt => exportUserSelect.appendChild(new Option(opt.textContent, opt.value)));
+    exportUserSelect.value = getViewingUserId() || getCurrentUser()?.uid;
+    
+    const year = getYear();
+    exportFromInput.value = `${year}-01-01`;
+    exportToInput.value = `${year}-12-31`;
+    
+    exportModalInstance.show();
+}
+
+/**
+ * Export the chosen user and date range in one of the dialog's formats
+ * @param {Function} exportFn - exportICS or exportMarkdown
+ * @param {string} formatName - Name shown in alerts
+ */
+async function handleExportRange(exportFn, formatName) {
+    const userId = exportUserSelect.value;
+    showLoading(true);
+    
+    try {
+        const count = await exportFn(userId, exportFromInput.value, exportToInput.value, getDisplayName(userProfiles.get(userId), userId));
+        exportModalInstance.hide();
+        showAlert(tn(count, '{format} exported with {count} day.', '{format} exported with {count} days.', { format: formatName }), 'success');
+    } catch (error) {
+        showAlert(t('Export failed: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Read the year image options from the dialog
+ * @returns {Object} - { title, includeInitials, dark }
+ */
+function getImageOptions() {
+    return {
+        title: imageTitleInput.value.trim(),
+        includeInitials: imageInitialsCheckbox.checked,
+        dark: document.querySelector('input[name="image-theme"]:checked').value === 'dark'
+    };
+}
+
+/**
+ * Redraw the year image preview with the current options
+ */
+function updateImagePreview() {
+    // Built from escaped text only, so it is safe to insert as markup
+    imagePreview.innerHTML = buildYearSVG(imageEntries, getYear(), getImageOptions()).svg;
+}
+
+/**
+ * Open the year image dialog for the viewed calendar and year
+ */
+async function handleOpenImageExport() {
+    const userId = getViewingUserId() || getCurrentUser()?.uid;
+    showLoading(true);
+    
+    try {
+        imageEntries = await getUserEntries(userId, getYear());
+        imageTitleInput.value = t('{name} — {year} in pixels', { name: getDisplayName(userProfiles.get(userId), userId), year: getYear() });
+        updateImagePreview();
+        imageModalInstance.show();
+    } catch (error) {
+        showAlert(t('Failed to prepare image: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Download the year image in the given format
+ * @param {string} format - One of IMAGE_FORMATS
+ */
+async function handleExportImage(format) {
+    const userId = getViewingUserId() || getCurrentUser()?.uid;
+    showLoading(true);
+    
+    try {
+        await exportYearImage(userId, getYear(), { ...getImageOptions(), format });
+        imageModalInstance.hide();
+        showAlert(t('{format} image exported successfully!', { format: format.toUpperCase() }), 'success');
+    } catch (error) {
+        showAlert(t('Export failed: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Open the import modal with a clean state
+ */
+function handleOpenImport() {
+    importPreview = null;
+    importFileInput.value = '';
+    importPreviewContainer.innerHTML = '';
+    importConfirmBtn.disabled = true;
+    importModalInstance.show();
+}
+
+/**
+ * Build the dry-run preview for the selected import file
+ */
+async function handleImportFileChange() {
+    const file = importFileInput.files[0];
+    importPreview = null;
+    importPreviewContainer.innerHTML = '';
+    importConfirmBtn.disabled = true;
+    if (!file) return;
+    
+    showLoading(true);
+    
+    try {
+        importPreview = await previewImport(file);
+        renderImportPreview(importPreviewContainer, importPreview, importPolicySelect.value);
+        importConfirmBtn.disabled = importPreview.plan.length === 0;
+    } catch (error) {
+        showAlert(t('Could not read file: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Update the preview when the conflict policy changes
+ */
+function handleImportPolicyChange() {
+    if (importPreview) {
+        renderImportPreview(importPreviewContainer, importPreview, importPolicySelect.value);
+    }
+}
+
+/**
+ * Write the previewed import into the user's calendar
+ */
+async function handleImportConfirm() {
+    if (!importPreview) return;
+    
+    importConfirmBtn.disabled = true;
+    showLoading(true);
+    
+    try {
+        const { written, skipped } = await applyImport(importPreview.plan, importPolicySelect.value);
+        importModalInstance.hide();
+        
+        showAlert(t('Imported {written} entries ({skipped} skipped).', { written, skipped }), 'success');
+    } catch (error) {
+        showAlert(error.written > 0
+            ? tn(error.written, 'Import failed after {count} entry was saved: {reason}',
+                'Import failed after {count} entries were saved: {reason}', { reason: error.message })
+            : t('Import failed: {reason}', { reason: error.message }));
+        importConfirmBtn.disabled = false;
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Show or hide the people checklist depending on the sharing mode
+ */
+function updateSharingPeople() {
+    const mode = sharingForm.querySelector('input[name="sharing-mode"]:checked');
+    sharingPeopleContainer.style.display = mode && mode.value === SHARING_MODES.LIST ? 'block' : 'none';
+}
+
+/**
+ * Open the sharing modal with the current settings
+ */
+async function handleOpenSharing() {
+    showLoading(true);
+    
+    try {
+        const [settings, users] = await Promise.all([loadMySharing(), getShareableUsers()]);
+        
+        sharingForm.querySelector(`input[name="sharing-mode"][value="${settings.mode}"]`).checked = true;
+        renderShareList(sharingPeopleContainer, users, settings.sharedWith);
+        sharingRatingCheckbox.checked = settings.fields.rating;
+        sharingNotesCheckbox.checked = settings.fields.notes;
+        updateSharingPeople();
+        
+        sharingModalInstance.show();
+    } catch (error) {
+        showAlert(t('Could not load sharing settings: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Save the sharing settings from the sharing modal
+ * @param {Event} e 
+ */
+async function handleSharingSubmit(e) {
+    e.preventDefault();
+    
+    showLoading(true);
+    
+    try {
+        await saveMySharing({
+            mode: sharingForm.querySelector('input[name="sharing-mode"]:checked').value,
+            sharedWith: readShareList(sharingPeopleContainer),
+            fields: {
+                rating: sharingRatingCheckbox.checked,
+                notes: sharingNotesCheckbox.checked
+            }
+        });
+        sharingModalInstance.hide();
+        
+        showAlert(t('Sharing settings saved.'), 'success');
+    } catch (error) {
+        showAlert(t('Failed to save sharing settings: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Start or stop the daily reminder according to the user's preferences
+ * @param {Object} preferences
+ */
+function applyReminder(preferences) {
+    if (preferences.reminderEnabled) {
+        scheduleReminder(preferences.reminderTime, getUnloggedToday);
+    } else {
+        cancelReminder();
+    }
+}
+
+/**
+ * Check whether the logged-in user still has to rate today
+ * @returns {Promise<string|null>} - Today's date if it has no entry, else null
+ */
+async function getUnloggedToday() {
+    const user = getCurrentUser();
+    if (!user) return null;
+    
+    const today = new Date();
+    const todayStr = formatDate(today);
+    
+    // The viewed calendar's entries are already loaded and kept live
+    const entries = getViewingUserId() === user.uid && getYear() === today.getFullYear()
+        ? getCurrentEntries()
+        : await getUserEntries(user.uid, today.getFullYear());
+    return entries[todayStr] ? null : todayStr;
+}
+
+/**
+ * Open the edit modal for a day of your own calendar (from a reminder)
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+async function openOwnDay(date) {
+    const user = getCurrentUser();
+    if (!user) return;
+    
+    showLoading(true);
+    
+    try {
+        const year = parseInt(date.substring(0, 4));
+        if (getViewingUserId() !== user.uid || getYear() !== year || comparing || viewingGroup) {
+            setYear(year);
+            userSelector.value = user.uid;
+            await displayCalendar(user.uid);
+        }
+        focusDay(date);
+        handleDayClick(date, getCurrentEntries()[date]);
+    } catch (error) {
+        showAlert(t('Failed to open {date}: {reason}', { date, reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Describe whether reminders can be shown on this device
+ */
+function updateReminderStatus() {
+    const permission = getReminderPermission();
+    if (!isReminderSupported()) {
+        reminderStatus.textContent = t("This browser can't show notifications.");
+    } else if (permission === 'denied') {
+        reminderStatus.textContent = t('Notifications are blocked for this site. Allow them in your browser settings to get reminders.');
+    } else {
+        reminderStatus.textContent = t('Reminders appear while Daydicated is open in a tab or installed as an app. Your browser asks for permission when you turn them on.');
+    }
+}
+
+/**
+ * Open the reminder settings dialog
+ */
+function handleOpenReminder() {
+    const user = getCurrentUser();
+    const preferences = getPreferences(user ? userProfiles.get(user.uid) : null);
+    
+    reminderEnabledCheckbox.checked = preferences.reminderEnabled;
+    reminderTimeInput.value = preferences.reminderTime;
+    updateReminderStatus();
+    
+    reminderModalInstance.show();
+}
+
+/**
+ * Save the reminder settings, asking for notification permission when turning them on
+ * @param {Event} e
+ */
+async function handleReminderSubmit(e) {
+    e.preventDefault();
+    
+    const user = getCurrentUser();
+    if (!user) return;
+    
+    const enabled = reminderEnabledCheckbox.checked;
+    if (enabled && !(await requestReminderPermission())) {
+        updateReminderStatus();
+        showAlert(t('Reminders need permission to show notifications.'), 'warning');
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const profile = await savePreferences(user, {
+            reminderEnabled: enabled,
+            reminderTime: reminderTimeInput.value
+        });
+        userProfiles.set(user.uid, profile);
+        applyReminder(getPreferences(profile));
+        reminderModalInstance.hide();
+        
+        showAlert(enabled 
+            ? t('Daily reminder set for {time}.', { time: reminderTimeInput.value }) 
+            : t('Daily reminder turned off.'), 'success');
+    } catch (error) {
+        showAlert(t('Failed to save reminder: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Open the habits modal with the logged-in user's habit list
+ */
+function handleOpenHabits() {
+    habitEditor.setHabits(myHabits);
+    habitsModalInstance.show();
+}
+
+/**
+ * Save the logged-in user's habit list
+ * @param {Event} e
+ */
+async function handleHabitsSubmit(e) {
+    e.preventDefault();
+    
+    const user = getCurrentUser();
+    if (!user) return;
+    
+    const habits = habitEditor.getHabits();
+    showLoading(true);
+    
+    try {
+        myHabits = await saveHabitList(habits);
+        if (getViewingUserId() === user.uid) {
+            setViewingHabits(myHabits);
+            refreshCalendarView();
+        }
+        habitsModalInstance.hide();
+        showAlert(t('Habits saved.'), 'success');
+    } catch (error) {
+        showAlert(t('Failed to save habits: {reason}', { reason: error.message }));
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Handle authentication state changes
+ * @param {Object|null} user 
+ */
+async function handleAuthStateChange(user) {
+    if (user) {
+        // User is logged in
+        loginSection.style.display = 'none';
+        appSection.style.display = 'block';
+        userEmailSpan.textContent = user.email;
+        
+        // There is nobody to log out or share with, and no login to change, in local-only mode
+        logoutBtn.style.display = isLocalOnly() ? 'none' : '';
+        sharingBtn.style.display = isLocalOnly() ? 'none' : '';
+        groupsBtn.style.display = isLocalOnly() ? 'none' : '';
+        exportGroupSelect.style.display = isLocalOnly() ? 'none' : '';
+        passwordForm.style.display = isLocalOnly() ? 'none' : '';
+        emailForm.style.display = isLocalOnly() ? 'none' : '';
+        updateVerifyBanner(user);
+        
+        showLoading(true);
+        
+        try {
+            // Not fatal: the calendar still loads, setup is retried next login
+            await setupUser(user).catch(() => {
+                showAlert(t('Could not update your account settings. Sharing may not work until you log in again.'), 'warning');
+            });
+            await loadUserSelector();
+            myHabits = await getHabitList(user.uid);
+            // Not fatal: only the group selectors stay empty
+            await loadGroups().catch(error => console.error('Error loading groups:', error));
+            applyPreferences(userProfiles.get(user.uid) || null);
+            await displayCalendar(user.uid);
+            loadKnownTags(user.uid);
+            
+            // The app was opened by clicking a reminder
+            const reminderDay = takeReminderDay();
+            if (reminderDay) {
+                openOwnDay(reminderDay);
+            } else {
+                scrollToToday();
+            }
+        } catch (error) {
+            console.error('Error initializing app:', error);
+            showAlert(t('Failed to load calendar data'));
+        } finally {
+            showLoading(false);
+        }
+    } else {
+        // User is logged out
+        stopWatchingEntries();
+        cancelReminder();
+        updateLiveStatus('idle');
+        loginSection.style.display = 'block';
+        appSection.style.display = 'none';
+        updateVerifyBanner(null);
+        showSignupBtn.style.display = config.allowSignUp ? '' : 'none';
+        showAuthView('login');
+        calendarContainer.innerHTML = '';
+        statsContainer.innerHTML = '';
+        tagFilterContainer.innerHTML = '';
+        visibilityNotice.style.display = 'none';
+        calendarOwnerHeader.style.display = 'none';
+        leaveCompareMode();
+        leaveGroupMode();
+        myGroups = [];
+        groupDirectory = [];
+        renderGroupSelects();
+        userProfiles = new Map();
+        myHabits = [];
+        searchInput.value = '';
+        searchCache = { key: null, entries: [] };
+        hideSearchResults(searchResultsContainer);
+        knownTags = [];
+        setTagFilter([]);
+        clearSelection();
+    }
+}
+
+/**
+ * Set up event listeners
  */
 function setupEventListeners() {
     loginForm.addEventListener('submit', handleLogin);
+    signupForm.addEventListener('submit', handleSignUp);
+    resetForm.addEventListener('submit', handleResetPassword);
+    document.querySelectorAll('[data-auth-view]').forEach(btn => {
+        btn.addEventListener('click', () => showAuthView(btn.dataset.authView));
+    });
+    verifyResendBtn.addEventListener('click', handleResendVerification);
+    verifyCheckBtn.addEventListener('click', handleCheckVerification);
+    accountBtn.addEventListener('click', handleOpenAccount);
+    editWindowForm.addEventListener('submit', handleEditWindowSubmit);
+    passwordForm.addEventListener('submit', handlePasswordChange);
+    emailForm.addEventListener('submit', handleEmailChange);
     logoutBtn.addEventListener('click', handleLogout);
     userSelector.addEventListener('change', handleUserChange);
     editForm.addEventListener('submit', handleEditSubmit);
+    editDeleteBtn.addEventListener('click', handleEditDelete);
+    bulkForm.addEventListener('submit', handleBulkSubmit);
+    bulkActionSelect.addEventListener('change', updateBulkInputs);
+    bulkCancelBtn.addEventListener('click', clearSelection);
+    editModal.addEventListener('hidden.bs.modal', handleEditModalHidden);
+    editJournalBtn.addEventListener('click', handleOpenJournalEditor);
+    editJournalDiscardBtn.addEventListener('click', handleDiscardJournalDraft);
+    journalEditorText.addEventListener('input', handleJournalInput);
+    journalEditorModal.addEventListener('shown.bs.modal', () => journalEditorText.focus());
+    journalEditorModal.addEventListener('hidden.bs.modal', handleJournalEditorHidden);
+    journalBtn.addEventListener('click', handleOpenJournal);
+    habitsBtn.addEventListener('click', handleOpenHabits);
+    habitsForm.addEventListener('submit', handleHabitsSubmit);
+    habitAddBtn.addEventListener('click', () => habitEditor.addFromInput());
+    journalPrevBtn.addEventListener('click', () => stepJournalDay(-1));
+    journalNextBtn.addEventListener('click', () => stepJournalDay(1));
+    journalPrevMonthBtn.addEventListener('click', () => stepJournalMonth(-1));
+    journalNextMonthBtn.addEventListener('click', () => stepJournalMonth(1));
+    journalEditBtn.addEventListener('click', handleJournalEdit);
+    journalModal.addEventListener('keydown', handleJournalKeydown);
+    journalModal.addEventListener('hidden.bs.modal', handleJournalModalHidden);
     exportCsvBtn.addEventListener('click', handleExportCSV);
     exportJsonBtn.addEventListener('click', handleExportJSON);
+    exportMoreBtn.addEventListener('click', handleOpenExportMore);
+    exportIcsBtn.addEventListener('click', () => handleExportRange(exportICS, 'iCalendar'));
+    exportMdBtn.addEventListener('click', () => handleExportRange(exportMarkdown, t('Markdown journal')));
+    exportImageBtn.addEventListener('click', handleOpenImageExport);
+    imageTitleInput.addEventListener('input', updateImagePreview);
+    imageInitialsCheckbox.addEventListener('change', updateImagePreview);
+    document.querySelectorAll('input[name="image-theme"]').forEach(radio => {
+        radio.addEventListener('change', updateImagePreview);
+    });
+    imageSvgBtn.addEventListener('click', () => handleExportImage(IMAGE_FORMATS.SVG));
+    imagePngBtn.addEventListener('click', () => handleExportImage(IMAGE_FORMATS.PNG));
+    statsBtn.addEventListener('click', handleToggleStats);
+    importBtn.addEventListener('click', handleOpenImport);
+    importFileInput.addEventListener('change', handleImportFileChange);
+    importPolicySelect.addEventListener('change', handleImportPolicyChange);
+    importConfirmBtn.addEventListener('click', handleImportConfirm);
+    sharingBtn.addEventListener('click', handleOpenSharing);
+    changesBtn.addEventListener('click', handleOpenChanges);
+    reminderBtn.addEventListener('click', handleOpenReminder);
+    reminderForm.addEventListener('submit', handleReminderSubmit);
+    compareBtn.addEventListener('click', handleOpenCompare);
+    viewModeSelect.addEventListener('change', handleViewModeChange);
+    weekStartSelect.addEventListener('change', handleWeekStartChange);
+    languageSelect.addEventListener('change', handleLanguageChange);
+    loginLanguageSelect.addEventListener('change', handleLanguageChange);
+    compareExitBtn.addEventListener('click', handleExitCompare);
+    [compareUserASelect, compareUserBSelect, compareYearInput, compareModeSelect].forEach(control => {
+        control.addEventListener('change', runComparison);
+    });
+    groupsBtn.addEventListener('click', handleOpenGroups);
+    groupCreateForm.addEventListener('submit', handleGroupCreate);
+    groupExitBtn.addEventListener('click', handleExitGroup);
+    [groupSelect, groupYearInput, groupMethodSelect].forEach(control => {
+        control.addEventListener('change', runGroupCalendar);
+    });
+    sharingForm.addEventListener('submit', handleSharingSubmit);
+    sharingForm.querySelectorAll('input[name="sharing-mode"]').forEach(radio => {
+        radio.addEventListener('change', updateSharingPeople);
+    });
+    searchInput.addEventListener('input', handleSearchInput);
+    searchInput.addEventListener('focus', handleSearchInput);
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            hideSearchResults(searchResultsContainer);
+        }
+    });
+    searchScopeSelect.addEventListener('change', runSearch);
+    
+    // Close search results when clicking elsewhere
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-box')) {
+            hideSearchResults(searchResultsContainer);
+        }
+    });
 }
 
 /**
@@ -307,8 +2640,15 @@ function setupEventListeners() {
  */
 function init() {
     initElements();
+    renderLanguageSelect(languageSelect);
+    renderLanguageSelect(loginLanguageSelect);
+    applyLanguage(getLanguage());
     setupEventListeners();
+    onSyncStatusChange(renderConnectionStatus);
+    onWriteConflict(handleWriteConflict);
     onAuthChange(handleAuthStateChange);
+    onReminderClick(openOwnDay);
+    registerServiceWorker();
 }
 
 // Start the app when DOM is ready
@@ -1,19 +1,112 @@
 /**
  * Authentication Module
  * 
- * Handles user login and logout functionality using Firebase Authentication.
+ * Handles sign-up, login and logout, password reset, email verification
+ * and password / email changes using Firebase Authentication.
  * Uses email/password authentication only.
+ * In local-only mode (see config.js) Firebase is never loaded and the
+ * configured local user is always signed in (and counts as verified).
+ * Every sign-in creates or refreshes the user's profile (see profiles.js).
  */
 
-import { auth } from './firebase.js';
-import { 
-    signInWithEmailAndPassword, 
-    signOut, 
-    onAuthStateChanged 
-} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { config, isLocalOnly } from './config.js';
+import { syncProfile } from './profiles.js';
+import { t } from './i18n.js';
+
+/**
+ * Load Firebase Authentication on demand
+ * @returns {Promise<Object>} - The auth instance and the SDK functions
+ */
+async function loadFirebaseAuth() {
+    const [{ auth }, sdk] = await Promise.all([
+        import('./firebase.js'),
+        import("https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js")
+    ]);
+    return { auth, ...sdk };
+}
+
+// Firebase Authentication, or null in local-only mode
+const firebaseAuth = isLocalOnly() ? null : await loadFirebaseAuth();
 
 // Current authenticated user
-let currentUser = null;
+let currentUser = isLocalOnly() ? config.localUser : null;
+
+// Minimum password length enforced by Firebase Authentication
+export const MIN_PASSWORD_LENGTH = 6;
+
+// Messages shown for Firebase Authentication error codes (English, translated when shown)
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'That email address is not valid.',
+    'auth/missing-email': 'Enter your email address.',
+    'auth/missing-password': 'Enter your password.',
+    'auth/invalid-credential': 'Wrong email address or password.',
+    'auth/invalid-login-credentials': 'Wrong email address or password.',
+    'auth/wrong-password': 'Wrong password.',
+    'auth/user-not-found': 'There is no account with that email address.',
+    'auth/user-disabled': 'This account has been disabled. Ask your administrator to enable it.',
+    'auth/user-mismatch': 'That password belongs to a different account.',
+    'auth/email-already-in-use': 'An account with that email address already exists. Log in or reset its password.',
+    'auth/weak-password': 'Choose a password with at least {count} characters.',
+    'auth/requires-recent-login': 'For your security, log out and log in again before changing this.',
+    'auth/too-many-requests': 'Too many attempts. Wait a few minutes and try again.',
+    'auth/network-request-failed': "Can't reach the server. Check your connection and try again.",
+    'auth/operation-not-allowed': 'Email/password accounts are not enabled for this app. Ask your administrator.',
+    'auth/admin-restricted-operation': 'New accounts are created by your administrator.',
+    'auth/unverified-email': 'Verify your email address first.'
+};
+
+/**
+ * Turn an authentication error into a message for the user
+ * @param {Error} error - Error thrown by this module or Firebase
+ * @returns {string}
+ */
+export function getAuthErrorMessage(error) {
+    if (error.code && AUTH_ERROR_MESSAGES[error.code]) {
+        return t(AUTH_ERROR_MESSAGES[error.code], { count: MIN_PASSWORD_LENGTH });
+    }
+    // Errors without a code are this module's own, already readable
+    return error.code ? t('Something went wrong ({code}). Please try again.', { code: error.code }) : error.message;
+}
+
+/**
+ * Get Firebase Authentication, which local-only mode doesn't have
+ * @returns {Object}
+ */
+function requireFirebaseAuth() {
+    if (!firebaseAuth) {
+        throw new Error('Accounts are not used in local-only mode');
+    }
+    return firebaseAuth;
+}
+
+/**
+ * Confirm the signed-in user's password before a sensitive change
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} - The signed-in Firebase user
+ */
+async function reauthenticate(password) {
+    const { reauthenticateWithCredential, EmailAuthProvider } = requireFirebaseAuth();
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to change account settings');
+    }
+    
+    await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+    return user;
+}
+
+/**
+ * Create or refresh a signed-in user's profile; a failure doesn't block sign-in
+ * @param {Object} user
+ * @returns {Promise<void>}
+ */
+async function refreshProfile(user) {
+    try {
+        await syncProfile(user);
+    } catch (error) {
+        // Already logged; retried on the next sign-in
+    }
+}
 
 /**
  * Login with email and password
@@ -22,7 +115,12 @@ let currentUser = null;
  * @returns {Promise<Object>} - The authenticated user object
  */
 export async function login(email, password) {
+    if (!firebaseAuth) {
+        return currentUser;
+    }
+    
     try {
+        const { auth, signInWithEmailAndPassword } = firebaseAuth;
         const userCredential = await signInWithEmailAndPassword(auth, email, password);
         currentUser = userCredential.user;
         return currentUser;
@@ -32,12 +130,140 @@ export async function login(email, password) {
     }
 }
 
+/**
+ * Create an account and send the address a verification email.
+ * The new user is signed in right away.
+ * @param {string} email - User's email address
+ * @param {string} password - Chosen password
+ * @returns {Promise<Object>} - The new user object
+ */
+export async function signUp(email, password) {
+    const { auth, createUserWithEmailAndPassword, sendEmailVerification } = requireFirebaseAuth();
+    
+    try {
+        const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+        currentUser = userCredential.user;
+        await sendEmailVerification(currentUser);
+        return currentUser;
+    } catch (error) {
+        console.error('Sign-up error:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Send a password reset email
+ * @param {string} email - Address of the account
+ * @returns {Promise<void>}
+ */
+export async function resetPassword(email) {
+    const { auth, sendPasswordResetEmail } = requireFirebaseAuth();
+    
+    try {
+        await sendPasswordResetEmail(auth, email);
+    } catch (error) {
+        console.error('Password reset error:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Whether the signed-in user has verified their email address
+ * (always true in local-only mode)
+ * @returns {boolean}
+ */
+export function isEmailVerified() {
+    if (!firebaseAuth) return true;
+    
+    const user = getCurrentUser();
+    return Boolean(user && user.emailVerified);
+}
+
+/**
+ * Send the signed-in user another verification email
+ * @returns {Promise<void>}
+ */
+export async function resendVerification() {
+    const { sendEmailVerification } = requireFirebaseAuth();
+    
+    try {
+        await sendEmailVerification(getCurrentUser());
+    } catch (error) {
+        console.error('Verification email error:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Reload the signed-in user to pick up a verification done in another tab.
+ * Also refreshes the ID token so the security rules see the new state.
+ * @returns {Promise<boolean>} - Whether the email address is verified now
+ */
+export async function refreshVerification() {
+    requireFirebaseAuth();
+    const user = getCurrentUser();
+    if (!user) return false;
+    
+    try {
+        await user.reload();
+        if (user.emailVerified) {
+            await user.getIdToken(true);
+        }
+        return user.emailVerified;
+    } catch (error) {
+        console.error('Reload user error:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Change the signed-in user's password
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @returns {Promise<void>}
+ */
+export async function changePassword(currentPassword, newPassword) {
+    const { updatePassword } = requireFirebaseAuth();
+    
+    try {
+        const user = await reauthenticate(currentPassword);
+        await updatePassword(user, newPassword);
+    } catch (error) {
+        console.error('Change password error:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Start changing the signed-in user's email address. Firebase emails a
+ * confirmation link to the new address; the change applies once it is clicked.
+ * @param {string} currentPassword
+ * @param {string} newEmail
+ * @returns {Promise<void>}
+ */
+export async function changeEmail(currentPassword, newEmail) {
+    const { verifyBeforeUpdateEmail } = requireFirebaseAuth();
+    
+    try {
+        const user = await reauthenticate(currentPassword);
+        await verifyBeforeUpdateEmail(user, newEmail);
+    } catch (error) {
+        console.error('Change email error:', error.message);
+        throw error;
+    }
+}
+
 /**
  * Logout the current user
  * @returns {Promise<void>}
  */
 export async function logout() {
+    if (!firebaseAuth) {
+        return;
+    }
+    
     try {
+        const { auth, signOut } = firebaseAuth;
         await signOut(auth);
         currentUser = null;
     } catch (error) {
@@ -51,7 +277,7 @@ export async function logout() {
  * @returns {Object|null} - The current user or null if not authenticated
  */
 export function getCurrentUser() {
-    return currentUser || auth.currentUser;
+    return currentUser || (firebaseAuth ? firebaseAuth.auth.currentUser : null);
 }
 
 /**
@@ -60,8 +286,21 @@ export function getCurrentUser() {
  * @returns {Function} - Unsubscribe function
  */
 export function onAuthChange(callback) {
-    return onAuthStateChanged(auth, (user) => {
+    if (!firebaseAuth) {
+        // The local user is signed in from the start
+        queueMicrotask(async () => {
+            await refreshProfile(currentUser);
+            callback(currentUser);
+        });
+        return () => {};
+    }
+    
+    const { auth, onAuthStateChanged } = firebaseAuth;
+    return onAuthStateChanged(auth, async (user) => {
         currentUser = user;
+        if (user) {
+            await refreshProfile(user);
+        }
         callback(user);
     });
 }
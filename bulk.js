@@ -0,0 +1,174 @@
+/**
+ * Bulk Edit Module
+ *
+ * Applies one action (set a rating, append to or replace the note, or clear)
+ * to the days selected in the calendar. All selected days are written in a
+ * single batch through saveEntries, so the range is saved all or nothing,
+ * and the previous entries are returned for undo.
+ */
+
+import { saveEntries, getEditLock, NOTE_MAX_LENGTH, MAX_BATCH_DAYS } from './calendar.js';
+import { t, tn } from './i18n.js';
+
+// Most days one bulk edit may change: they are saved in a single batch
+export const MAX_BULK_DAYS = MAX_BATCH_DAYS;
+
+// Actions that can be applied to a selection
+export const BULK_ACTIONS = {
+    RATE: 'rate',
+    APPEND_NOTE: 'append-note',
+    REPLACE_NOTE: 'replace-note',
+    CLEAR: 'clear'
+};
+
+/**
+ * Work out the change one action makes to a day
+ * @param {Object|undefined} entry - The day's entry, if logged
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {number|string} value - Rating 1-5, or note text
+ * @returns {Object|null|undefined} - New { rating, note, tags, journal, habits }, null to clear
+ *                                    the day, or undefined to leave it alone
+ */
+function applyAction(entry, action, value) {
+    switch (action) {
+        case BULK_ACTIONS.RATE:
+            return {
+                rating: value,
+                note: entry?.note || '',
+                tags: entry?.tags || [],
+                journal: entry?.journal || '',
+                habits: entry?.habits || []
+            };
+        case BULK_ACTIONS.APPEND_NOTE:
+            // A note needs a rated day to live on
+            if (!entry) return undefined;
+            return { ...entry, note: entry.note ? `${entry.note} ${value}` : value };
+        case BULK_ACTIONS.REPLACE_NOTE:
+            if (!entry) return undefined;
+            return { ...entry, note: value };
+        case BULK_ACTIONS.CLEAR:
+            return entry ? null : undefined;
+        default:
+            throw new Error(`Unknown bulk action: ${action}`);
+    }
+}
+
+/**
+ * Plan a bulk edit of the selected days without writing anything
+ * @param {Object} entries - The calendar's entries, by date
+ * @param {string[]} dates - Selected dates in YYYY-MM-DD format
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {number|string} [value] - Rating 1-5 for RATE, note text for the note actions
+ * @returns {{changes: Object[], skipped: number, locked: number}} - Changes for saveEntries,
+ *          how many days were left alone (empty days a note or clear can't apply to,
+ *          and days already as requested) and how many are locked (see getEditLock)
+ */
+export function planBulkEdit(entries, dates, action, value = '') {
+    if (dates.length > MAX_BULK_DAYS) {
+        throw new Error(t('Select at most {max} days at once', { max: MAX_BULK_DAYS }));
+    }
+
+    let input = value;
+    if (action === BULK_ACTIONS.RATE) {
+        input = parseInt(value);
+        if (!(input >= 1 && input <= 5)) {
+            throw new Error(t('Choose a rating from 1 to 5'));
+        }
+    } else if (action === BULK_ACTIONS.APPEND_NOTE || action === BULK_ACTIONS.REPLACE_NOTE) {
+        input = String(value).trim();
+        if (action === BULK_ACTIONS.APPEND_NOTE && !input) {
+            throw new Error(t('Enter the text to append'));
+        }
+    }
+
+    const changes = [];
+    const tooLong = [];
+    let locked = 0;
+    dates.forEach(date => {
+        if (getEditLock(date)) {
+            locked++;
+            return;
+        }
+
+        const entry = entries[date];
+        const next = applyAction(entry, action, input);
+        if (next === undefined) return;
+
+        if (next && next.note.length > NOTE_MAX_LENGTH) {
+            tooLong.push(date);
+            return;
+        }
+        // Leave days that already look like the result alone
+        if (next && entry && next.rating === entry.rating && next.note === (entry.note || '')) return;
+
+        changes.push({
+            date,
+            entry: next && {
+                rating: next.rating,
+                note: next.note,
+                tags: next.tags || [],
+                journal: next.journal || '',
+                habits: next.habits || []
+            }
+        });
+    });
+
+    if (tooLong.length > 0) {
+        throw new Error(tooLong.length === 1
+            ? t('Notes are limited to {max} characters; the note would get too long on {date}',
+                { max: NOTE_MAX_LENGTH, date: tooLong[0] })
+            : t('Notes are limited to {max} characters; the note would get too long on {count} days',
+                { max: NOTE_MAX_LENGTH, count: tooLong.length }));
+    }
+
+    return { changes, skipped: dates.length - changes.length - locked, locked };
+}
+
+/**
+ * Write a planned bulk edit in one batch
+ * @param {Object[]} changes - Output of planBulkEdit
+ * @returns {Promise<Object[]>} - Changes that undo the edit
+ */
+export async function applyBulkEdit(changes) {
+    const previous = await saveEntries(changes);
+
+    return changes.map(({ date }) => ({
+        date,
+        entry: previous[date] && {
+            rating: previous[date].rating,
+            note: previous[date].note,
+            tags: previous[date].tags,
+            journal: previous[date].journal,
+            habits: previous[date].habits
+        }
+    }));
+}
+
+/**
+ * Describe a bulk edit for the summary alert
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {number} changed - Days changed
+ * @param {number} skipped - Days left alone
+ * @param {number} [locked] - Days left out because they are locked
+ * @returns {string}
+ */
+export function describeBulkEdit(action, changed, skipped, locked = 0) {
+    const summaries = {
+        [BULK_ACTIONS.RATE]: ['Rated {count} day.', 'Rated {count} days.'],
+        [BULK_ACTIONS.APPEND_NOTE]: ['Added to the note of {count} day.', 'Added to the note of {count} days.'],
+        [BULK_ACTIONS.REPLACE_NOTE]: ['Replaced the note of {count} day.', 'Replaced the note of {count} days.'],
+        [BULK_ACTIONS.CLEAR]: ['Cleared {count} day.', 'Cleared {count} days.']
+    };
+
+    let message = tn(changed, ...summaries[action]);
+    if (skipped > 0) {
+        message += ' ' + (action === BULK_ACTIONS.RATE
+            ? tn(skipped, '{count} day left unchanged.', '{count} days left unchanged.')
+            : tn(skipped, '{count} day left unchanged (empty days or nothing to change).',
+                '{count} days left unchanged (empty days or nothing to change).'));
+    }
+    if (locked > 0) {
+        message += ' ' + tn(locked, '{count} locked day left out.', '{count} locked days left out.');
+    }
+    return message;
+}
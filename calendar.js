@@ -2,309 +2,1296 @@
  * Calendar Module
  * 
  * Handles calendar rendering and CRUD operations for daily entries.
- * Generates all dates for 2026 programmatically.
- */
-
-import { db } from './firebase.js';
-import { getCurrentUser } from './auth.js';
-import { 
-    collection, 
-    query, 
-    where, 
-    getDocs, 
-    setDoc, 
-    doc,
-    orderBy 
-} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
-
-// Year for the calendar
-const YEAR = 2026;
-
-// Month names for display
-const MONTH_NAMES = [
+ * Generates all dates for the selected year programmatically.
+ * Persistence goes through the storage backend selected in config.js;
+ * other users' calendars are read as far as their sharing settings allow.
+ */
+
+import { getCurrentUser, isEmailVerified } from './auth.js';
+import { storage } from './storage.js';
+import { normalizeTags, hasAnyTag } from './tags.js';
+import { normalizeHabits, getHabitColor } from './habits.js';
+import { getVisibility, getVisibilityFor, canSeeAnything, ensureSharing, FULL_VISIBILITY, NO_VISIBILITY } from './sharing.js';
+import { getAllProfiles } from './profiles.js';
+import { countWords } from './markdown.js';
+import {
+    t,
+    tn,
+    getMonthNames,
+    getDayNames,
+    formatLocalDate,
+    formatLocalDateRange,
+    getLanguageWeekStart
+} from './i18n.js';
+
+// Bounds for year navigation
+const MIN_YEAR = 2000;
+const MAX_YEAR = 2100;
+
+// Year currently shown in the calendar (defaults to the current year)
+let currentYear = new Date().getFullYear();
+
+// English month names for exported files; the UI uses getMonthNames() (i18n.js)
+export const MONTH_NAMES = [
     'January', 'February', 'March', 'April', 'May', 'June',
     'July', 'August', 'September', 'October', 'November', 'December'
 ];
 
-// Day names for header
-const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Maximum length of the short note shown in day cells
+export const NOTE_MAX_LENGTH = 50;
+
+// Maximum length of a day's Markdown journal (stored with the note)
+export const JOURNAL_MAX_LENGTH = 10000;
+
+// Most days saveEntries writes at once (the Firestore backend batches 3 writes per day)
+export const MAX_BATCH_DAYS = 150;
+
+// Calendar layouts
+export const VIEW_MODES = {
+    YEAR: 'year',
+    HEATMAP: 'heatmap',
+    MONTH: 'month',
+    WEEK: 'week'
+};
+
+// English day names for exported files; the UI uses getDayNames() (i18n.js)
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// First day of the week (0 = Sunday), or null for the UI language's custom
+let weekStart = null;
+
+// Why a day can't be edited (see getEditLock)
+export const EDIT_LOCKS = {
+    FUTURE: 'future',
+    EXPIRED: 'expired'
+};
+
+// Days after a day during which the logged-in user may still edit it
+// (0 = only on the day itself), or null for no limit
+let editWindowDays = null;
+
+// Store entries for the currently viewed user
+let currentEntries = {};
+let viewingUserId = null;
+// What the logged-in user may see of the viewed calendar
+let viewingVisibility = FULL_VISIBILITY;
+
+// Live subscription to the viewed calendar
+let unsubscribeEntries = null;
+let watchToken = 0;
+
+// Options of the last rendered calendar, reused when patching day cells
+let renderOptions = {
+    container: null,
+    isEditable: false,
+    onDayClick: null,
+    onYearChange: null,
+    onDayRate: null,
+    onDayClear: null,
+    onSelectionChange: null
+};
+
+// Days selected for a bulk edit (shift-click, drag or Shift+arrows), and the
+// day a shift-click range starts from
+let selectedDates = new Set();
+let selectionAnchor = null;
+
+// Day a mouse drag started on; a drag that reached another day swallows the click
+let dragStart = null;
+let dragSelected = false;
+
+// The day cell reached with Tab (roving tabindex); focusPending moves
+// focus to it after the next render, e.g. when arrows cross into another year
+let activeDate = null;
+let focusPending = false;
+
+// Arrow key steps in days; the heatmap runs weeks left to right
+const ARROW_STEPS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+const PIXEL_ARROW_STEPS = { ArrowLeft: -7, ArrowRight: 7, ArrowUp: -1, ArrowDown: 1 };
+
+// Selected layout, and the day whose month or week the month/week views show
+let viewMode = VIEW_MODES.YEAR;
+let viewDate = null;
+
+// Tags whose days are highlighted (empty = no filter)
+let tagFilter = [];
+
+// Habit list of the viewed calendar's owner, for the order and colors of habit dots
+let viewingHabits = [];
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date 
+ * @returns {string}
+ */
+export function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the number of days in a month
+ * @param {number} month - 0-indexed month
+ * @param {number} year 
+ * @returns {number}
+ */
+export function getDaysInMonth(month, year) {
+    return new Date(year, month + 1, 0).getDate();
+}
+
+/**
+ * Get the first day of the week the calendar starts its rows with
+ * @returns {number} - 0 (Sunday) to 6 (Saturday)
+ */
+export function getWeekStart() {
+    return weekStart ?? getLanguageWeekStart();
+}
+
+/**
+ * Select the first day of the week used by the next render
+ * @param {number|string|null} day - 0 (Sunday) to 6 (Saturday), or null for the language's custom
+ */
+export function setWeekStart(day) {
+    const parsed = parseInt(day);
+    weekStart = parsed >= 0 && parsed <= 6 ? parsed : null;
+}
+
+/**
+ * Get the column of a weekday in a week row, counting from the week start
+ * @param {number} day - Day of week as from Date.getDay() (0 = Sunday)
+ * @returns {number} - 0 to 6
+ */
+export function getWeekdayColumn(day) {
+    return (day - getWeekStart() + 7) % 7;
+}
+
+/**
+ * Get the weekdays in the order the calendar's columns show them
+ * @returns {number[]} - Days of week as from Date.getDay()
+ */
+export function getWeekdayOrder() {
+    return Array.from({ length: 7 }, (_, column) => (getWeekStart() + column) % 7);
+}
+
+/**
+ * Get the column the first day of a month falls in
+ * @param {number} month - 0-indexed month
+ * @param {number} year 
+ * @returns {number}
+ */
+function getFirstDayOfMonth(month, year) {
+    return getWeekdayColumn(new Date(year, month, 1).getDay());
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ * @param {string} dateStr
+ * @returns {Date}
+ */
+function parseDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the logged-in user's edit window
+ * @returns {number|null} - Days after a day it stays editable, or null for no limit
+ */
+export function getEditWindow() {
+    return editWindowDays;
+}
+
+/**
+ * Set the logged-in user's edit window (from their preferences)
+ * @param {number|string|null} days - Days after a day it stays editable, or null for no limit
+ */
+export function setEditWindow(days) {
+    const parsed = parseInt(days);
+    editWindowDays = parsed >= 0 ? parsed : null;
+}
+
+/**
+ * Check whether the logged-in user may change a day: future days can't be
+ * logged yet, and with an edit window older days are locked
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Date} [today] - Current date (injectable for predictable results)
+ * @returns {string|null} - One of EDIT_LOCKS, or null if the day can be edited
+ */
+export function getEditLock(dateStr, today = new Date()) {
+    if (dateStr > formatDate(today)) {
+        return EDIT_LOCKS.FUTURE;
+    }
+    if (editWindowDays !== null) {
+        const oldest = new Date(today.getFullYear(), today.getMonth(), today.getDate() - editWindowDays);
+        if (dateStr < formatDate(oldest)) {
+            return EDIT_LOCKS.EXPIRED;
+        }
+    }
+    return null;
+}
+
+/**
+ * Explain why a day is locked
+ * @param {string} lock - One of EDIT_LOCKS
+ * @returns {string}
+ */
+export function describeEditLock(lock) {
+    if (lock === EDIT_LOCKS.FUTURE) {
+        return t("Future days can't be logged yet.");
+    }
+    if (editWindowDays === 0) {
+        return t('Days can only be edited on the day itself.');
+    }
+    return tn(editWindowDays, 'Days can only be edited for {count} day afterwards.',
+        'Days can only be edited for {count} days afterwards.');
+}
+
+/**
+ * Refuse to write days the logged-in user may not change
+ * @param {string[]} dates - Dates in YYYY-MM-DD format
+ */
+function checkEditable(dates) {
+    dates.forEach(date => {
+        const lock = getEditLock(date);
+        if (lock) {
+            throw new Error(t('{date} is locked. {reason}', { date, reason: describeEditLock(lock) }));
+        }
+    });
+}
+
+/**
+ * Get the year currently shown in the calendar
+ * @returns {number}
+ */
+export function getYear() {
+    return currentYear;
+}
+
+/**
+ * Set the year shown in the calendar
+ * @param {number|string} year 
+ * @returns {number} - The year that was set
+ */
+export function setYear(year) {
+    const parsed = parseInt(year);
+    if (isNaN(parsed) || parsed < MIN_YEAR || parsed > MAX_YEAR) {
+        throw new Error(t('Year must be between {min} and {max}', { min: MIN_YEAR, max: MAX_YEAR }));
+    }
+    if (parsed !== currentYear) {
+        clearSelection();
+    }
+    currentYear = parsed;
+    return currentYear;
+}
+
+/**
+ * Fetch entries for a specific user without touching the calendar cache
+ * @param {string} userId 
+ * @param {number|null} [year] - Year to fetch, or null for all years
+ * @returns {Promise<Object>} - Object mapping date strings to entry data
+ */
+export async function getUserEntries(userId, year = null) {
+    try {
+        const visibility = await getVisibilityFor(userId);
+        if (!canSeeAnything(visibility)) {
+            throw new Error(t('This calendar is private'));
+        }
+        return await storage.getUserEntries(userId, year, visibility);
+    } catch (error) {
+        console.error('Error loading entries:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load entries for a specific user in a given year into the calendar cache
+ * @param {string} userId 
+ * @param {number} [year] - Year to load, defaults to the selected year
+ * @returns {Promise<Object>} - Object mapping date strings to entry data
+ */
+export async function loadUserEntries(userId, year = currentYear) {
+    const entries = await getUserEntries(userId, year);
+    currentEntries = entries;
+    viewingUserId = userId;
+    return entries;
+}
+
+/**
+ * Subscribe to live updates of a user's entries for a given year.
+ * Replaces any previous subscription, so only one calendar is watched at a time.
+ * @param {string} userId 
+ * @param {number} year 
+ * @param {Function} onChange - Called with the array of changed dates after the first snapshot
+ * @param {Function} onStatus - Called with 'live', 'reconnecting' or 'stopped' (the
+ *                              listener failed, e.g. the calendar is no longer shared)
+ * @returns {Promise<Object>} - Resolves with the entries once the first snapshot arrives
+ */
+export async function watchUserEntries(userId, year, onChange, onStatus) {
+    stopWatchingEntries();
+    const token = ++watchToken;
+    
+    const visibility = await getVisibilityFor(userId);
+    if (!canSeeAnything(visibility)) {
+        throw new Error(t('This calendar is private'));
+    }
+    
+    return new Promise((resolve, reject) => {
+        // Replaced while the sharing settings loaded: never settles, like a replaced listener
+        if (token !== watchToken) return;
+        let initialized = false;
+        
+        unsubscribeEntries = storage.watchUserEntries(userId, year, {
+            onInitial: (entries) => {
+                // Ignore late snapshots from a listener that was replaced
+                if (token !== watchToken) return;
+                currentEntries = entries;
+                viewingUserId = userId;
+                viewingVisibility = visibility;
+                initialized = true;
+                resolve(entries);
+            },
+            onChange: (changes) => {
+                if (token !== watchToken) return;
+                changes.forEach(({ date, entry }) => {
+                    if (entry) {
+                        currentEntries[date] = entry;
+                    } else {
+                        delete currentEntries[date];
+                    }
+                });
+                onChange(changes.map(change => change.date));
+            },
+            onStatus: (status) => {
+                if (token !== watchToken) return;
+                onStatus(status);
+            },
+            onError: (error) => {
+                if (token !== watchToken) return;
+                console.error('Error watching entries:', error);
+                // A failed listener is closed for good: drop the rest of it
+                // rather than wait for updates that never come
+                stopWatchingEntries();
+                if (initialized) {
+                    onStatus('stopped');
+                } else {
+                    reject(error);
+                }
+            }
+        }, visibility);
+    });
+}
+
+/**
+ * Stop the live subscription to the viewed calendar, if any
+ */
+export function stopWatchingEntries() {
+    if (unsubscribeEntries) {
+        unsubscribeEntries();
+        unsubscribeEntries = null;
+    }
+    watchToken++;
+}
+
+/**
+ * Whether a day of the logged-in user's calendar is in the entries cache,
+ * i.e. their own calendar of that year is the one on screen
+ * @param {Object} user - The logged-in user
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+function isCachedDay(user, date) {
+    return viewingUserId === user.uid && date.startsWith(`${currentYear}-`);
+}
+
+/**
+ * Save or update an entry for a specific date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} rating - Rating 1-5
+ * @param {string} note - Short note text
+ * @param {string[]} [tags] - Tags describing the day
+ * @param {string} [journal] - Markdown journal text
+ * @param {string[]} [habits] - Names of the habits done that day
+ * @returns {Promise<void>}
+ */
+export async function saveEntry(date, rating, note, tags = [], journal = '', habits = []) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to save entries');
+    }
+    if (!isEmailVerified()) {
+        throw new Error(t('Verify your email address before logging days'));
+    }
+    checkEditable([date]);
+    
+    try {
+        const entry = await storage.saveEntry(user, date, {
+            rating: parseInt(rating),
+            note: note || '',
+            tags: normalizeTags(tags),
+            journal: journal || '',
+            habits: normalizeHabits(habits)
+        });
+        
+        // Update local cache, unless another calendar or year is on screen (e.g. imports)
+        if (isCachedDay(user, date)) {
+            currentEntries[date] = entry;
+        }
+    } catch (error) {
+        console.error('Error saving entry:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save or clear several days of the logged-in user's calendar in one
+ * atomic write (see storage.saveEntries)
+ * @param {Object[]} changes - [{ date, entry }], entry being { rating, note, tags, journal, habits }
+ *                             or null to clear the day
+ * @returns {Promise<Object>} - The entries the days had before, by date
+ *                              (null for empty days), for undo
+ */
+export async function saveEntries(changes) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to save entries');
+    }
+    if (!isEmailVerified()) {
+        throw new Error(t('Verify your email address before logging days'));
+    }
+    checkEditable(changes.map(({ date }) => date));
+    
+    try {
+        const previous = {};
+        changes.forEach(({ date }) => {
+            previous[date] = currentEntries[date] || null;
+        });
+        
+        const saved = await storage.saveEntries(user, changes.map(({ date, entry }) => ({
+            date,
+            fields: entry ? {
+                rating: parseInt(entry.rating),
+                note: entry.note || '',
+                tags: normalizeTags(entry.tags || []),
+                journal: entry.journal || '',
+                habits: normalizeHabits(entry.habits || [])
+            } : null
+        })));
+        
+        // Update local cache
+        Object.entries(saved).filter(([date]) => isCachedDay(user, date)).forEach(([date, entry]) => {
+            if (entry) {
+                currentEntries[date] = entry;
+            } else {
+                delete currentEntries[date];
+            }
+        });
+        return previous;
+    } catch (error) {
+        console.error('Error saving entries:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete the entry for a specific date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} - The removed entry (for undo), or null if there was none
+ */
+export async function deleteEntry(date) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to delete entries');
+    }
+    if (!isEmailVerified()) {
+        throw new Error(t('Verify your email address before logging days'));
+    }
+    checkEditable([date]);
+    
+    try {
+        const removed = currentEntries[date] || null;
+        await storage.deleteEntry(user, date);
+        
+        // Update local cache
+        delete currentEntries[date];
+        return removed;
+    } catch (error) {
+        console.error('Error deleting entry:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move a habit list kept in the user's profile (readable by every signed-in
+ * user) to its own document, which is shared like the ratings
+ * @param {Object} user
+ * @returns {Promise<void>}
+ */
+async function migrateHabitList(user) {
+    const profile = await storage.getProfile(user.uid);
+    if (!profile || !profile.preferences || !('habits' in profile.preferences)) return;
+
+    const saved = await storage.getHabitList(user.uid, FULL_VISIBILITY);
+    if (saved.length === 0 && profile.preferences.habits.length > 0) {
+        await storage.saveHabitList(user, normalizeHabits(profile.preferences.habits));
+    }
+    delete profile.preferences.habits;
+    await storage.saveProfile(user.uid, profile);
+}
+
+/**
+ * Load the habit list of a calendar's owner, if the logged-in user may
+ * see their ratings
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+export async function getHabitList(userId) {
+    try {
+        return normalizeHabits(await storage.getHabitList(userId, await getVisibilityFor(userId)));
+    } catch (error) {
+        console.error('Error loading habits:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save the logged-in user's habit list
+ * @param {string[]} habits
+ * @returns {Promise<string[]>} - The normalized list as saved
+ */
+export async function saveHabitList(habits) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to save habits');
+    }
+
+    try {
+        const normalized = normalizeHabits(habits);
+        await storage.saveHabitList(user, normalized);
+        return normalized;
+    } catch (error) {
+        console.error('Error saving habits:', error);
+        throw error;
+    }
+}
+
+/**
+ * Prepare the storage for a user who just logged in: run migrations and
+ * create default sharing settings
+ * @param {Object} user
+ * @returns {Promise<void>}
+ */
+export async function setupUser(user) {
+    // Every step runs even if another fails: without sharing settings
+    // nobody else sees the calendar, so a failed migration mustn't skip them
+    const steps = [() => storage.setupUser(user), () => ensureSharing(user), () => migrateHabitList(user)];
+    let failure = null;
+    for (const step of steps) {
+        try {
+            await step();
+        } catch (error) {
+            console.error('Error setting up user:', error);
+            failure = failure || error;
+        }
+    }
+    if (failure) {
+        throw failure;
+    }
+}
+
+/**
+ * Get the users whose calendars the logged-in user may see, themselves included
+ * @returns {Promise<Array>} - [{ uid, profile, visibility }], profile null if never saved
+ */
+export async function getAllUsers() {
+    const viewer = getCurrentUser();
+    if (!viewer) return [];
+    
+    try {
+        const [profiles, sharing] = await Promise.all([getAllProfiles(), storage.getAllSharing()]);
+        // The rules show other calendars to verified accounts only
+        const verified = isEmailVerified();
+        const users = profiles.map(profile => ({
+            uid: profile.uid,
+            profile,
+            visibility: verified || profile.uid === viewer.uid
+                ? getVisibility(sharing[profile.uid] || null, profile.uid, viewer.uid)
+                : NO_VISIBILITY
+        }));
+        
+        // Profile not saved yet (e.g. first login while offline)
+        if (!users.some(user => user.uid === viewer.uid)) {
+            users.unshift({ uid: viewer.uid, profile: null, visibility: FULL_VISIBILITY });
+        }
+        return users.filter(user => canSeeAnything(user.visibility));
+    } catch (error) {
+        console.error('Error getting users:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get all entries the logged-in user may see, for export and search
+ * (from the local cache when offline)
+ * @param {number|null} [year] - Limit to one year, or null for all years
+ * @param {string[]|null} [uids] - Limit to these users (e.g. a group's members), or null for everyone
+ * @returns {Promise<Array>}
+ */
+export async function getAllEntries(year = null, uids = null) {
+    try {
+        const users = (await getAllUsers()).filter(user => !uids || uids.includes(user.uid));
+        return await storage.getAllEntries(year, users.map(({ uid, visibility }) => ({ uid, visibility })));
+    } catch (error) {
+        console.error('Error getting all entries:', error);
+        throw error;
+    }
+}
+
+/**
+ * Describe a day for screen readers, e.g. "March 14, rated 4 of 5: note text"
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Object|undefined} entry
+ * @returns {string}
+ */
+function describeDay(dateStr, entry) {
+    const date = parseDate(dateStr);
+    let label = formatLocalDate(date, { month: 'long', day: 'numeric' });
+    
+    if (entry && entry.rating) {
+        label += t(', rated {rating} of 5', { rating: entry.rating });
+    } else if (!entry) {
+        label += t(', not logged');
+    }
+    if (entry && entry.note) {
+        label += `: ${entry.note}`;
+    }
+    if (entry && entry.tags && entry.tags.length > 0) {
+        label += t('. Tags: {tags}', { tags: entry.tags.join(', ') });
+    }
+    if (entry && entry.habits && entry.habits.length > 0) {
+        label += t('. Habits done: {habits}', { habits: entry.habits.join(', ') });
+    }
+    if (entry && entry.journal) {
+        label += t('. Has a journal entry');
+    }
+    if (entry && entry.pending) {
+        label += t('. Waiting to sync');
+    }
+    if (formatDate(new Date()) === dateStr) {
+        label += t('. Today');
+    }
+    if (renderOptions.isEditable && getEditLock(dateStr)) {
+        label += t('. Locked');
+    }
+    return label;
+}
+
+/**
+ * Fill a day cell with the day number, rating and note preview of its entry
+ * @param {HTMLElement} dayContent - The .day-cell element
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ */
+function fillDayCell(dayContent, dateStr) {
+    const entry = currentEntries[dateStr];
+    const variant = dayContent.dataset.variant;
+    
+    if (variant === 'pixel') {
+        dayContent.className = 'day-cell day-pixel rounded-1';
+    } else if (variant === 'full') {
+        dayContent.className = 'day-cell day-cell-full p-2 border rounded';
+    } else {
+        dayContent.className = 'day-cell p-1 border rounded text-center';
+    }
+    dayContent.innerHTML = '';
+    
+    // Add rating-based color class
+    if (entry && entry.rating) {
+        dayContent.classList.add(`rating-${entry.rating}`);
+    }
+    
+    const todayStr = formatDate(new Date());
+    if (dateStr === todayStr) {
+        dayContent.classList.add('day-today');
+    } else if (dateStr > todayStr) {
+        dayContent.classList.add('day-future');
+    }
+    
+    const lock = renderOptions.isEditable ? getEditLock(dateStr) : null;
+    if (renderOptions.isEditable) {
+        dayContent.classList.add('editable');
+        dayContent.classList.toggle('day-locked', Boolean(lock));
+        dayContent.style.cursor = lock ? 'not-allowed' : 'pointer';
+    }
+    
+    // Tag filter: highlight matching days, dim the rest
+    if (tagFilter.length > 0) {
+        dayContent.classList.add(hasAnyTag(entry, tagFilter) ? 'tag-match' : 'tag-dimmed');
+    }
+    
+    if (selectedDates.has(dateStr)) {
+        dayContent.classList.add('day-selected');
+    }
+    if (renderOptions.isEditable && variant !== 'pixel') {
+        dayContent.setAttribute('aria-selected', String(selectedDates.has(dateStr)));
+    }
+    
+    // Tooltip with tags and sync state (pixels have no room for text, so they show it all)
+    const tooltip = [];
+    if (variant === 'pixel') {
+        tooltip.push(entry && entry.rating ? `${dateStr}: ${'★'.repeat(entry.rating)}` : dateStr);
+        if (entry && entry.note) {
+            tooltip.push(entry.note);
+        }
+    }
+    if (entry && entry.tags && entry.tags.length > 0) {
+        tooltip.push(entry.tags.map(tag => `#${tag}`).join(' '));
+    }
+    if (entry && entry.habits && entry.habits.length > 0) {
+        tooltip.push(entry.habits.map(habit => `✓ ${habit}`).join(' '));
+    }
+    
+    // The short note stays the preview; a corner mark shows there is more to read
+    if (entry && entry.journal) {
+        dayContent.classList.add('has-journal');
+        const words = countWords(entry.journal);
+        tooltip.push(tn(words, 'Journal entry, {count} word', 'Journal entry, {count} words'));
+    }
+    
+    // Marker for edits that haven't reached the server yet
+    if (entry && entry.pending) {
+        dayContent.classList.add('pending-sync');
+        tooltip.push(t('Waiting to sync'));
+    }
+    if (lock) {
+        tooltip.push(describeEditLock(lock));
+    }
+    
+    if (tooltip.length > 0) {
+        dayContent.title = tooltip.join('\n');
+    } else {
+        dayContent.removeAttribute('title');
+    }
+    dayContent.setAttribute('aria-label', describeDay(dateStr, entry));
+    
+    if (variant === 'pixel') return;
+    
+    // Day number
+    const dayNum = document.createElement('div');
+    dayNum.className = 'fw-bold small';
+    dayNum.textContent = parseInt(dateStr.substring(8, 10));
+    dayContent.appendChild(dayNum);
+    
+    // Rating display
+    if (entry && entry.rating) {
+        const ratingDisplay = document.createElement('div');
+        ratingDisplay.className = 'rating-stars small';
+        ratingDisplay.textContent = '★'.repeat(entry.rating);
+        dayContent.appendChild(ratingDisplay);
+    }
+    
+    // One dot per habit done, in the owner's order
+    if (entry && entry.habits && entry.habits.length > 0) {
+        const dots = document.createElement('div');
+        dots.className = 'habit-dots';
+        dots.setAttribute('aria-hidden', 'true');
+        [...entry.habits]
+            .sort((a, b) => orderHabit(a) - orderHabit(b))
+            .forEach(habit => {
+                const dot = document.createElement('span');
+                dot.className = `habit-dot habit-color-${getHabitColor(habit, viewingHabits)}`;
+                dots.appendChild(dot);
+            });
+        dayContent.appendChild(dots);
+    }
+    
+    // Large cells show the whole note and the tags
+    if (variant === 'full') {
+        if (entry && entry.note) {
+            const note = document.createElement('div');
+            note.className = 'day-note small';
+            note.textContent = entry.note;
+            dayContent.appendChild(note);
+        }
+        if (entry && entry.tags && entry.tags.length > 0) {
+            const tags = document.createElement('div');
+            tags.className = 'd-flex flex-wrap gap-1 mt-1';
+            entry.tags.forEach(tag => {
+                const badge = document.createElement('span');
+                badge.className = 'badge rounded-pill bg-light text-dark border';
+                badge.textContent = tag;
+                tags.appendChild(badge);
+            });
+            dayContent.appendChild(tags);
+        }
+        return;
+    }
+    
+    // Note preview (truncated)
+    if (entry && entry.note) {
+        const notePreview = document.createElement('div');
+        notePreview.className = 'text-muted small text-truncate';
+        notePreview.style.fontSize = '0.65rem';
+        notePreview.textContent = entry.note.substring(0, 10);
+        notePreview.title = entry.note;
+        dayContent.appendChild(notePreview);
+    }
+}
+
+/**
+ * Create a day cell: filled from the entries cache, clickable when editable
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} [variant] - 'pixel' (heatmap), 'full' (month/week views) or default
+ * @returns {HTMLElement}
+ */
+function createDayCell(dateStr, variant = '') {
+    const dayContent = document.createElement('div');
+    dayContent.dataset.date = dateStr;
+    if (variant) {
+        dayContent.dataset.variant = variant;
+    }
+    // Heatmap pixels are laid out in columns, not grid rows
+    dayContent.setAttribute('role', variant === 'pixel' ? 'button' : 'gridcell');
+    dayContent.tabIndex = -1;
+    fillDayCell(dayContent, dateStr);
+    
+    // Reads the cache at click time so live updates apply
+    if (renderOptions.isEditable) {
+        dayContent.addEventListener('click', (event) => handleDayCellClick(event, dateStr));
+        dayContent.addEventListener('pointerdown', (event) => {
+            if (event.pointerType === 'mouse' && event.button === 0 && !event.shiftKey) {
+                dragStart = dateStr;
+                dragSelected = false;
+            }
+        });
+        dayContent.addEventListener('pointerenter', () => {
+            if (dragStart && (dragSelected || dateStr !== dragStart)) {
+                dragSelected = true;
+                selectRange(dragStart, dateStr);
+            }
+        });
+    }
+    dayContent.addEventListener('focus', () => setActiveCell(dayContent));
+    dayContent.addEventListener('keydown', (event) => handleDayKey(event, dateStr, variant));
+    
+    return dayContent;
+}
+
+/**
+ * Handle a click on a day of an editable calendar: shift-click selects the
+ * range from the last clicked day, a plain click opens the day
+ * @param {MouseEvent} event
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ */
+function handleDayCellClick(event, dateStr) {
+    if (dragSelected) {
+        // The click ending a drag selection
+        dragSelected = false;
+        return;
+    }
+    if (event.shiftKey) {
+        selectRange(selectionAnchor || activeDate || dateStr, dateStr);
+        return;
+    }
+    
+    clearSelection();
+    selectionAnchor = dateStr;
+    renderOptions.onDayClick(dateStr, currentEntries[dateStr]);
+}
+
+/**
+ * End a mouse drag wherever the button is released (adding this listener
+ * again on every render is a no-op)
+ */
+function endDrag() {
+    dragStart = null;
+    // The click that follows may land outside the day cells
+    setTimeout(() => {
+        dragSelected = false;
+    });
+}
+
+/**
+ * Repaint day cells whose selection changed and report the new selection
+ * @param {Set<string>} previous - Dates selected before
+ */
+function updateSelection(previous) {
+    const changed = new Set([...previous, ...selectedDates]);
+    changed.forEach(date => {
+        if (previous.has(date) !== selectedDates.has(date)) {
+            const dayContent = findDayCell(date);
+            if (dayContent) {
+                fillDayCell(dayContent, date);
+            }
+        }
+    });
+    
+    if (renderOptions.onSelectionChange) {
+        renderOptions.onSelectionChange(getSelectedDates());
+    }
+}
+
+/**
+ * Select every day of the viewed year between two dates (inclusive, in any order)
+ * @param {string} from - Date in YYYY-MM-DD format
+ * @param {string} to - Date in YYYY-MM-DD format
+ */
+function selectRange(from, to) {
+    // The entries cache holds the viewed year only
+    const first = from < to ? from : to;
+    const last = from < to ? to : from;
+    const start = parseDate(first < `${currentYear}-01-01` ? `${currentYear}-01-01` : first);
+    const end = last > `${currentYear}-12-31` ? `${currentYear}-12-31` : last;
+    
+    const previous = selectedDates;
+    selectedDates = new Set();
+    for (let date = start; formatDate(date) <= end; date.setDate(date.getDate() + 1)) {
+        selectedDates.add(formatDate(date));
+    }
+    selectionAnchor = from;
+    updateSelection(previous);
+}
 
-// Store entries for the currently viewed user
-let currentEntries = {};
-let viewingUserId = null;
+/**
+ * Get the days selected for a bulk edit
+ * @returns {string[]} - Dates in YYYY-MM-DD format, in order
+ */
+export function getSelectedDates() {
+    return Array.from(selectedDates).sort();
+}
 
 /**
- * Format a date as YYYY-MM-DD
- * @param {Date} date 
- * @returns {string}
+ * Deselect every day
  */
-function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+export function clearSelection() {
+    if (selectedDates.size === 0) return;
+    
+    const previous = selectedDates;
+    selectedDates = new Set();
+    updateSelection(previous);
 }
 
 /**
- * Get the number of days in a month
- * @param {number} month - 0-indexed month
- * @param {number} year 
- * @returns {number}
+ * Find the rendered day cell of a date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {HTMLElement|null}
  */
-function getDaysInMonth(month, year) {
-    return new Date(year, month + 1, 0).getDate();
+function findDayCell(dateStr) {
+    return renderOptions.container
+        ? renderOptions.container.querySelector(`.day-cell[data-date="${dateStr}"]`)
+        : null;
 }
 
 /**
- * Get the day of week for the first day of a month (0 = Sunday)
- * @param {number} month - 0-indexed month
- * @param {number} year 
- * @returns {number}
+ * Make a day cell the one reached with Tab
+ * @param {HTMLElement} dayContent
  */
-function getFirstDayOfMonth(month, year) {
-    return new Date(year, month, 1).getDay();
+function setActiveCell(dayContent) {
+    activeDate = dayContent.dataset.date;
+    renderOptions.container.querySelectorAll('.day-cell[tabindex="0"]').forEach(cell => {
+        if (cell !== dayContent) cell.tabIndex = -1;
+    });
+    dayContent.tabIndex = 0;
 }
 
 /**
- * Load all entries for a specific user
- * @param {string} userId 
- * @returns {Promise<Object>} - Object mapping date strings to entry data
+ * After a render, give Tab a day to land on: the active day, else today,
+ * else the first day shown
  */
-export async function loadUserEntries(userId) {
-    try {
-        const entriesRef = collection(db, 'entries');
-        const q = query(
-            entriesRef, 
-            where('userId', '==', userId),
-            orderBy('date')
-        );
-        
-        const snapshot = await getDocs(q);
-        const entries = {};
-        
-        snapshot.forEach((doc) => {
-            const data = doc.data();
-            entries[data.date] = {
-                id: doc.id,
-                rating: data.rating,
-                note: data.note
-            };
-        });
-        
-        currentEntries = entries;
-        viewingUserId = userId;
-        return entries;
-    } catch (error) {
-        console.error('Error loading entries:', error);
-        throw error;
+function initRovingFocus() {
+    const dayContent = (activeDate && findDayCell(activeDate))
+        || findDayCell(formatDate(new Date()))
+        || renderOptions.container.querySelector('.day-cell[data-date]');
+    if (!dayContent) return;
+    
+    setActiveCell(dayContent);
+    if (focusPending) {
+        focusPending = false;
+        dayContent.focus();
     }
 }
 
 /**
- * Save or update an entry for a specific date
- * @param {string} date - Date in YYYY-MM-DD format
- * @param {number} rating - Rating 1-5
- * @param {string} note - Short note text
- * @returns {Promise<void>}
+ * Move keyboard focus to a day, showing its month, week or year first
+ * @param {string} dateStr - Date in YYYY-MM-DD format
  */
-export async function saveEntry(date, rating, note) {
-    const user = getCurrentUser();
-    if (!user) {
-        throw new Error('Must be logged in to save entries');
-    }
+function moveFocusTo(dateStr) {
+    const date = parseDate(dateStr);
+    if (date.getFullYear() < MIN_YEAR || date.getFullYear() > MAX_YEAR) return;
     
-    try {
-        // Use a composite document ID for uniqueness: userId_date
-        const docId = `${user.uid}_${date}`;
-        const entryRef = doc(db, 'entries', docId);
-        
-        await setDoc(entryRef, {
-            userId: user.uid,
-            userEmail: user.email || null,
-            date: date,
-            rating: parseInt(rating),
-            note: note || ''
-        });
-        
-        // Update local cache
-        currentEntries[date] = {
-            id: docId,
-            rating: parseInt(rating),
-            note: note || ''
-        };
-    } catch (error) {
-        console.error('Error saving entry:', error);
-        throw error;
+    activeDate = dateStr;
+    let dayContent = findDayCell(dateStr);
+    if (!dayContent) {
+        // The render (now, or once the other year has loaded) focuses the day
+        viewDate = date;
+        focusPending = true;
+        if (date.getFullYear() !== currentYear) {
+            renderOptions.onYearChange(date.getFullYear());
+            return;
+        }
+        rerenderCalendar();
+        return;
     }
+    
+    setActiveCell(dayContent);
+    dayContent.focus();
 }
 
 /**
- * Get all unique user IDs from entries
- * @returns {Promise<string[]>}
+ * Handle a key pressed on a day cell: arrows move, t jumps to today, and on
+ * your own calendar 1-5 rate the day, Enter edits it, Delete clears it,
+ * Shift+arrows extend the selection and Escape drops it
+ * @param {KeyboardEvent} event
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} variant - Day cell variant
  */
-export async function getAllUsers() {
-    try {
-        const entriesRef = collection(db, 'entries');
-        const snapshot = await getDocs(entriesRef);
-        const usersMap = new Map();
-        snapshot.forEach((doc) => {
-            const data = doc.data();
-            const uid = data.userId;
-            const email = data.userEmail || null;
-            if (!usersMap.has(uid)) {
-                usersMap.set(uid, email);
-            }
-        });
+function handleDayKey(event, dateStr, variant) {
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+    
+    const steps = variant === 'pixel' ? PIXEL_ARROW_STEPS : ARROW_STEPS;
+    const { isEditable, onDayClick, onDayRate, onDayClear } = renderOptions;
+    
+    if (event.key in steps) {
+        const date = parseDate(dateStr);
+        const target = formatDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + steps[event.key]));
+        if (isEditable && event.shiftKey) {
+            const anchor = selectedDates.size > 0 && selectionAnchor ? selectionAnchor : dateStr;
+            selectRange(anchor, target);
+        }
+        moveFocusTo(target);
+    } else if (isEditable && event.key === 'Escape' && selectedDates.size > 0) {
+        clearSelection();
+    } else if (event.key === 't' || event.key === 'T') {
+        moveFocusTo(formatDate(new Date()));
+    } else if (isEditable && onDayRate && /^[1-5]$/.test(event.key)) {
+        onDayRate(dateStr, parseInt(event.key));
+    } else if (isEditable && (event.key === 'Enter' || event.key === ' ')) {
+        selectionAnchor = dateStr;
+        onDayClick(dateStr, currentEntries[dateStr]);
+    } else if (isEditable && onDayClear && (event.key === 'Delete' || event.key === 'Backspace') && currentEntries[dateStr]) {
+        onDayClear(dateStr);
+    } else {
+        return;
+    }
+    event.preventDefault();
+}
 
-        // Return array of user objects: { uid, email }
-        return Array.from(usersMap.entries()).map(([uid, email]) => ({ uid, email }));
-    } catch (error) {
-        console.error('Error getting users:', error);
-        throw error;
+/**
+ * Put keyboard focus back on the active day (e.g. after the edit modal closes)
+ */
+export function restoreDayFocus() {
+    const dayContent = activeDate && findDayCell(activeDate);
+    if (dayContent) {
+        dayContent.focus();
     }
 }
 
 /**
- * Get all entries for export
- * @returns {Promise<Array>}
+ * Scroll today's month into view, as the year layouts put later months far
+ * down the page (does nothing when another year is shown)
  */
-export async function getAllEntries() {
-    try {
-        const entriesRef = collection(db, 'entries');
-        const q = query(entriesRef, orderBy('date'));
-        const snapshot = await getDocs(q);
-        
-        const entries = [];
-        snapshot.forEach((doc) => {
-            const data = doc.data();
-            entries.push({
-                userId: data.userId,
-                date: data.date,
-                rating: data.rating,
-                note: data.note
-            });
-        });
-        
-        return entries;
-    } catch (error) {
-        console.error('Error getting all entries:', error);
-        throw error;
+export function scrollToToday() {
+    const dayContent = findDayCell(formatDate(new Date()));
+    if (!dayContent) return;
+    
+    const month = dayContent.closest('.card') || dayContent;
+    month.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Scroll to a day cell in the rendered calendar and flash it
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {HTMLElement|null} - The day cell, or null if it isn't rendered
+ */
+export function focusDay(date) {
+    if (!renderOptions.container) return null;
+    
+    let dayContent = renderOptions.container.querySelector(`.day-cell[data-date="${date}"]`);
+    
+    // Month and week views show part of the year: move to the day's period
+    if (!dayContent && (viewMode === VIEW_MODES.MONTH || viewMode === VIEW_MODES.WEEK)
+        && date.startsWith(`${currentYear}-`)) {
+        viewDate = parseDate(date);
+        rerenderCalendar();
+        dayContent = renderOptions.container.querySelector(`.day-cell[data-date="${date}"]`);
     }
+    if (!dayContent) return null;
+    
+    setActiveCell(dayContent);
+    dayContent.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    dayContent.classList.remove('day-cell-flash');
+    // Restart the animation if the same day is focused twice
+    void dayContent.offsetWidth;
+    dayContent.classList.add('day-cell-flash');
+    setTimeout(() => dayContent.classList.remove('day-cell-flash'), 2000);
+    
+    return dayContent;
+}
+
+/**
+ * Highlight only days carrying any of the given tags
+ * @param {string[]} tags - Tags to filter on (empty clears the filter)
+ */
+export function setTagFilter(tags) {
+    tagFilter = [...tags];
+    if (!renderOptions.container) return;
+    
+    renderOptions.container.querySelectorAll('.day-cell[data-date]').forEach(dayContent => {
+        fillDayCell(dayContent, dayContent.dataset.date);
+    });
+}
+
+/**
+ * Get the tags currently filtered on
+ * @returns {string[]}
+ */
+export function getTagFilter() {
+    return tagFilter;
+}
+
+/**
+ * Set the habit list of the viewed calendar's owner (see getHabitList)
+ * @param {string[]} habits
+ */
+export function setViewingHabits(habits) {
+    viewingHabits = normalizeHabits(habits);
+}
+
+/**
+ * Get the habit list of the viewed calendar's owner
+ * @returns {string[]}
+ */
+export function getViewingHabits() {
+    return viewingHabits;
+}
+
+/**
+ * Sort key of a habit dot: its place in the owner's list, unlisted habits last
+ * @param {string} habit
+ * @returns {number}
+ */
+function orderHabit(habit) {
+    const index = viewingHabits.indexOf(habit);
+    return index === -1 ? viewingHabits.length : index;
+}
+
+/**
+ * Re-render only the given day cells from the entries cache
+ * @param {string[]} dates - Dates in YYYY-MM-DD format
+ */
+export function updateDayCells(dates) {
+    if (!renderOptions.container) return;
+    
+    dates.forEach(date => {
+        const dayContent = renderOptions.container.querySelector(`.day-cell[data-date="${date}"]`);
+        if (dayContent) {
+            fillDayCell(dayContent, date);
+            dayContent.classList.add('day-cell-updated');
+            setTimeout(() => dayContent.classList.remove('day-cell-updated'), 1000);
+        }
+    });
+}
+
+/**
+ * Create an empty row for one week of a month grid
+ * @returns {HTMLElement}
+ */
+function createWeekRow() {
+    const row = document.createElement('div');
+    row.className = 'row g-1 mb-1';
+    row.setAttribute('role', 'row');
+    return row;
+}
+
+/**
+ * Create a blank cell padding a week before the 1st or after the last day
+ * @returns {HTMLElement}
+ */
+function createEmptyCell() {
+    const emptyCell = document.createElement('div');
+    emptyCell.className = 'col';
+    emptyCell.setAttribute('role', 'gridcell');
+    return emptyCell;
 }
 
 /**
  * Render the calendar for a specific month
  * @param {number} month - 0-indexed month
  * @param {HTMLElement} container - Container element for the month grid
- * @param {boolean} isEditable - Whether the calendar is editable
- * @param {Function} onDayClick - Callback when a day is clicked
+ * @param {string} [variant] - Day cell variant ('full' for the single-month view)
  */
-function renderMonth(month, container, isEditable, onDayClick) {
-    const daysInMonth = getDaysInMonth(month, YEAR);
-    const firstDay = getFirstDayOfMonth(month, YEAR);
+function renderMonth(month, container, variant = '') {
+    const daysInMonth = getDaysInMonth(month, currentYear);
+    const firstDay = getFirstDayOfMonth(month, currentYear);
     
     // Create month card
     const card = document.createElement('div');
     card.className = 'card mb-4';
     
     // Month header
+    const monthLabel = formatLocalDate(new Date(currentYear, month, 1), { month: 'long', year: 'numeric' });
     const header = document.createElement('div');
     header.className = 'card-header bg-primary text-white';
-    header.innerHTML = `<h5 class="mb-0">${MONTH_NAMES[month]} ${YEAR}</h5>`;
+    const heading = document.createElement('h5');
+    heading.className = 'mb-0';
+    heading.textContent = monthLabel;
+    header.appendChild(heading);
     card.appendChild(header);
     
     // Calendar grid
     const body = document.createElement('div');
     body.className = 'card-body p-2';
+    body.setAttribute('role', 'grid');
+    body.setAttribute('aria-label', monthLabel);
+    if (!renderOptions.isEditable) {
+        body.setAttribute('aria-readonly', 'true');
+    }
     
     // Day names header
     const dayNamesRow = document.createElement('div');
     dayNamesRow.className = 'row g-1 mb-1';
-    DAY_NAMES.forEach(day => {
+    dayNamesRow.setAttribute('role', 'row');
+    const dayNames = getDayNames();
+    getWeekdayOrder().forEach(day => {
         const dayCol = document.createElement('div');
         dayCol.className = 'col text-center fw-bold small';
-        dayCol.textContent = day;
+        dayCol.setAttribute('role', 'columnheader');
+        dayCol.textContent = dayNames[day];
         dayNamesRow.appendChild(dayCol);
     });
     body.appendChild(dayNamesRow);
     
     // Calendar weeks
-    let currentWeek = document.createElement('div');
-    currentWeek.className = 'row g-1 mb-1';
+    let currentWeek = createWeekRow();
     
     // Empty cells before first day
     for (let i = 0; i < firstDay; i++) {
-        const emptyCell = document.createElement('div');
-        emptyCell.className = 'col';
-        currentWeek.appendChild(emptyCell);
+        currentWeek.appendChild(createEmptyCell());
     }
     
     // Day cells
     for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(YEAR, month, day);
+        const date = new Date(currentYear, month, day);
         const dateStr = formatDate(date);
-        const entry = currentEntries[dateStr];
         
+        // The wrapper is layout only; the day cell itself is the gridcell
         const dayCell = document.createElement('div');
         dayCell.className = 'col';
-        
-        const dayContent = document.createElement('div');
-        dayContent.className = 'day-cell p-1 border rounded text-center';
-        dayContent.dataset.date = dateStr;
-        
-        // Add rating-based color class
-        if (entry && entry.rating) {
-            dayContent.classList.add(`rating-${entry.rating}`);
-        }
-        
-        // Make clickable if editable
-        if (isEditable) {
-            dayContent.classList.add('editable');
-            dayContent.style.cursor = 'pointer';
-            dayContent.addEventListener('click', () => onDayClick(dateStr, entry));
-        }
-        
-        // Day number
-        const dayNum = document.createElement('div');
-        dayNum.className = 'fw-bold small';
-        dayNum.textContent = day;
-        dayContent.appendChild(dayNum);
-        
-        // Rating display
-        if (entry && entry.rating) {
-            const ratingDisplay = document.createElement('div');
-            ratingDisplay.className = 'rating-stars small';
-            ratingDisplay.textContent = '★'.repeat(entry.rating);
-            dayContent.appendChild(ratingDisplay);
-        }
-        
-        // Note preview (truncated)
-        if (entry && entry.note) {
-            const notePreview = document.createElement('div');
-            notePreview.className = 'text-muted small text-truncate';
-            notePreview.style.fontSize = '0.65rem';
-            notePreview.textContent = entry.note.substring(0, 10);
-            notePreview.title = entry.note;
-            dayContent.appendChild(notePreview);
-        }
-        
-        dayCell.appendChild(dayContent);
+        dayCell.setAttribute('role', 'none');
+        dayCell.appendChild(createDayCell(dateStr, variant));
         currentWeek.appendChild(dayCell);
         
-        // Start new week on Saturday
+        // Start a new week after the last column
         if ((firstDay + day) % 7 === 0 && day < daysInMonth) {
             body.appendChild(currentWeek);
-            currentWeek = document.createElement('div');
-            currentWeek.className = 'row g-1 mb-1';
+            currentWeek = createWeekRow();
         }
     }
     
     // Fill remaining cells in last week
     const remainingCells = 7 - currentWeek.children.length;
     for (let i = 0; i < remainingCells && remainingCells < 7; i++) {
-        const emptyCell = document.createElement('div');
-        emptyCell.className = 'col';
-        currentWeek.appendChild(emptyCell);
+        currentWeek.appendChild(createEmptyCell());
     }
     
     if (currentWeek.children.length > 0) {
@@ -316,28 +1303,365 @@ function renderMonth(month, container, isEditable, onDayClick) {
 }
 
 /**
- * Render the full year calendar
- * @param {HTMLElement} container - Container element for the calendar
- * @param {boolean} isEditable - Whether the calendar is editable
- * @param {Function} onDayClick - Callback when a day is clicked
+ * Render the year navigation bar (previous / jump to / next year)
+ * @param {HTMLElement} container - Container element for the navigation
+ * @param {Function} onYearChange - Callback with the newly chosen year
  */
-export function renderCalendar(container, isEditable, onDayClick) {
-    container.innerHTML = '';
+function renderYearNav(container, onYearChange) {
+    const nav = document.createElement('div');
+    nav.className = 'year-nav d-flex justify-content-center align-items-center gap-2 mb-3';
+    
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.className = 'btn btn-outline-primary btn-sm';
+    prevBtn.innerHTML = '<i class="bi bi-chevron-left"></i>';
+    prevBtn.setAttribute('aria-label', t('Previous year'));
+    prevBtn.disabled = currentYear <= MIN_YEAR;
+    prevBtn.addEventListener('click', () => onYearChange(currentYear - 1));
+    
+    // Jump to a year by typing it
+    const yearInput = document.createElement('input');
+    yearInput.type = 'number';
+    yearInput.className = 'form-control form-control-sm text-center fw-bold year-input';
+    yearInput.min = MIN_YEAR;
+    yearInput.max = MAX_YEAR;
+    yearInput.value = currentYear;
+    yearInput.setAttribute('aria-label', t('Year'));
+    yearInput.addEventListener('change', () => {
+        const year = parseInt(yearInput.value);
+        if (year >= MIN_YEAR && year <= MAX_YEAR && year !== currentYear) {
+            onYearChange(year);
+        } else {
+            yearInput.value = currentYear;
+        }
+    });
+    
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.className = 'btn btn-outline-primary btn-sm';
+    nextBtn.innerHTML = '<i class="bi bi-chevron-right"></i>';
+    nextBtn.setAttribute('aria-label', t('Next year'));
+    nextBtn.disabled = currentYear >= MAX_YEAR;
+    nextBtn.addEventListener('click', () => onYearChange(currentYear + 1));
+    
+    nav.appendChild(prevBtn);
+    nav.appendChild(yearInput);
+    nav.appendChild(nextBtn);
+    
+    // Shortcut back to the current year
+    const thisYear = new Date().getFullYear();
+    if (currentYear !== thisYear) {
+        const todayBtn = document.createElement('button');
+        todayBtn.type = 'button';
+        todayBtn.className = 'btn btn-link btn-sm';
+        todayBtn.textContent = t('This year');
+        todayBtn.addEventListener('click', () => onYearChange(thisYear));
+        nav.appendChild(todayBtn);
+    }
     
-    // Create row for months (3 columns on large screens)
+    container.appendChild(nav);
+}
+
+/**
+ * Render the year as 12 month cards (3 columns on large screens)
+ * @param {HTMLElement} container
+ */
+function renderYearView(container) {
     const row = document.createElement('div');
     row.className = 'row';
     
     for (let month = 0; month < 12; month++) {
         const col = document.createElement('div');
         col.className = 'col-12 col-md-6 col-lg-4';
-        renderMonth(month, col, isEditable, onDayClick);
+        renderMonth(month, col);
         row.appendChild(col);
     }
     
     container.appendChild(row);
 }
 
+/**
+ * Render the year as a "year in pixels" heatmap: 53 week columns × 7 weekday rows
+ * @param {HTMLElement} container
+ */
+function renderHeatmapView(container) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'heatmap-wrapper card card-body mb-4';
+    
+    const firstDay = getFirstDayOfMonth(0, currentYear);
+    
+    // Month labels above the week column each month starts in
+    const monthNames = getMonthNames('short');
+    const monthRow = document.createElement('div');
+    monthRow.className = 'heatmap-months';
+    for (let month = 0; month < 12; month++) {
+        const dayOfYear = Math.round((new Date(currentYear, month, 1) - new Date(currentYear, 0, 1)) / 86400000);
+        const label = document.createElement('span');
+        label.className = 'small text-muted';
+        label.style.gridColumnStart = Math.floor((firstDay + dayOfYear) / 7) + 1;
+        label.textContent = monthNames[month];
+        monthRow.appendChild(label);
+    }
+    
+    const body = document.createElement('div');
+    body.className = 'd-flex gap-1';
+    
+    // Weekday labels on every other row
+    const dayLabels = document.createElement('div');
+    dayLabels.className = 'heatmap-days';
+    const dayNames = getDayNames();
+    getWeekdayOrder().forEach((day, row) => {
+        const label = document.createElement('span');
+        label.className = 'small text-muted';
+        label.textContent = row % 2 === 1 ? dayNames[day] : '';
+        dayLabels.appendChild(label);
+    });
+    
+    // Filled column by column: a column is one week
+    const grid = document.createElement('div');
+    grid.className = 'heatmap-grid';
+    grid.setAttribute('role', 'group');
+    grid.setAttribute('aria-label', t('{year}, one square per day', { year: currentYear }));
+    for (let i = 0; i < firstDay; i++) {
+        grid.appendChild(document.createElement('span'));
+    }
+    for (let month = 0; month < 12; month++) {
+        for (let day = 1; day <= getDaysInMonth(month, currentYear); day++) {
+            grid.appendChild(createDayCell(formatDate(new Date(currentYear, month, day)), 'pixel'));
+        }
+    }
+    
+    body.appendChild(dayLabels);
+    body.appendChild(grid);
+    
+    const scroller = document.createElement('div');
+    scroller.className = 'heatmap-scroll';
+    scroller.appendChild(monthRow);
+    scroller.appendChild(body);
+    wrapper.appendChild(scroller);
+    container.appendChild(wrapper);
+}
+
+/**
+ * Get the day whose month or week is shown, kept inside the viewed year
+ * @returns {Date}
+ */
+function getViewDate() {
+    if (!viewDate) {
+        const today = new Date();
+        viewDate = today.getFullYear() === currentYear ? today : new Date(currentYear, 0, 1);
+    }
+    if (viewDate.getFullYear() !== currentYear) {
+        // Keep month and day when switching years (Feb 29 becomes Feb 28)
+        const day = Math.min(viewDate.getDate(), getDaysInMonth(viewDate.getMonth(), currentYear));
+        viewDate = new Date(currentYear, viewDate.getMonth(), day);
+    }
+    return viewDate;
+}
+
+/**
+ * Show another month or week; loads the other year when the step crosses one
+ * @param {Date} date - Day inside the period to show
+ */
+function showPeriod(date) {
+    if (date.getFullYear() < MIN_YEAR || date.getFullYear() > MAX_YEAR) return;
+    
+    viewDate = date;
+    if (date.getFullYear() !== currentYear) {
+        renderOptions.onYearChange(date.getFullYear());
+    } else {
+        rerenderCalendar();
+    }
+}
+
+/**
+ * Render the previous/next navigation of the month and week views
+ * @param {HTMLElement} container
+ * @param {string} label - Period shown (e.g. "March 2026")
+ * @param {Function} step - Called with -1 or 1, returns a day in the new period
+ * @param {boolean} containsToday - Whether today is in the shown period
+ */
+function renderPeriodNav(container, label, step, containsToday) {
+    const nav = document.createElement('div');
+    nav.className = 'd-flex justify-content-center align-items-center gap-2 mb-3';
+    
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.className = 'btn btn-outline-secondary btn-sm';
+    prevBtn.innerHTML = '<i class="bi bi-chevron-left"></i>';
+    prevBtn.setAttribute('aria-label', t('Previous'));
+    prevBtn.addEventListener('click', () => showPeriod(step(-1)));
+    
+    const title = document.createElement('h2');
+    title.className = 'h5 mb-0 period-label text-center';
+    title.textContent = label;
+    
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.className = 'btn btn-outline-secondary btn-sm';
+    nextBtn.innerHTML = '<i class="bi bi-chevron-right"></i>';
+    nextBtn.setAttribute('aria-label', t('Next'));
+    nextBtn.addEventListener('click', () => showPeriod(step(1)));
+    
+    nav.appendChild(prevBtn);
+    nav.appendChild(title);
+    nav.appendChild(nextBtn);
+    
+    if (!containsToday) {
+        const todayBtn = document.createElement('button');
+        todayBtn.type = 'button';
+        todayBtn.className = 'btn btn-link btn-sm';
+        todayBtn.textContent = t('Today');
+        todayBtn.addEventListener('click', () => showPeriod(new Date()));
+        nav.appendChild(todayBtn);
+    }
+    
+    container.appendChild(nav);
+}
+
+/**
+ * Render a single large month with full notes
+ * @param {HTMLElement} container
+ */
+function renderMonthView(container) {
+    const date = getViewDate();
+    const month = date.getMonth();
+    const today = new Date();
+    
+    renderPeriodNav(
+        container,
+        formatLocalDate(new Date(currentYear, month, 1), { month: 'long', year: 'numeric' }),
+        (direction) => new Date(currentYear, month + direction, 1),
+        today.getFullYear() === currentYear && today.getMonth() === month
+    );
+    
+    const wrapper = document.createElement('div');
+    wrapper.className = 'month-view';
+    renderMonth(month, wrapper, 'full');
+    container.appendChild(wrapper);
+}
+
+/**
+ * Render the week (from the week start day) containing the view date
+ * @param {HTMLElement} container
+ */
+function renderWeekView(container) {
+    const date = getViewDate();
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - getWeekdayColumn(date.getDay()));
+    const days = Array.from({ length: 7 }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    const todayStr = formatDate(new Date());
+    
+    const label = formatLocalDateRange(days[0], days[6], { month: 'short', day: 'numeric', year: 'numeric' });
+    const dayNames = getDayNames();
+    renderPeriodNav(
+        container,
+        label,
+        (direction) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + direction * 7),
+        days.some(day => formatDate(day) === todayStr)
+    );
+    
+    const grid = document.createElement('div');
+    grid.setAttribute('role', 'grid');
+    grid.setAttribute('aria-label', label);
+    if (!renderOptions.isEditable) {
+        grid.setAttribute('aria-readonly', 'true');
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'row g-2 mb-4';
+    row.setAttribute('role', 'row');
+    days.forEach(day => {
+        const col = document.createElement('div');
+        col.className = 'col-12 col-md';
+        col.setAttribute('role', 'none');
+        
+        // The day cell's label already names the day
+        const header = document.createElement('div');
+        header.className = 'fw-bold small mb-1';
+        header.setAttribute('aria-hidden', 'true');
+        header.textContent = `${dayNames[day.getDay()]} ${day.getDate()}`;
+        col.appendChild(header);
+        
+        // Only the viewed year is loaded
+        if (day.getFullYear() === currentYear) {
+            col.appendChild(createDayCell(formatDate(day), 'full'));
+        } else {
+            const outside = document.createElement('div');
+            outside.className = 'day-cell day-cell-full p-2 border rounded text-muted small';
+            outside.setAttribute('role', 'gridcell');
+            outside.textContent = t('In {year}', { year: day.getFullYear() });
+            col.appendChild(outside);
+        }
+        row.appendChild(col);
+    });
+    
+    grid.appendChild(row);
+    container.appendChild(grid);
+}
+
+/**
+ * Render the calendar in the selected view mode
+ * @param {HTMLElement} container - Container element for the calendar
+ * @param {boolean} isEditable - Whether the calendar is editable
+ * @param {Function} onDayClick - Callback when a day is clicked (or Enter is pressed on it)
+ * @param {Function} onYearChange - Callback when another year is chosen
+ * @param {Function} [onDayRate] - Callback with (date, rating) when 1-5 is pressed on a day
+ * @param {Function} [onDayClear] - Callback with the date when Delete is pressed on a logged day
+ * @param {Function} [onSelectionChange] - Callback with the selected dates when the
+ *                                         bulk edit selection changes
+ */
+export function renderCalendar(container, isEditable, onDayClick, onYearChange, onDayRate = null, onDayClear = null,
+    onSelectionChange = null) {
+    // Only the owner's calendar can be edited in bulk
+    if (!isEditable) {
+        clearSelection();
+    }
+    
+    container.innerHTML = '';
+    renderOptions = { container, isEditable, onDayClick, onYearChange, onDayRate, onDayClear, onSelectionChange };
+    document.addEventListener('pointerup', endDrag);
+    
+    renderYearNav(container, onYearChange);
+    
+    if (viewMode === VIEW_MODES.HEATMAP) {
+        renderHeatmapView(container);
+    } else if (viewMode === VIEW_MODES.MONTH) {
+        renderMonthView(container);
+    } else if (viewMode === VIEW_MODES.WEEK) {
+        renderWeekView(container);
+    } else {
+        renderYearView(container);
+    }
+    
+    initRovingFocus();
+}
+
+/**
+ * Render the last rendered calendar again (e.g. after changing the view mode)
+ */
+export function rerenderCalendar() {
+    const { container, isEditable, onDayClick, onYearChange, onDayRate, onDayClear, onSelectionChange } = renderOptions;
+    if (container) {
+        renderCalendar(container, isEditable, onDayClick, onYearChange, onDayRate, onDayClear, onSelectionChange);
+    }
+}
+
+/**
+ * Get the selected view mode
+ * @returns {string} - One of VIEW_MODES
+ */
+export function getViewMode() {
+    return viewMode;
+}
+
+/**
+ * Select the view mode used by the next render
+ * @param {string} mode - One of VIEW_MODES (unknown modes fall back to the year view)
+ */
+export function setViewMode(mode) {
+    viewMode = Object.values(VIEW_MODES).includes(mode) ? mode : VIEW_MODES.YEAR;
+}
+
 /**
  * Get the currently viewing user ID
  * @returns {string|null}
@@ -346,6 +1670,14 @@ export function getViewingUserId() {
     return viewingUserId;
 }
 
+/**
+ * Get what the logged-in user may see of the viewed calendar
+ * @returns {{rating: boolean, notes: boolean}}
+ */
+export function getViewingVisibility() {
+    return viewingVisibility;
+}
+
 /**
  * Get current entries cache
  * @returns {Object}
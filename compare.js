@@ -0,0 +1,345 @@
+/**
+ * Compare Module
+ *
+ * Compares two users' calendars for one year: the per-day rating
+ * difference, the share of days that were good for both, and the
+ * correlation between the two rating series. Renders the calendars side
+ * by side or as an overlay where every day cell shows both ratings.
+ */
+
+import { formatDate, getDaysInMonth, getWeekdayOrder, getWeekdayColumn } from './calendar.js';
+import { GOOD_DAY_MIN_RATING } from './stats.js';
+import { t, tn, getMonthNames, getDayNames } from './i18n.js';
+
+// Comparison layouts
+export const COMPARE_MODES = {
+    SIDE_BY_SIDE: 'side',
+    OVERLAY: 'overlay'
+};
+
+/**
+ * Pearson correlation of two equally long series
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @returns {number|null} - null when undefined (fewer than 2 points or no variation)
+ */
+function correlate(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Compare two calendars on the days both users rated
+ * @param {Object} entriesA - Object mapping date strings to entry data
+ * @param {Object} entriesB - Object mapping date strings to entry data
+ * @returns {Object} - { pairedDays, differences, averageDifference, averageAbsoluteDifference,
+ *                       bothGoodDays, bothGoodShare, correlation }
+ */
+export function computeComparison(entriesA, entriesB) {
+    const differences = {};
+    const ratingsA = [];
+    const ratingsB = [];
+    let bothGoodDays = 0;
+
+    Object.keys(entriesA).sort().forEach(date => {
+        const a = entriesA[date] && entriesA[date].rating;
+        const b = entriesB[date] && entriesB[date].rating;
+        if (!a || !b) return;
+
+        differences[date] = a - b;
+        ratingsA.push(a);
+        ratingsB.push(b);
+        if (a >= GOOD_DAY_MIN_RATING && b >= GOOD_DAY_MIN_RATING) {
+            bothGoodDays++;
+        }
+    });
+
+    const pairedDays = ratingsA.length;
+    const diffs = Object.values(differences);
+
+    return {
+        pairedDays,
+        differences,
+        averageDifference: pairedDays ? diffs.reduce((sum, d) => sum + d, 0) / pairedDays : null,
+        averageAbsoluteDifference: pairedDays ? diffs.reduce((sum, d) => sum + Math.abs(d), 0) / pairedDays : null,
+        bothGoodDays,
+        bothGoodShare: pairedDays ? bothGoodDays / pairedDays : null,
+        correlation: correlate(ratingsA, ratingsB)
+    };
+}
+
+/**
+ * Describe a correlation coefficient in words
+ * @param {number|null} correlation
+ * @returns {string}
+ */
+function describeCorrelation(correlation) {
+    if (correlation === null) return t('not enough data');
+    const strength = Math.abs(correlation);
+    if (strength < 0.2) return t('no clear link');
+    if (correlation > 0) {
+        return strength < 0.5 ? t('weakly move together') : t('strongly move together');
+    }
+    return strength < 0.5 ? t('weakly move oppositely') : t('strongly move oppositely');
+}
+
+/**
+ * Format a rating difference with its sign
+ * @param {number} diff
+ * @returns {string}
+ */
+function formatDifference(diff) {
+    return diff > 0 ? `+${diff}` : String(diff);
+}
+
+/**
+ * Build the summary line of comparison figures
+ * @param {Object} comparison - Result of computeComparison
+ * @param {string} labelA
+ * @param {string} labelB
+ * @returns {HTMLElement}
+ */
+function renderSummary(comparison, labelA, labelB) {
+    const summary = document.createElement('div');
+    summary.className = 'row g-2 mb-3 text-center';
+
+    const figures = comparison.pairedDays === 0 ? [] : [
+        [t('Days both rated'), comparison.pairedDays, ''],
+        [
+            t('Average difference'),
+            formatDifference(Math.round(comparison.averageDifference * 10) / 10),
+            t('{a} − {b}, ±{difference} per day', {
+                a: labelA,
+                b: labelB,
+                difference: comparison.averageAbsoluteDifference.toFixed(1)
+            })
+        ],
+        [
+            t('Both had a good day'),
+            `${Math.round(comparison.bothGoodShare * 100)}%`,
+            tn(comparison.bothGoodDays, '{count} day rated {rating}+ by both', '{count} days rated {rating}+ by both',
+                { rating: GOOD_DAY_MIN_RATING })
+        ],
+        [
+            t('Correlation'),
+            comparison.correlation === null ? '—' : comparison.correlation.toFixed(2),
+            describeCorrelation(comparison.correlation)
+        ]
+    ];
+
+    if (figures.length === 0) {
+        summary.innerHTML = '<p class="text-muted mb-0"></p>';
+        summary.firstChild.textContent = t('No days rated by both users this year.');
+        return summary;
+    }
+
+    figures.forEach(([label, value, detail]) => {
+        const col = document.createElement('div');
+        col.className = 'col-6 col-lg-3';
+
+        const tile = document.createElement('div');
+        tile.className = 'stat-tile border rounded p-2 h-100';
+
+        const valueEl = document.createElement('div');
+        valueEl.className = 'fs-4 fw-bold';
+        valueEl.textContent = value;
+
+        const labelEl = document.createElement('div');
+        labelEl.className = 'small text-muted';
+        labelEl.textContent = label;
+
+        tile.appendChild(valueEl);
+        tile.appendChild(labelEl);
+        if (detail) {
+            const detailEl = document.createElement('div');
+            detailEl.className = 'small';
+            detailEl.textContent = detail;
+            tile.appendChild(detailEl);
+        }
+
+        col.appendChild(tile);
+        summary.appendChild(col);
+    });
+
+    return summary;
+}
+
+/**
+ * Render one month as a compact grid of day cells
+ * @param {number} year
+ * @param {number} month - 0-indexed month
+ * @param {Function} fillCell - Called with (cell, dateStr) to fill each day
+ * @returns {HTMLElement}
+ */
+export function renderMonthGrid(year, month, fillCell) {
+    const card = document.createElement('div');
+    card.className = 'card mb-3';
+
+    const header = document.createElement('div');
+    header.className = 'card-header py-1 small fw-bold';
+    header.textContent = `${getMonthNames('long')[month]} ${year}`;
+    card.appendChild(header);
+
+    const grid = document.createElement('div');
+    grid.className = 'card-body p-2 compare-grid';
+
+    const dayNames = getDayNames('narrow');
+    getWeekdayOrder().forEach(day => {
+        const dayName = document.createElement('div');
+        dayName.className = 'text-center small text-muted';
+        dayName.textContent = dayNames[day];
+        grid.appendChild(dayName);
+    });
+
+    // Empty cells before first day
+    const firstDay = getWeekdayColumn(new Date(year, month, 1).getDay());
+    for (let i = 0; i < firstDay; i++) {
+        grid.appendChild(document.createElement('div'));
+    }
+
+    for (let day = 1; day <= getDaysInMonth(month, year); day++) {
+        const dateStr = formatDate(new Date(year, month, day));
+        const cell = document.createElement('div');
+        cell.className = 'compare-cell border rounded';
+        cell.dataset.date = dateStr;
+        fillCell(cell, dateStr);
+        grid.appendChild(cell);
+    }
+
+    card.appendChild(grid);
+    return card;
+}
+
+/**
+ * Render one user's year as compact month grids
+ * @param {number} year
+ * @param {Object} own - This user: { entries, label }
+ * @param {Object} other - The other user, for tooltips: { entries, label }
+ * @param {Object} differences - date -> rating difference (this user minus the other)
+ * @returns {HTMLElement}
+ */
+function renderYearColumn(year, own, other, differences) {
+    const column = document.createElement('div');
+    column.className = 'col-12 col-md-6';
+
+    const title = document.createElement('h6');
+    title.className = 'fw-bold';
+    title.textContent = own.label;
+    column.appendChild(title);
+
+    const months = document.createElement('div');
+    months.className = 'row g-2';
+    for (let month = 0; month < 12; month++) {
+        const col = document.createElement('div');
+        col.className = 'col-12 col-lg-6 col-xxl-4';
+        col.appendChild(renderMonthGrid(year, month, (cell, dateStr) => {
+            const entry = own.entries[dateStr];
+            cell.textContent = parseInt(dateStr.substring(8, 10));
+            if (entry && entry.rating) {
+                cell.classList.add(`rating-${entry.rating}`);
+            }
+            if (dateStr in differences) {
+                const otherRating = other.entries[dateStr].rating;
+                cell.title = `${own.label}: ${entry.rating} · ${other.label}: ${otherRating} (${formatDifference(differences[dateStr])})`;
+            }
+        }));
+        months.appendChild(col);
+    }
+    column.appendChild(months);
+    return column;
+}
+
+/**
+ * Render a year where each day cell is split between both users' ratings
+ * @param {number} year
+ * @param {Object} a - { entries, label }
+ * @param {Object} b - { entries, label }
+ * @param {Object} differences - date -> rating difference (a minus b)
+ * @returns {HTMLElement}
+ */
+function renderOverlay(year, a, b, differences) {
+    const row = document.createElement('div');
+    row.className = 'row g-2';
+
+    const legend = document.createElement('p');
+    legend.className = 'small text-muted col-12 mb-1';
+    legend.textContent = t('Left half: {a} · right half: {b} · number: difference', { a: a.label, b: b.label });
+    row.appendChild(legend);
+
+    for (let month = 0; month < 12; month++) {
+        const col = document.createElement('div');
+        col.className = 'col-12 col-md-6 col-lg-4';
+        col.appendChild(renderMonthGrid(year, month, (cell, dateStr) => {
+            cell.classList.add('compare-split');
+
+            [a, b].forEach(side => {
+                const half = document.createElement('span');
+                half.className = 'compare-half';
+                const entry = side.entries[dateStr];
+                if (entry && entry.rating) {
+                    half.classList.add(`rating-${entry.rating}`);
+                }
+                cell.appendChild(half);
+            });
+
+            const label = document.createElement('span');
+            label.className = 'compare-label';
+            if (dateStr in differences) {
+                label.textContent = formatDifference(differences[dateStr]);
+                cell.title = `${dateStr}\n${a.label}: ${a.entries[dateStr].rating} · ${b.label}: ${b.entries[dateStr].rating}`;
+            } else {
+                label.textContent = parseInt(dateStr.substring(8, 10));
+                cell.title = dateStr;
+            }
+            cell.appendChild(label);
+        }));
+        row.appendChild(col);
+    }
+    return row;
+}
+
+/**
+ * Render the comparison of two calendars
+ * @param {HTMLElement} container - Container element for the comparison
+ * @param {number} year
+ * @param {Object} a - First user: { entries, label }
+ * @param {Object} b - Second user: { entries, label }
+ * @param {string} mode - One of COMPARE_MODES
+ */
+export function renderComparison(container, year, a, b, mode) {
+    container.innerHTML = '';
+    const comparison = computeComparison(a.entries, b.entries);
+
+    container.appendChild(renderSummary(comparison, a.label, b.label));
+
+    if (mode === COMPARE_MODES.OVERLAY) {
+        container.appendChild(renderOverlay(year, a, b, comparison.differences));
+        return;
+    }
+
+    const reversed = {};
+    Object.entries(comparison.differences).forEach(([date, diff]) => {
+        reversed[date] = -diff;
+    });
+
+    const row = document.createElement('div');
+    row.className = 'row g-3';
+    row.appendChild(renderYearColumn(year, a, b, comparison.differences));
+    row.appendChild(renderYearColumn(year, b, a, reversed));
+    container.appendChild(row);
+}
@@ -0,0 +1,70 @@
+/**
+ * App Configuration
+ *
+ * Selects the storage backend and, for the Firebase backend, the project.
+ * Defaults can be overridden by defining `window.DAYDICATED_CONFIG` before
+ * app.js loads, and the backend by adding `?backend=` to the URL:
+ *
+ * - firestore: Firebase Authentication + Cloud Firestore (default)
+ * - local:     browser localStorage, single user, no login
+ * - memory:    in-memory only (lost on reload), single user, no login
+ */
+
+// Available storage backends
+export const BACKENDS = ['firestore', 'local', 'memory'];
+
+// Defaults used when nothing is overridden
+const DEFAULT_CONFIG = {
+    backend: 'firestore',
+    // Firebase project config; null uses the one in firebase.js
+    firebase: null,
+    // Show "Create an account" on the login page. Off by default: sign-ups
+    // are open to anyone, and hiding the link doesn't stop them either, so
+    // disable them in the Firebase console too (see README)
+    allowSignUp: false,
+    // The user that owns the calendar in local-only mode
+    localUser: {
+        uid: 'local',
+        email: 'me@daydicated.local'
+    },
+    // Entries to preload into the memory backend (demos, tests)
+    seedEntries: [],
+    // Sharing settings to preload into the memory backend, keyed by uid
+    seedSharing: {},
+    // Profiles to preload into the memory backend, keyed by uid
+    seedProfiles: {},
+    // Groups to preload into the memory backend, keyed by group ID
+    seedGroups: {},
+    // Habit lists to preload into the memory backend, keyed by uid
+    seedHabitLists: {}
+};
+
+/**
+ * Merge the defaults with page and URL overrides
+ * @returns {Object}
+ */
+function resolveConfig() {
+    const resolved = { ...DEFAULT_CONFIG, ...(window.DAYDICATED_CONFIG || {}) };
+
+    const backendParam = new URLSearchParams(window.location.search).get('backend');
+    if (backendParam) {
+        resolved.backend = backendParam;
+    }
+
+    if (!BACKENDS.includes(resolved.backend)) {
+        console.error(`Unknown backend "${resolved.backend}", using firestore`);
+        resolved.backend = 'firestore';
+    }
+
+    return resolved;
+}
+
+export const config = resolveConfig();
+
+/**
+ * Whether the app runs without Firebase: single user, no login
+ * @returns {boolean}
+ */
+export function isLocalOnly() {
+    return config.backend !== 'firestore';
+}
@@ -1,20 +1,59 @@
 /**
  * Export Module
  * 
- * Handles exporting calendar entries to CSV and JSON formats.
+ * Handles exporting calendar entries to CSV and JSON formats, one
+ * user's entries in a date range to iCalendar (.ics) and a Markdown journal,
+ * and a user's year to a "year in pixels" PNG or SVG image.
  * Triggers browser file downloads without requiring a server.
  */
 
-import { getAllEntries } from './calendar.js';
+import { getAllEntries, getUserEntries, MONTH_NAMES, DAY_NAMES, formatDate, getDaysInMonth } from './calendar.js';
+import { getInitials } from './profiles.js';
+import { t } from './i18n.js';
+
+// iCalendar lines longer than this many bytes are folded (RFC 5545)
+const ICS_MAX_LINE_BYTES = 75;
+
+const utf8 = new TextEncoder();
+
+// Year image formats
+export const IMAGE_FORMATS = {
+    PNG: 'png',
+    SVG: 'svg'
+};
+
+// Year image layout, in pixels
+const IMAGE_CELL = 18;
+const IMAGE_GAP = 3;
+const IMAGE_PADDING = 16;
+const IMAGE_TITLE_HEIGHT = 32;
+const IMAGE_LABEL_WIDTH = 22;
+const IMAGE_LABEL_HEIGHT = 18;
+const IMAGE_PNG_SCALE = 2;
+const IMAGE_FONT = 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+
+// Background and text colors of the light and dark images
+const IMAGE_THEMES = {
+    light: { background: '#ffffff', text: '#212529', muted: '#6c757d', empty: '#ebedf0' },
+    dark: { background: '#212529', text: '#f8f9fa', muted: '#adb5bd', empty: '#343a40' }
+};
+
+// Used when the stylesheet's --rating-N properties can't be read
+const FALLBACK_RATING_COLORS = [null, '#dc3545', '#fd7e14', '#ffc107', '#20c997', '#28a745'];
+
+// Legend text for ratings 1-5, as in styles.css
+const RATING_LABELS = ['Poor', 'Below Average', 'Average', 'Good', 'Excellent'];
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
 
 /**
  * Download a file in the browser
- * @param {string} content - File content
+ * @param {string|Blob} content - File content
  * @param {string} filename - Name of the file to download
  * @param {string} mimeType - MIME type of the file
  */
 function downloadFile(content, filename, mimeType) {
-    const blob = new Blob([content], { type: mimeType });
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     
     const link = document.createElement('a');
@@ -29,29 +68,489 @@ function downloadFile(content, filename, mimeType) {
 }
 
 /**
- * Export all entries as CSV
+ * Escape a CSV field: wrap in quotes if it contains a comma, quote or newline
+ * @param {string} value 
+ * @returns {string}
+ */
+function escapeCSV(value) {
+    return /[",\r\n]/.test(value) 
+        ? `"${value.replace(/"/g, '""')}"` 
+        : value;
+}
+
+/**
+ * Turn a label into a filename part, e.g. "Platform team" -> "platform-team"
+ * @param {string} label
+ * @param {string} fallback - Used when nothing is left of the label
+ * @returns {string}
+ */
+function toSlug(label, fallback) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+}
+
+/**
+ * Build the download filename for an export
+ * @param {number|null} year - Exported year, or null for all years
+ * @param {string} extension - File extension without the dot
+ * @param {Object|null} [group] - Exported group, or null for everyone
+ * @returns {string}
+ */
+function getExportFilename(year, extension, group = null) {
+    const scope = group ? `${toSlug(group.name, 'group')}-` : '';
+    return `daydicated-${scope}${year === null ? 'all' : year}.${extension}`;
+}
+
+/**
+ * Build the download filename for a user's date-range export
+ * @param {string} label - Whose entries are exported
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+function getRangeFilename(label, from, to, extension) {
+    return `daydicated-${toSlug(label, 'user')}-${from}-to-${to}.${extension}`;
+}
+
+/**
+ * Load one user's entries between two dates (inclusive), sorted by date
+ * @param {string} userId
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} - Entries with their date
+ */
+async function getEntriesInRange(userId, from, to) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        throw new Error(t('Choose a start and end date'));
+    }
+    if (from > to) {
+        throw new Error(t('The start date must not be after the end date'));
+    }
+    
+    // One year is a single query; longer ranges load everything
+    const sameYear = from.substring(0, 4) === to.substring(0, 4);
+    const byDate = await getUserEntries(userId, sameYear ? parseInt(from) : null);
+    
+    return Object.entries(byDate)
+        .filter(([date]) => date >= from && date <= to)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, entry]) => ({ ...entry, date }));
+}
+
+/**
+ * Show a rating as filled and empty stars, e.g. ★★★☆☆
+ * @param {number|null} rating
+ * @returns {string} - Empty string when the rating is not visible
+ */
+function formatStars(rating) {
+    return rating ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : '';
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeICS(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar content line so no line exceeds 75 bytes
+ * @param {string} line
+ * @returns {string}
+ */
+function foldICSLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    
+    for (const char of line) {
+        const charBytes = utf8.encode(char).length;
+        // Continuation lines start with a space, which counts towards the limit
+        if (currentBytes + charBytes > ICS_MAX_LINE_BYTES) {
+            parts.push(current);
+            current = ' ';
+            currentBytes = 1;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    
+    return parts.join('\r\n');
+}
+
+/**
+ * Format a date as an iCalendar DATE value
+ * @param {Date} date
+ * @returns {string} - YYYYMMDD
+ */
+function toICSDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}${month}${day}`;
+}
+
+/**
+ * Build an iCalendar document with one all-day event per logged day
+ * @param {Object[]} entries - Entries with their date
+ * @param {string} userId
+ * @param {string} label - Whose calendar it is
+ * @returns {string}
+ */
+export function buildICS(entries, userId, label) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Daydicated//Daydicated//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeICS(`Daydicated — ${label}`)}`
+    ];
+    
+    entries.forEach(entry => {
+        const [year, month, day] = entry.date.split('-').map(Number);
+        const start = new Date(year, month - 1, day);
+        const end = new Date(year, month - 1, day + 1);
+        
+        const stars = formatStars(entry.rating);
+        const summary = [stars, entry.note].filter(Boolean).join(' — ');
+        const description = [
+            entry.rating ? `Rating: ${entry.rating}/5` : '',
+            entry.note || '',
+            entry.tags && entry.tags.length > 0 ? `Tags: ${entry.tags.map(tag => `#${tag}`).join(' ')}` : '',
+            entry.habits && entry.habits.length > 0 ? `Habits: ${entry.habits.join(', ')}` : '',
+            entry.journal || ''
+        ].filter(Boolean).join('\n');
+        
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${userId}_${entry.date}@daydicated`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toICSDate(start)}`,
+            `DTEND;VALUE=DATE:${toICSDate(end)}`,
+            `SUMMARY:${escapeICS(summary || 'Logged day')}`
+        );
+        if (description) {
+            lines.push(`DESCRIPTION:${escapeICS(description)}`);
+        }
+        if (entry.tags && entry.tags.length > 0) {
+            lines.push(`CATEGORIES:${entry.tags.map(escapeICS).join(',')}`);
+        }
+        // All-day entries shouldn't show as busy time
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape characters that Markdown would treat as inline formatting or HTML,
+ * and keep a note on its list item's line
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_\[\]<>|~]/g, '\\$&').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Build a Markdown journal grouped by month
+ * @param {Object[]} entries - Entries with their date
+ * @param {string} label - Whose journal it is
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {string}
+ */
+export function buildMarkdown(entries, label, from, to) {
+    const lines = [`# Daydicated journal — ${escapeMarkdown(label)}`, '', `_${from} to ${to}_`];
+    
+    if (entries.length === 0) {
+        lines.push('', 'No days logged in this period.');
+    }
+    
+    // Entries are sorted, so months come in order
+    const months = new Map();
+    entries.forEach(entry => {
+        const key = entry.date.substring(0, 7);
+        if (!months.has(key)) months.set(key, []);
+        months.get(key).push(entry);
+    });
+    
+    months.forEach((monthEntries, key) => {
+        const [year, month] = key.split('-').map(Number);
+        lines.push('', `## ${MONTH_NAMES[month - 1]} ${year}`, '');
+        
+        const rated = monthEntries.filter(entry => entry.rating);
+        if (rated.length > 0) {
+            const average = rated.reduce((sum, entry) => sum + entry.rating, 0) / rated.length;
+            lines.push(`Average ${average.toFixed(1)} over ${rated.length} rated days`, '');
+        }
+        
+        monthEntries.forEach(entry => {
+            const [y, m, d] = entry.date.split('-').map(Number);
+            const weekday = DAY_NAMES[new Date(y, m - 1, d).getDay()];
+            const parts = [`- **${weekday} ${d}**`];
+            if (entry.rating) parts.push(formatStars(entry.rating));
+            if (entry.note) parts.push(`— ${escapeMarkdown(entry.note)}`);
+            if (entry.tags && entry.tags.length > 0) {
+                parts.push(entry.tags.map(tag => `\`#${tag}\``).join(' '));
+            }
+            if (entry.habits && entry.habits.length > 0) {
+                parts.push(entry.habits.map(habit => `✓ ${escapeMarkdown(habit)}`).join(' '));
+            }
+            lines.push(parts.join(' '));
+            
+            // The journal is Markdown already: indent it to continue the list item
+            if (entry.journal) {
+                lines.push('');
+                entry.journal.split(/\r?\n/).forEach(line => lines.push(line ? `  ${line}` : ''));
+                lines.push('');
+            }
+        });
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Export one user's entries in a date range as an iCalendar file
+ * @param {string} userId
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {string} label - Whose calendar it is (used in the name and filename)
+ * @returns {Promise<number>} - Number of exported days
+ */
+export async function exportICS(userId, from, to, label) {
+    try {
+        const entries = await getEntriesInRange(userId, from, to);
+        downloadFile(buildICS(entries, userId, label), getRangeFilename(label, from, to, 'ics'), 'text/calendar');
+        
+        console.log(`Exported ${entries.length} entries to iCalendar`);
+        return entries.length;
+    } catch (error) {
+        console.error('Error exporting iCalendar:', error);
+        throw error;
+    }
+}
+
+/**
+ * Export one user's entries in a date range as a Markdown journal
+ * @param {string} userId
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {string} label - Whose journal it is (used in the title and filename)
+ * @returns {Promise<number>} - Number of exported days
+ */
+export async function exportMarkdown(userId, from, to, label) {
+    try {
+        const entries = await getEntriesInRange(userId, from, to);
+        downloadFile(buildMarkdown(entries, label, from, to), getRangeFilename(label, from, to, 'md'), 'text/markdown');
+        
+        console.log(`Exported ${entries.length} entries to Markdown`);
+        return entries.length;
+    } catch (error) {
+        console.error('Error exporting Markdown:', error);
+        throw error;
+    }
+}
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+    return String(text).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+/**
+ * Read the rating colors from the stylesheet's custom properties
+ * @returns {string[]} - CSS colors indexed by rating (index 0 unused)
+ */
+function getRatingColors() {
+    const style = getComputedStyle(document.documentElement);
+    return FALLBACK_RATING_COLORS.map((fallback, rating) =>
+        (rating && style.getPropertyValue(`--rating-${rating}`).trim()) || fallback);
+}
+
+/**
+ * Build an SVG "year in pixels" image: one column per month, one row per
+ * day of the month, colored by rating, with a legend underneath
+ * @param {Object} entries - Object mapping date strings to entry data
+ * @param {number} year
+ * @param {Object} options - { title, includeInitials, dark, colors (defaults to the stylesheet's) }
+ * @returns {{svg: string, width: number, height: number}}
+ */
+export function buildYearSVG(entries, year, options) {
+    const { title = '', includeInitials = false, dark = false } = options;
+    const colors = options.colors || getRatingColors();
+    const theme = dark ? IMAGE_THEMES.dark : IMAGE_THEMES.light;
+    const step = IMAGE_CELL + IMAGE_GAP;
+    
+    const gridLeft = IMAGE_PADDING + IMAGE_LABEL_WIDTH;
+    const gridTop = IMAGE_PADDING + (title ? IMAGE_TITLE_HEIGHT : 0) + IMAGE_LABEL_HEIGHT;
+    const gridWidth = 12 * step - IMAGE_GAP;
+    const gridHeight = 31 * step - IMAGE_GAP;
+    const legendTop = gridTop + gridHeight + IMAGE_PADDING;
+    
+    // Lay the legend out in rows no wider than the grid
+    const legend = [];
+    let legendX = 0;
+    let legendRow = 0;
+    RATING_LABELS.forEach((label, index) => {
+        const text = `${index + 1} ${label}`;
+        const itemWidth = IMAGE_CELL + 4 + text.length * 6.5;
+        if (legendX > 0 && legendX + itemWidth > gridWidth) {
+            legendX = 0;
+            legendRow++;
+        }
+        legend.push({ rating: index + 1, text, x: gridLeft + legendX, y: legendTop + legendRow * (IMAGE_CELL + IMAGE_GAP * 2) });
+        legendX += itemWidth + 12;
+    });
+    
+    // Widen the image for long titles (roughly 11px per bold 20px character)
+    const width = Math.max(gridLeft + gridWidth, IMAGE_PADDING + title.length * 11) + IMAGE_PADDING;
+    const height = legend[legend.length - 1].y + IMAGE_CELL + IMAGE_PADDING;
+    
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${IMAGE_FONT}">`,
+        `<rect width="${width}" height="${height}" fill="${theme.background}"/>`
+    ];
+    
+    if (title) {
+        parts.push(`<text x="${IMAGE_PADDING}" y="${IMAGE_PADDING + 20}" font-size="20" font-weight="bold" fill="${theme.text}">${escapeXML(title)}</text>`);
+    }
+    
+    // Month initials across the top, day numbers down the side
+    MONTH_NAMES.forEach((name, month) => {
+        const x = gridLeft + month * step + IMAGE_CELL / 2;
+        parts.push(`<text x="${x}" y="${gridTop - 6}" font-size="11" text-anchor="middle" fill="${theme.muted}">${name.charAt(0)}</text>`);
+    });
+    for (let day = 1; day <= 31; day++) {
+        const y = gridTop + (day - 1) * step + IMAGE_CELL / 2 + 4;
+        parts.push(`<text x="${gridLeft - 6}" y="${y}" font-size="10" text-anchor="end" fill="${theme.muted}">${day}</text>`);
+    }
+    
+    for (let month = 0; month < 12; month++) {
+        for (let day = 1; day <= getDaysInMonth(month, year); day++) {
+            const dateStr = formatDate(new Date(year, month, day));
+            const entry = entries[dateStr];
+            const rating = entry && entry.rating;
+            const x = gridLeft + month * step;
+            const y = gridTop + (day - 1) * step;
+            
+            parts.push(`<rect x="${x}" y="${y}" width="${IMAGE_CELL}" height="${IMAGE_CELL}" rx="3" fill="${rating ? colors[rating] : theme.empty}"/>`);
+            
+            if (includeInitials && entry && entry.note) {
+                // Yellow needs dark text, like .day-cell.rating-3
+                const fill = !rating ? theme.text : rating === 3 ? '#212529' : '#ffffff';
+                parts.push(`<text x="${x + IMAGE_CELL / 2}" y="${y + IMAGE_CELL / 2 + 3.5}" font-size="9" font-weight="bold" text-anchor="middle" fill="${fill}">${escapeXML(getInitials(entry.note))}</text>`);
+            }
+        }
+    }
+    
+    legend.forEach(({ rating, text, x, y }) => {
+        parts.push(
+            `<rect x="${x}" y="${y}" width="${IMAGE_CELL}" height="${IMAGE_CELL}" rx="3" fill="${colors[rating]}"/>`,
+            `<text x="${x + IMAGE_CELL + 4}" y="${y + IMAGE_CELL / 2 + 4}" font-size="11" fill="${theme.text}">${text}</text>`
+        );
+    });
+    
+    parts.push('</svg>');
+    return { svg: parts.join('\n'), width, height };
+}
+
+/**
+ * Rasterize an SVG image to PNG using a canvas
+ * @param {string} svg - SVG markup
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Blob>}
+ */
+function svgToPNG(svg, width, height) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * IMAGE_PNG_SCALE;
+            canvas.height = height * IMAGE_PNG_SCALE;
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(t('Could not draw the PNG image')));
+                }
+            }, 'image/png');
+        };
+        image.onerror = () => reject(new Error(t('Could not draw the PNG image')));
+        
+        // A data URL keeps the canvas untainted, so it can be saved
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+}
+
+/**
+ * Export a user's year as a "year in pixels" image
+ * @param {string} userId
+ * @param {number} year
+ * @param {Object} options - { format: 'png'|'svg', title, includeInitials, dark }
  * @returns {Promise<void>}
  */
-export async function exportCSV() {
+export async function exportYearImage(userId, year, options) {
     try {
-        const entries = await getAllEntries();
+        const entries = await getUserEntries(userId, year);
+        const { svg, width, height } = buildYearSVG(entries, year, options);
+        const filename = `daydicated-${year}-pixels.${options.format}`;
+        
+        if (options.format === IMAGE_FORMATS.PNG) {
+            downloadFile(await svgToPNG(svg, width, height), filename, 'image/png');
+        } else {
+            downloadFile(svg, filename, 'image/svg+xml');
+        }
+        
+        console.log(`Exported ${year} as ${options.format.toUpperCase()} image`);
+    } catch (error) {
+        console.error('Error exporting image:', error);
+        throw error;
+    }
+}
+
+/**
+ * Export entries as CSV
+ * @param {number|null} [year] - Year to export, or null for all years
+ * @param {Object|null} [group] - Only export this group's members, or null for everyone
+ * @returns {Promise<void>}
+ */
+export async function exportCSV(year = null, group = null) {
+    try {
+        const entries = await getAllEntries(year, group ? group.members : null);
         
         // CSV header
-        const header = 'userId,date,rating,note';
-        
-        // CSV rows
-        const rows = entries.map(entry => {
-            // Escape quotes in note and wrap in quotes if contains comma
-            const note = entry.note || '';
-            const escapedNote = note.includes(',') || note.includes('"') 
-                ? `"${note.replace(/"/g, '""')}"` 
-                : note;
-            
-            return `${entry.userId},${entry.date},${entry.rating},${escapedNote}`;
-        });
+        const header = 'userId,date,rating,note,tags,journal,habits';
+        
+        // CSV rows (tags and habits are joined with ";" inside one column)
+        const rows = entries.map(entry => [
+            entry.userId,
+            entry.date,
+            entry.rating,
+            escapeCSV(entry.note || ''),
+            escapeCSV((entry.tags || []).join(';')),
+            escapeCSV(entry.journal || ''),
+            escapeCSV((entry.habits || []).join(';'))
+        ].join(','));
         
         const csv = [header, ...rows].join('\n');
-        downloadFile(csv, 'daydicated-2026.csv', 'text/csv');
+        downloadFile(csv, getExportFilename(year, 'csv', group), 'text/csv');
         
         console.log(`Exported ${entries.length} entries to CSV`);
     } catch (error) {
@@ -61,15 +560,17 @@ export async function exportCSV() {
 }
 
 /**
- * Export all entries as JSON
+ * Export entries as JSON
+ * @param {number|null} [year] - Year to export, or null for all years
+ * @param {Object|null} [group] - Only export this group's members, or null for everyone
  * @returns {Promise<void>}
  */
-export async function exportJSON() {
+export async function exportJSON(year = null, group = null) {
     try {
-        const entries = await getAllEntries();
+        const entries = await getAllEntries(year, group ? group.members : null);
         
         const json = JSON.stringify(entries, null, 2);
-        downloadFile(json, 'daydicated-2026.json', 'application/json');
+        downloadFile(json, getExportFilename(year, 'json', group), 'application/json');
         
         console.log(`Exported ${entries.length} entries to JSON`);
     } catch (error) {
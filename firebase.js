@@ -3,13 +3,21 @@
  * 
  * This module initializes Firebase with the project configuration
  * and exports the auth and firestore instances for use throughout the app.
+ * Firestore keeps an IndexedDB cache so the app works offline.
  * 
- * IMPORTANT: Replace the firebaseConfig values with your actual Firebase project credentials.
+ * IMPORTANT: Replace the firebaseConfig values with your actual Firebase project credentials
+ * (or pass another project as `firebase` in window.DAYDICATED_CONFIG, see config.js).
+ * Only imported when the Firestore backend is selected.
  */
 
+import { config } from './config.js';
 import { initializeApp } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js";
 import { getAuth } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
-import { getFirestore } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { 
+    initializeFirestore, 
+    persistentLocalCache, 
+    persistentMultipleTabManager 
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
 
 // Firebase configuration - REPLACE WITH YOUR PROJECT CREDENTIALS
 const firebaseConfig = {
@@ -23,12 +31,15 @@ const firebaseConfig = {
 
 
 // Initialize Firebase
-const app = initializeApp(firebaseConfig);
+const app = initializeApp(config.firebase || firebaseConfig);
 
 // Initialize Firebase Authentication
 export const auth = getAuth(app);
 
-// Initialize Cloud Firestore
-export const db = getFirestore(app);
+// Initialize Cloud Firestore with an IndexedDB cache shared between tabs.
+// Reads fall back to the cache offline and writes are queued until reconnect.
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 
 export default app;
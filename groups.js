@@ -0,0 +1,574 @@
+/**
+ * Groups Module
+ *
+ * Groups gather users into teams ("Platform team") whose mood can be seen
+ * at a glance. The owner creates a group, invites users from the directory
+ * and removes members; invited users join or decline, and members can leave.
+ * The group calendar shows the mean or median rating of each day across the
+ * members who share their rating with the viewer, with how many of them rated
+ * the day. Being in a group reveals nothing by itself: every member's calendar
+ * is still read through that member's own sharing settings.
+ */
+
+import { storage } from './storage.js';
+import { getCurrentUser } from './auth.js';
+import { renderMonthGrid } from './compare.js';
+import { formatDate } from './calendar.js';
+import { getDisplayName } from './profiles.js';
+import { t, tn } from './i18n.js';
+
+// Limits for a group
+export const GROUP_NAME_MAX_LENGTH = 40;
+export const MAX_GROUP_MEMBERS = 50;
+
+// How the members' ratings of a day are combined
+export const GROUP_AGGREGATES = {
+    MEAN: 'mean',
+    MEDIAN: 'median'
+};
+
+// Days counted in the "Last 7 days" figure, today included
+const RECENT_DAYS = 7;
+
+/**
+ * Normalize a group name: trimmed, inner whitespace collapsed
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeGroupName(name) {
+    return String(name).replace(/\s+/g, ' ').trim().substring(0, GROUP_NAME_MAX_LENGTH).trim();
+}
+
+/**
+ * Check whether a user owns a group
+ * @param {Object} group
+ * @param {string} uid
+ * @returns {boolean}
+ */
+export function isGroupOwner(group, uid) {
+    return group.ownerId === uid;
+}
+
+/**
+ * Check whether a user has been invited to a group and not answered yet
+ * @param {Object} group
+ * @param {string} uid
+ * @returns {boolean}
+ */
+export function isInvitedTo(group, uid) {
+    return group.invited.includes(uid) && !group.members.includes(uid);
+}
+
+/**
+ * Get the logged-in user, or fail with a message naming the action
+ * @param {string} action - e.g. 'change groups'
+ * @returns {Object}
+ */
+function requireUser(action) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error(`Must be logged in to ${action}`);
+    }
+    return user;
+}
+
+/**
+ * Save a changed copy of a group
+ * @param {Object} user - The logged-in user
+ * @param {Object} group
+ * @param {Object} changes - Fields to replace
+ * @returns {Promise<void>}
+ */
+async function updateGroup(user, group, changes) {
+    try {
+        await storage.saveGroup(user, { ...group, ...changes });
+    } catch (error) {
+        console.error('Error saving group:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load the groups the logged-in user belongs to or is invited to, by name
+ * @returns {Promise<Object[]>}
+ */
+export async function loadMyGroups() {
+    const user = getCurrentUser();
+    if (!user) return [];
+
+    const groups = await storage.getGroups(user.uid);
+    return groups
+        .map(group => ({ ...group, members: group.members || [], invited: group.invited || [] }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a group owned by the logged-in user
+ * @param {string} name
+ * @returns {Promise<string>} - The new group's ID
+ */
+export async function createGroup(name) {
+    const user = requireUser('create a group');
+    const groupName = normalizeGroupName(name);
+    if (!groupName) {
+        throw new Error(t('Enter a name for the group'));
+    }
+
+    try {
+        return await storage.saveGroup(user, {
+            name: groupName,
+            ownerId: user.uid,
+            members: [user.uid],
+            invited: [],
+            createdAt: Date.now()
+        });
+    } catch (error) {
+        console.error('Error creating group:', error);
+        throw error;
+    }
+}
+
+/**
+ * Invite a user to a group the logged-in user owns
+ * @param {Object} group
+ * @param {string} uid - The invited user
+ * @returns {Promise<void>}
+ */
+export async function inviteToGroup(group, uid) {
+    const user = requireUser('invite to a group');
+    if (!isGroupOwner(group, user.uid)) {
+        throw new Error(t('Only the owner of a group can invite people'));
+    }
+    if (group.members.includes(uid) || group.invited.includes(uid)) return;
+    if (group.members.length + group.invited.length >= MAX_GROUP_MEMBERS) {
+        throw new Error(t('A group can have at most {max} members', { max: MAX_GROUP_MEMBERS }));
+    }
+
+    await updateGroup(user, group, { invited: [...group.invited, uid] });
+}
+
+/**
+ * Remove a member from a group, or take back an invitation
+ * @param {Object} group - A group the logged-in user owns
+ * @param {string} uid
+ * @returns {Promise<void>}
+ */
+export async function removeFromGroup(group, uid) {
+    const user = requireUser('remove a group member');
+    if (!isGroupOwner(group, user.uid)) {
+        throw new Error(t('Only the owner of a group can remove people'));
+    }
+    if (uid === group.ownerId) {
+        throw new Error(t("The owner can't be removed; delete the group instead"));
+    }
+
+    await updateGroup(user, group, {
+        members: group.members.filter(member => member !== uid),
+        invited: group.invited.filter(invited => invited !== uid)
+    });
+}
+
+/**
+ * Join a group the logged-in user was invited to, or decline the invitation
+ * @param {Object} group
+ * @param {boolean} accept
+ * @returns {Promise<void>}
+ */
+export async function answerInvitation(group, accept) {
+    const user = requireUser('answer an invitation');
+    if (!isInvitedTo(group, user.uid)) {
+        throw new Error(t('This invitation is no longer open'));
+    }
+
+    await updateGroup(user, group, {
+        members: accept ? [...group.members, user.uid] : group.members,
+        invited: group.invited.filter(uid => uid !== user.uid)
+    });
+}
+
+/**
+ * Leave a group the logged-in user is a member of
+ * @param {Object} group
+ * @returns {Promise<void>}
+ */
+export async function leaveGroup(group) {
+    const user = requireUser('leave a group');
+    if (isGroupOwner(group, user.uid)) {
+        throw new Error(t("The owner can't leave a group; delete it instead"));
+    }
+
+    await updateGroup(user, group, { members: group.members.filter(uid => uid !== user.uid) });
+}
+
+/**
+ * Delete a group the logged-in user owns
+ * @param {Object} group
+ * @returns {Promise<void>}
+ */
+export async function deleteGroup(group) {
+    const user = requireUser('delete a group');
+    if (!isGroupOwner(group, user.uid)) {
+        throw new Error(t('Only the owner of a group can delete it'));
+    }
+
+    try {
+        await storage.deleteGroup(user, group.id);
+    } catch (error) {
+        console.error('Error deleting group:', error);
+        throw error;
+    }
+}
+
+/**
+ * Combine ratings into one figure
+ * @param {number[]} ratings - At least one rating
+ * @param {string} method - One of GROUP_AGGREGATES
+ * @returns {number}
+ */
+function aggregateRatings(ratings, method) {
+    if (method === GROUP_AGGREGATES.MEDIAN) {
+        const sorted = [...ratings].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    return ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+}
+
+/**
+ * Combine the members' ratings of each day
+ * @param {Object[]} memberEntries - One object mapping date strings to entry data per member
+ * @param {string} method - One of GROUP_AGGREGATES
+ * @returns {Object} - date -> { value, count }: the combined rating and how many members rated the day
+ */
+export function computeGroupCalendar(memberEntries, method) {
+    const ratingsByDate = {};
+    memberEntries.forEach(entries => {
+        Object.entries(entries).forEach(([date, entry]) => {
+            if (entry && entry.rating) {
+                (ratingsByDate[date] = ratingsByDate[date] || []).push(entry.rating);
+            }
+        });
+    });
+
+    const days = {};
+    Object.keys(ratingsByDate).sort().forEach(date => {
+        const ratings = ratingsByDate[date];
+        days[date] = { value: aggregateRatings(ratings, method), count: ratings.length };
+    });
+    return days;
+}
+
+/**
+ * Sum up a group calendar
+ * @param {Object} days - Result of computeGroupCalendar
+ * @param {number} sharingCount - Members whose ratings were included
+ * @param {Date} [today]
+ * @returns {Object} - { ratedDays, average, participation, recentDays, recentAverage }
+ */
+export function summarizeGroupCalendar(days, sharingCount, today = new Date()) {
+    const values = Object.values(days);
+    const average = values.length
+        ? values.reduce((sum, day) => sum + day.value, 0) / values.length
+        : null;
+    const participation = values.length && sharingCount
+        ? values.reduce((sum, day) => sum + day.count, 0) / values.length / sharingCount
+        : null;
+
+    const recent = [];
+    for (let i = 0; i < RECENT_DAYS; i++) {
+        const date = formatDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() - i));
+        if (days[date]) {
+            recent.push(days[date].value);
+        }
+    }
+
+    return {
+        ratedDays: values.length,
+        average,
+        participation,
+        recentDays: recent.length,
+        recentAverage: recent.length ? recent.reduce((sum, value) => sum + value, 0) / recent.length : null
+    };
+}
+
+/**
+ * Format a combined rating with one decimal, dropping ".0"
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Build the summary tiles of a group calendar
+ * @param {Object} summary - Result of summarizeGroupCalendar
+ * @param {Object} group - See renderGroupCalendar
+ * @returns {HTMLElement}
+ */
+function renderGroupSummary(summary, group) {
+    const row = document.createElement('div');
+    row.className = 'row g-2 mb-3 text-center';
+
+    const methodLabel = group.method === GROUP_AGGREGATES.MEDIAN ? t('Median') : t('Mean');
+    const figures = [
+        [
+            t('Last 7 days'),
+            summary.recentAverage === null ? '—' : formatValue(summary.recentAverage),
+            tn(summary.recentDays, '{count} day rated', '{count} days rated')
+        ],
+        [
+            t('Year average'),
+            summary.average === null ? '—' : formatValue(summary.average),
+            t('{method} rating per day', { method: methodLabel })
+        ],
+        [
+            t('Participation'),
+            summary.participation === null ? '—' : `${Math.round(summary.participation * 100)}%`,
+            tn(summary.ratedDays, 'average over {count} rated day', 'average over {count} rated days')
+        ],
+        [
+            t('Sharing ratings'),
+            `${group.sharingCount}/${group.memberCount}`,
+            t('members whose ratings you can see')
+        ]
+    ];
+
+    figures.forEach(([label, value, detail]) => {
+        const col = document.createElement('div');
+        col.className = 'col-6 col-lg-3';
+
+        const tile = document.createElement('div');
+        tile.className = 'stat-tile border rounded p-2 h-100';
+
+        const valueEl = document.createElement('div');
+        valueEl.className = 'fs-4 fw-bold';
+        valueEl.textContent = value;
+
+        const labelEl = document.createElement('div');
+        labelEl.className = 'small text-muted';
+        labelEl.textContent = label;
+
+        const detailEl = document.createElement('div');
+        detailEl.className = 'small';
+        detailEl.textContent = detail;
+
+        tile.appendChild(valueEl);
+        tile.appendChild(labelEl);
+        tile.appendChild(detailEl);
+        col.appendChild(tile);
+        row.appendChild(col);
+    });
+
+    return row;
+}
+
+/**
+ * Render a group's year: each day colored by the combined rating, with how
+ * many members rated it
+ * @param {HTMLElement} container - Container element for the group calendar
+ * @param {number} year
+ * @param {Object} group - { label, method, days, memberCount, sharingCount, hiddenNames }:
+ *                         days from computeGroupCalendar, hiddenNames the members left out
+ *                         because they don't share their rating with the viewer
+ */
+export function renderGroupCalendar(container, year, group) {
+    container.innerHTML = '';
+
+    const title = document.createElement('h5');
+    title.className = 'fw-bold mb-3';
+    title.textContent = group.label;
+    container.appendChild(title);
+
+    container.appendChild(renderGroupSummary(summarizeGroupCalendar(group.days, group.sharingCount), group));
+
+    const legend = document.createElement('p');
+    legend.className = 'small text-muted mb-2';
+    legend.textContent = t('Color: {method} rating of the day · small number: members who rated it', {
+        method: group.method === GROUP_AGGREGATES.MEDIAN ? t('median') : t('mean')
+    });
+    if (group.hiddenNames.length > 0) {
+        legend.textContent += ' · ' + t('Not included (ratings not shared with you): {names}', {
+            names: group.hiddenNames.join(', ')
+        });
+    }
+    container.appendChild(legend);
+
+    const row = document.createElement('div');
+    row.className = 'row g-2';
+    for (let month = 0; month < 12; month++) {
+        const col = document.createElement('div');
+        col.className = 'col-12 col-md-6 col-lg-4';
+        col.appendChild(renderMonthGrid(year, month, (cell, dateStr) => {
+            const day = group.days[dateStr];
+            cell.classList.add('group-cell');
+            if (!day) {
+                cell.textContent = parseInt(dateStr.substring(8, 10));
+                cell.title = dateStr;
+                return;
+            }
+
+            cell.classList.add(`rating-${Math.round(day.value)}`);
+            const value = document.createElement('span');
+            value.className = 'group-value';
+            value.textContent = formatValue(day.value);
+            const count = document.createElement('span');
+            count.className = 'group-count';
+            count.textContent = `${day.count}/${group.sharingCount}`;
+            cell.appendChild(value);
+            cell.appendChild(count);
+            cell.title = `${dateStr}\n` + t('{value} from {count} of {total} members', {
+                value: formatValue(day.value),
+                count: day.count,
+                total: group.sharingCount
+            });
+        }));
+        row.appendChild(col);
+    }
+    container.appendChild(row);
+}
+
+/**
+ * Create a small button for a group card
+ * @param {string} label
+ * @param {string} icon - Bootstrap icon name
+ * @param {string} style - Bootstrap button style, e.g. 'outline-danger'
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createButton(label, icon, style, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-sm btn-${style}`;
+    button.innerHTML = `<i class="bi bi-${icon}"></i> `;
+    button.appendChild(document.createTextNode(label));
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Render one member or invited user of a group
+ * @param {string} name
+ * @param {string|null} badge - e.g. "owner" or "invited"
+ * @param {Function|null} onRemove - Shown as a remove button when given
+ * @returns {HTMLElement}
+ */
+function renderMember(name, badge, onRemove) {
+    const item = document.createElement('li');
+    item.className = 'list-group-item d-flex align-items-center gap-2 py-1';
+
+    const label = document.createElement('span');
+    label.className = 'flex-grow-1';
+    label.textContent = name;
+    item.appendChild(label);
+
+    if (badge) {
+        const badgeEl = document.createElement('span');
+        badgeEl.className = 'badge bg-light text-dark border';
+        badgeEl.textContent = badge;
+        item.appendChild(badgeEl);
+    }
+    if (onRemove) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-sm btn-outline-danger';
+        removeBtn.innerHTML = '<i class="bi bi-x-lg"></i>';
+        removeBtn.setAttribute('aria-label', t('Remove {name}', { name }));
+        removeBtn.title = t('Remove {name}', { name });
+        removeBtn.addEventListener('click', onRemove);
+        item.appendChild(removeBtn);
+    }
+    return item;
+}
+
+/**
+ * Render the groups of the groups modal: invitations to answer, and the
+ * groups the viewer is in with their members. Owners can invite and remove
+ * people and delete the group; other members can leave.
+ * @param {HTMLElement} container - Container element for the list
+ * @param {Object[]} groups - From loadMyGroups
+ * @param {string} viewerUid - The logged-in user
+ * @param {Object[]} directory - Profiles of everyone who can be invited
+ * @param {Object} actions - { onView(group), onInvite(group, uid), onRemove(group, uid),
+ *                             onAnswer(group, accept), onLeave(group), onDelete(group) }
+ */
+export function renderGroupList(container, groups, viewerUid, directory, actions) {
+    container.innerHTML = '';
+
+    if (groups.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'text-muted small';
+        empty.textContent = t('You are not in any group yet. Create one below.');
+        container.appendChild(empty);
+        return;
+    }
+
+    const getName = uid => getDisplayName(directory.find(profile => profile.uid === uid) || null, uid);
+
+    groups.forEach(group => {
+        const card = document.createElement('div');
+        card.className = 'card mb-2';
+
+        const header = document.createElement('div');
+        header.className = 'card-header d-flex flex-wrap align-items-center gap-2';
+        const name = document.createElement('strong');
+        name.className = 'me-auto';
+        name.textContent = group.name;
+        header.appendChild(name);
+        card.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'card-body p-2';
+        card.appendChild(body);
+
+        if (isInvitedTo(group, viewerUid)) {
+            const invitation = document.createElement('p');
+            invitation.className = 'small mb-2';
+            invitation.textContent = t("{owner} invited you to this group. Members see each other's ratings in the group calendar only if they share them.",
+                { owner: getName(group.ownerId) });
+            body.appendChild(invitation);
+            header.appendChild(createButton(t('Join'), 'check-lg', 'primary', () => actions.onAnswer(group, true)));
+            header.appendChild(createButton(t('Decline'), 'x-lg', 'outline-secondary', () => actions.onAnswer(group, false)));
+            container.appendChild(card);
+            return;
+        }
+
+        const isOwner = isGroupOwner(group, viewerUid);
+        header.appendChild(createButton(t('View calendar'), 'calendar3', 'primary', () => actions.onView(group)));
+        header.appendChild(isOwner
+            ? createButton(t('Delete'), 'trash', 'outline-danger', () => actions.onDelete(group))
+            : createButton(t('Leave'), 'box-arrow-right', 'outline-secondary', () => actions.onLeave(group)));
+
+        const members = document.createElement('ul');
+        members.className = 'list-group list-group-flush small';
+        group.members.forEach(uid => {
+            members.appendChild(renderMember(getName(uid),
+                uid === group.ownerId ? t('owner') : null,
+                isOwner && uid !== group.ownerId ? () => actions.onRemove(group, uid) : null));
+        });
+        group.invited.filter(uid => !group.members.includes(uid)).forEach(uid => {
+            members.appendChild(renderMember(getName(uid), t('invited'),
+                isOwner ? () => actions.onRemove(group, uid) : null));
+        });
+        body.appendChild(members);
+
+        const invitable = directory.filter(profile =>
+            !group.members.includes(profile.uid) && !group.invited.includes(profile.uid));
+        if (isOwner && invitable.length > 0) {
+            const inviteRow = document.createElement('div');
+            inviteRow.className = 'input-group input-group-sm mt-2';
+
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            select.setAttribute('aria-label', t('Person to invite'));
+            invitable.forEach(profile => select.appendChild(new Option(profile.displayName, profile.uid)));
+
+            inviteRow.appendChild(select);
+            inviteRow.appendChild(createButton(t('Invite'), 'person-plus', 'outline-primary',
+                () => actions.onInvite(group, select.value)));
+            body.appendChild(inviteRow);
+        }
+
+        container.appendChild(card);
+    });
+}
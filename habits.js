@@ -0,0 +1,214 @@
+/**
+ * Habits Module
+ *
+ * Habits are things a user means to do every day ("Exercise", "Reading",
+ * "No alcohol"). Each user keeps their list in their preferences; a day's
+ * entry stores the names of the habits done that day, so the days keep
+ * their checks when a habit is later removed from the list. Provides name
+ * normalization, the checklist shown in the edit modal and the list editor
+ * of the habits modal.
+ */
+
+import { t } from './i18n.js';
+
+// Limits for a user's habit list
+export const MAX_HABITS = 12;
+export const HABIT_NAME_MAX_LENGTH = 30;
+
+// Number of dot colors in styles.css (.habit-color-0 and up)
+const HABIT_COLOR_COUNT = 8;
+
+/**
+ * Normalize a habit name: trimmed, inner whitespace collapsed, case kept.
+ * Commas and semicolons separate habits in CSV, so they become spaces.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeHabitName(name) {
+    return String(name).replace(/[;,\s]+/g, ' ').trim().substring(0, HABIT_NAME_MAX_LENGTH).trim();
+}
+
+/**
+ * Normalize a list of habits: no empties, no duplicates (ignoring case),
+ * at most MAX_HABITS
+ * @param {string[]|string|null|undefined} habits - Array, or a ";" / "," separated string
+ * @returns {string[]}
+ */
+export function normalizeHabits(habits) {
+    if (!habits) return [];
+    const list = Array.isArray(habits) ? habits : String(habits).split(/[;,]/);
+
+    const unique = [];
+    list.map(normalizeHabitName).forEach(name => {
+        if (name && !unique.some(other => other.toLowerCase() === name.toLowerCase())) {
+            unique.push(name);
+        }
+    });
+    return unique.slice(0, MAX_HABITS);
+}
+
+/**
+ * Pick the dot color of a habit: by its place in the owner's list, so the
+ * colors are distinct, or from its name for habits no longer listed
+ * @param {string} name
+ * @param {string[]} habits - The calendar owner's habit list
+ * @returns {number} - Index of a .habit-color-N class
+ */
+export function getHabitColor(name, habits) {
+    const index = habits.indexOf(name);
+    if (index !== -1) return index % HABIT_COLOR_COUNT;
+
+    let hash = 0;
+    for (const char of name) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return hash % HABIT_COLOR_COUNT;
+}
+
+/**
+ * Collect the habits of a calendar: the owner's list first, then habits
+ * only found in the entries (removed from the list since), most done first
+ * @param {Object} entries - Object mapping date strings to entry data
+ * @param {string[]} habits - The calendar owner's habit list
+ * @returns {string[]}
+ */
+export function collectHabits(entries, habits) {
+    const counts = new Map();
+    Object.values(entries).forEach(entry => {
+        (entry.habits || []).forEach(name => {
+            if (!habits.includes(name)) {
+                counts.set(name, (counts.get(name) || 0) + 1);
+            }
+        });
+    });
+
+    const removed = Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([name]) => name);
+    return [...habits, ...removed];
+}
+
+/**
+ * Render a checkbox per habit for the edit modal. Habits checked on the
+ * day but no longer listed are kept, so saving doesn't drop them.
+ * @param {HTMLElement} container
+ * @param {string[]} habits - The user's habit list
+ * @param {string[]} checked - Habits done on the day
+ */
+export function renderHabitChecklist(container, habits, checked) {
+    container.innerHTML = '';
+
+    [...habits, ...checked.filter(name => !habits.includes(name))].forEach((name, index) => {
+        const item = document.createElement('div');
+        item.className = 'form-check form-check-inline';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'form-check-input';
+        input.id = `edit-habit-${index}`;
+        input.value = name;
+        input.checked = checked.includes(name);
+
+        const label = document.createElement('label');
+        label.className = 'form-check-label';
+        label.htmlFor = input.id;
+        label.textContent = name;
+
+        item.appendChild(input);
+        item.appendChild(label);
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Read the habits checked in a checklist
+ * @param {HTMLElement} container - Container filled by renderHabitChecklist
+ * @returns {string[]}
+ */
+export function getCheckedHabits(container) {
+    return Array.from(container.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(input => input.value);
+}
+
+/**
+ * Create the editor of a user's habit list: one row per habit with a
+ * remove button, plus an input that adds a habit on Enter
+ * @param {HTMLElement} listContainer - Where the habits are listed
+ * @param {HTMLInputElement} input - Text input for new habits
+ * @returns {Object} - { getHabits, setHabits, addFromInput }
+ */
+export function createHabitEditor(listContainer, input) {
+    let habits = [];
+
+    function renderList() {
+        listContainer.innerHTML = '';
+
+        if (habits.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'list-group-item text-muted small';
+            empty.textContent = t('No habits yet. Add the first one below.');
+            listContainer.appendChild(empty);
+        }
+
+        habits.forEach(name => {
+            const row = document.createElement('div');
+            row.className = 'list-group-item d-flex align-items-center gap-2';
+
+            const dot = document.createElement('span');
+            dot.className = `habit-dot habit-color-${getHabitColor(name, habits)}`;
+            dot.setAttribute('aria-hidden', 'true');
+
+            const label = document.createElement('span');
+            label.className = 'flex-grow-1';
+            label.textContent = name;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn btn-sm btn-outline-danger';
+            removeBtn.innerHTML = '<i class="bi bi-x-lg"></i>';
+            removeBtn.setAttribute('aria-label', t('Remove habit {habit}', { habit: name }));
+            removeBtn.title = t('Remove habit {habit}', { habit: name });
+            removeBtn.addEventListener('click', () => {
+                habits = habits.filter(other => other !== name);
+                renderList();
+            });
+
+            row.appendChild(dot);
+            row.appendChild(label);
+            row.appendChild(removeBtn);
+            listContainer.appendChild(row);
+        });
+        input.disabled = habits.length >= MAX_HABITS;
+    }
+
+    function addFromInput() {
+        const added = normalizeHabitName(input.value);
+        if (added) {
+            habits = normalizeHabits([...habits, added]);
+            renderList();
+        }
+        input.value = '';
+    }
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            // Keep Enter from submitting the habits form
+            e.preventDefault();
+            addFromInput();
+        }
+    });
+
+    return {
+        getHabits() {
+            // Include a habit that was typed but not added yet
+            addFromInput();
+            return [...habits];
+        },
+        setHabits(newHabits) {
+            habits = normalizeHabits(newHabits);
+            input.value = '';
+            renderList();
+        },
+        addFromInput
+    };
+}
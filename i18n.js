@@ -0,0 +1,207 @@
+/**
+ * Internationalization Module
+ *
+ * UI text is written in English in index.html and the modules; the English
+ * text is the key into each language's catalog (translations.js), and text
+ * missing from a catalog shows in English. Markup opts in with `data-i18n`
+ * (its text) and `data-i18n-attr` (e.g. "placeholder aria-label"). Month and
+ * day names and dates are formatted with Intl.DateTimeFormat for the chosen
+ * language. The language is remembered per browser and, once logged in, in
+ * the user's preferences.
+ */
+
+import { TRANSLATIONS } from './translations.js';
+
+// Languages the UI ships in; weekStart is the default first day (0 = Sunday)
+export const LANGUAGES = {
+    en: { name: 'English', locale: 'en-US', weekStart: 0 },
+    de: { name: 'Deutsch', locale: 'de-DE', weekStart: 1 }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// localStorage key of the language last chosen in this browser
+const LANGUAGE_KEY = 'daydicated-language';
+
+/**
+ * Pick the language last chosen in this browser, else the browser's own
+ * @returns {string}
+ */
+function detectLanguage() {
+    try {
+        const saved = localStorage.getItem(LANGUAGE_KEY);
+        if (saved && LANGUAGES[saved]) return saved;
+    } catch (error) {
+        // Storage disabled: fall back to the browser language
+    }
+
+    const preferred = (navigator.languages || [navigator.language || ''])
+        .map(tag => tag.split('-')[0].toLowerCase())
+        .find(code => LANGUAGES[code]);
+    return preferred || DEFAULT_LANGUAGE;
+}
+
+let language = detectLanguage();
+
+/**
+ * Get the UI language
+ * @returns {string} - One of the LANGUAGES codes
+ */
+export function getLanguage() {
+    return language;
+}
+
+/**
+ * Switch the UI language and remember it in this browser. Call
+ * translatePage and re-render dynamic content afterwards.
+ * @param {string} code - One of the LANGUAGES codes (unknown codes fall back to English)
+ * @returns {string} - The language that was set
+ */
+export function setLanguage(code) {
+    language = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+    try {
+        localStorage.setItem(LANGUAGE_KEY, language);
+    } catch (error) {
+        // Not remembered; the preference still applies after login
+    }
+    document.documentElement.lang = language;
+    return language;
+}
+
+/**
+ * Get the BCP 47 locale used for dates and numbers
+ * @returns {string}
+ */
+export function getLocale() {
+    return LANGUAGES[language].locale;
+}
+
+/**
+ * Get the first day of the week customary for the UI language
+ * @returns {number} - 0 (Sunday) to 6 (Saturday)
+ */
+export function getLanguageWeekStart() {
+    return LANGUAGES[language].weekStart;
+}
+
+/**
+ * Translate a UI string, filling in {placeholders}
+ * @param {string} text - English text, the catalog key
+ * @param {Object} [params] - Values for the placeholders
+ * @returns {string}
+ */
+export function t(text, params = {}) {
+    const catalog = TRANSLATIONS[language] || {};
+    const translated = catalog[text] || text;
+    return translated.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Translate a string that depends on a count, e.g. "{count} day" / "{count} days"
+ * @param {number} count
+ * @param {string} one - English text for exactly one
+ * @param {string} other - English text for any other count
+ * @param {Object} [params] - Values for other placeholders ({count} is filled in)
+ * @returns {string}
+ */
+export function tn(count, one, other, params = {}) {
+    const form = new Intl.PluralRules(getLocale()).select(count);
+    return t(form === 'one' ? one : other, { count, ...params });
+}
+
+/**
+ * Format a date for display in the UI language
+ * @param {Date} date
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export function formatLocalDate(date, options) {
+    return new Intl.DateTimeFormat(getLocale(), options).format(date);
+}
+
+/**
+ * Format a range of dates, sharing what both ends have in common
+ * (e.g. "Mar 1 – 7, 2026" or "1.–7. März 2026")
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export function formatLocalDateRange(start, end, options) {
+    return new Intl.DateTimeFormat(getLocale(), options).formatRange(start, end);
+}
+
+/**
+ * Get the month names in the UI language
+ * @param {string} [style] - 'long' (January) or 'short' (Jan)
+ * @returns {string[]} - Indexed by month, 0 = January
+ */
+export function getMonthNames(style = 'long') {
+    const format = new Intl.DateTimeFormat(getLocale(), { month: style });
+    return Array.from({ length: 12 }, (_, month) => format.format(new Date(2000, month, 1)));
+}
+
+/**
+ * Get the weekday names in the UI language
+ * @param {string} [style] - 'narrow' (M), 'short' (Mon) or 'long' (Monday)
+ * @returns {string[]} - Indexed like Date.getDay(), 0 = Sunday
+ */
+export function getDayNames(style = 'short') {
+    const format = new Intl.DateTimeFormat(getLocale(), { weekday: style });
+    // 2000-01-02 was a Sunday
+    return Array.from({ length: 7 }, (_, day) => format.format(new Date(2000, 0, 2 + day)));
+}
+
+/**
+ * Find the text node an element's translation goes into: its last
+ * non-blank text, so a leading icon stays in place
+ * @param {HTMLElement} element
+ * @returns {Text|null}
+ */
+function findTextNode(element) {
+    const nodes = Array.from(element.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    return nodes.length > 0 ? nodes[nodes.length - 1] : null;
+}
+
+/**
+ * Translate the marked text and attributes under a root element. The
+ * English originals are kept in data attributes, so this can run again
+ * after every language switch.
+ * @param {ParentNode} [root]
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const textNode = findTextNode(element);
+        if (!textNode) return;
+
+        if (!element.dataset.i18n) {
+            element.dataset.i18n = textNode.textContent.trim().replace(/\s+/g, ' ');
+        }
+        // Keep the space after a leading icon
+        const spacer = textNode.previousSibling ? ' ' : '';
+        textNode.textContent = `${spacer}${t(element.dataset.i18n)}`;
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(/\s+/).filter(Boolean).forEach(attr => {
+            const sourceKey = `i18nSource${attr.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase())}`;
+            if (!(sourceKey in element.dataset)) {
+                element.dataset[sourceKey] = element.getAttribute(attr) || '';
+            }
+            element.setAttribute(attr, t(element.dataset[sourceKey]));
+        });
+    });
+}
+
+/**
+ * Fill a language switcher with the shipped languages
+ * @param {HTMLSelectElement} select
+ */
+export function renderLanguageSelect(select) {
+    select.innerHTML = '';
+    Object.entries(LANGUAGES).forEach(([code, { name }]) => {
+        select.appendChild(new Option(name, code));
+    });
+    select.value = language;
+}
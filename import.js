@@ -0,0 +1,465 @@
+/**
+ * Import Module
+ *
+ * Reads CSV and JSON files (as written by export.js or other mood trackers),
+ * validates them and builds a dry-run plan before writing anything.
+ * Entries are always written through saveEntries, i.e. into the logged-in
+ * user's own calendar only.
+ */
+
+import { getCurrentUser } from './auth.js';
+import {
+    getUserEntries,
+    saveEntries,
+    MAX_BATCH_DAYS,
+    getEditLock,
+    describeEditLock,
+    NOTE_MAX_LENGTH,
+    JOURNAL_MAX_LENGTH
+} from './calendar.js';
+import { normalizeTags } from './tags.js';
+import { normalizeHabits } from './habits.js';
+import { t, tn } from './i18n.js';
+
+// Conflict policies the user can choose from
+export const CONFLICT_POLICIES = {
+    SKIP: 'skip',
+    OVERWRITE: 'overwrite',
+    HIGHER: 'higher'
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into raw records
+ * Accepts the export header (userId,date,rating,note,tags,journal,habits) in any column
+ * order, or headerless date,rating,note rows.
+ * @param {string} text
+ * @returns {Object[]} - Raw records with a line number for error reporting
+ */
+export function parseCSV(text) {
+    const rows = parseCSVRows(text);
+    if (rows.length === 0) return [];
+
+    let columns = ['date', 'rating', 'note'];
+    let firstDataRow = 0;
+
+    const header = rows[0].map(value => value.trim().toLowerCase());
+    if (header.includes('date')) {
+        columns = header.map(name => name === 'userid' ? 'userId' : name);
+        firstDataRow = 1;
+    } else if (rows[0].length >= 4) {
+        columns = ['userId', 'date', 'rating', 'note'];
+    }
+
+    return rows.slice(firstDataRow).map((fields, index) => {
+        const record = { line: firstDataRow + index + 1 };
+        columns.forEach((name, column) => {
+            record[name] = fields[column];
+        });
+        return record;
+    });
+}
+
+/**
+ * Parse JSON text into raw records
+ * Accepts an array of entries (as written by exportJSON) or an object
+ * with an `entries` array.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(t('Invalid JSON: {reason}', { reason: error.message }));
+    }
+
+    const list = Array.isArray(data) ? data : data && data.entries;
+    if (!Array.isArray(list)) {
+        throw new Error(t('JSON must be an array of entries'));
+    }
+
+    return list.map((item, index) => ({ ...item, line: index + 1 }));
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year
+        && date.getMonth() === month - 1
+        && date.getDate() === day;
+}
+
+/**
+ * Validate raw records for import into the current user's calendar
+ * @param {Object[]} rawRecords - Output of parseCSV / parseJSON
+ * @param {string} uid - The current user's ID
+ * @returns {{records: Object[], errors: Object[], foreign: number}}
+ */
+export function validateRecords(rawRecords, uid) {
+    const records = [];
+    const errors = [];
+    const seenDates = new Set();
+    let foreign = 0;
+
+    rawRecords.forEach(raw => {
+        // Rows belonging to other users (e.g. in a full backup) are never imported
+        const userId = raw.userId !== undefined && raw.userId !== null ? String(raw.userId).trim() : '';
+        if (userId && userId !== uid) {
+            foreign++;
+            return;
+        }
+
+        const date = String(raw.date ?? '').trim();
+        if (!isValidDate(date)) {
+            errors.push({ line: raw.line, message: t('Invalid date "{date}"', { date }) });
+            return;
+        }
+
+        // Future days and days outside the edit window can't be written
+        const lock = getEditLock(date);
+        if (lock) {
+            errors.push({ line: raw.line, message: t('{date} is locked. {reason}', { date, reason: describeEditLock(lock) }) });
+            return;
+        }
+
+        const ratingText = String(raw.rating ?? '').trim();
+        const rating = Number(ratingText);
+        if (!/^\d+$/.test(ratingText) || rating < 1 || rating > 5) {
+            errors.push({ line: raw.line, message: t('Invalid rating "{rating}" for {date}', { rating: ratingText, date }) });
+            return;
+        }
+
+        const note = String(raw.note ?? '').trim();
+        if (note.length > NOTE_MAX_LENGTH) {
+            errors.push({ line: raw.line, message: t('Note for {date} is longer than {max} characters', { date, max: NOTE_MAX_LENGTH }) });
+            return;
+        }
+
+        // Files without a journal (null) keep the journal a day already has
+        const journal = raw.journal === undefined || raw.journal === null ? null : String(raw.journal).trim();
+        if (journal !== null && journal.length > JOURNAL_MAX_LENGTH) {
+            errors.push({ line: raw.line, message: t('Journal for {date} is longer than {max} characters', { date, max: JOURNAL_MAX_LENGTH }) });
+            return;
+        }
+
+        if (seenDates.has(date)) {
+            errors.push({ line: raw.line, message: t('Duplicate date {date}', { date }) });
+            return;
+        }
+        seenDates.add(date);
+
+        // Tags are a ";" separated column in CSV and an array in JSON
+        const tags = normalizeTags(raw.tags);
+
+        // Habits likewise; files without habits (null) keep the habits a day already has
+        const habits = raw.habits === undefined || raw.habits === null ? null : normalizeHabits(raw.habits);
+
+        records.push({ date, rating, note, tags, journal, habits });
+    });
+
+    return { records, errors, foreign };
+}
+
+/**
+ * Classify validated records against the existing entries
+ * - new: no entry exists for that day
+ * - changed: same rating and only adds information (a note or journal where
+ *   there was none, or tags or habits on top of the existing ones)
+ * - conflict: would replace an existing rating, note, tags, habits or journal
+ * - unchanged: identical to the existing entry
+ * @param {Object[]} records
+ * @param {Object} existing - Object mapping date strings to entry data
+ * @returns {Object[]} - Plan items sorted by date
+ */
+export function buildImportPlan(records, existing) {
+    return records
+        .map(record => {
+            const current = existing[record.date];
+            let status = 'new';
+
+            if (current) {
+                const currentNote = current.note || '';
+                const currentTags = current.tags || [];
+                const currentJournal = current.journal || '';
+                const sameRating = current.rating === record.rating;
+                const sameNote = currentNote === record.note;
+                const sameTags = currentTags.length === record.tags.length
+                    && currentTags.every(tag => record.tags.includes(tag));
+                const keepsTags = currentTags.every(tag => record.tags.includes(tag));
+                const sameJournal = record.journal === null || currentJournal === record.journal;
+                const currentHabits = current.habits || [];
+                const sameHabits = record.habits === null || (currentHabits.length === record.habits.length
+                    && currentHabits.every(habit => record.habits.includes(habit)));
+                const keepsHabits = record.habits === null
+                    || currentHabits.every(habit => record.habits.includes(habit));
+
+                if (sameRating && sameNote && sameTags && sameJournal && sameHabits) {
+                    status = 'unchanged';
+                } else if (sameRating && (sameNote || currentNote === '') && keepsTags
+                    && (sameJournal || currentJournal === '') && keepsHabits) {
+                    status = 'changed';
+                } else {
+                    status = 'conflict';
+                }
+            }
+
+            return { ...record, status, existing: current || null };
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Decide whether a plan item should be written under a conflict policy
+ * @param {Object} item - Plan item
+ * @param {string} policy - One of CONFLICT_POLICIES
+ * @returns {boolean}
+ */
+export function shouldWrite(item, policy) {
+    switch (item.status) {
+        case 'new':
+        case 'changed':
+            return true;
+        case 'conflict':
+            if (policy === CONFLICT_POLICIES.OVERWRITE) return true;
+            if (policy === CONFLICT_POLICIES.HIGHER) return item.rating > item.existing.rating;
+            return false;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Read a file and build an import preview for the current user
+ * @param {File} file - CSV or JSON file
+ * @returns {Promise<Object>} - { plan, errors, foreign }
+ */
+export async function previewImport(file) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to import entries');
+    }
+
+    const text = await file.text();
+    const isJSON = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('[') || text.trim().startsWith('{');
+    const rawRecords = isJSON ? parseJSON(text) : parseCSV(text);
+
+    const { records, errors, foreign } = validateRecords(rawRecords, user.uid);
+    const existing = await getUserEntries(user.uid);
+
+    return {
+        plan: buildImportPlan(records, existing),
+        errors,
+        foreign
+    };
+}
+
+/**
+ * Write a previewed import plan into the current user's calendar
+ * @param {Object[]} plan - Plan items from previewImport
+ * @param {string} policy - One of CONFLICT_POLICIES
+ * @param {Function} [onProgress] - Called with (done, total)
+ * @returns {Promise<{written: number, skipped: number}>}
+ * @throws {Error} - With `written` set to the number of entries saved before the failure
+ */
+export async function applyImport(plan, policy, onProgress = () => {}) {
+    const toWrite = plan.filter(item => shouldWrite(item, policy));
+    let written = 0;
+
+    try {
+        // Each batch is saved all or nothing
+        for (let i = 0; i < toWrite.length; i += MAX_BATCH_DAYS) {
+            const batch = toWrite.slice(i, i + MAX_BATCH_DAYS);
+            await saveEntries(batch.map(item => ({
+                date: item.date,
+                entry: {
+                    rating: item.rating,
+                    note: item.note,
+                    tags: item.tags,
+                    journal: item.journal ?? item.existing?.journal ?? '',
+                    habits: item.habits ?? item.existing?.habits ?? []
+                }
+            })));
+            written += batch.length;
+            onProgress(written, toWrite.length);
+        }
+    } catch (error) {
+        // The batches saved so far stay saved
+        error.written = written;
+        throw error;
+    }
+
+    console.log(`Imported ${toWrite.length} entries`);
+    return { written: toWrite.length, skipped: plan.length - toWrite.length };
+}
+
+// Labels, summary counts and badge colors for plan statuses (English, translated when shown)
+const STATUS_BADGES = {
+    new: { label: 'New', summary: '{count} new', className: 'bg-success' },
+    changed: { label: 'Changed', summary: '{count} changed', className: 'bg-info text-dark' },
+    conflict: { label: 'Conflict', summary: '{count} conflict', className: 'bg-warning text-dark' },
+    unchanged: { label: 'Unchanged', summary: '{count} unchanged', className: 'bg-secondary' }
+};
+
+/**
+ * Format a rating and note for the preview table
+ * @param {Object|null} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+    if (!entry) return '—';
+    const tags = (entry.tags || []).map(tag => `#${tag}`).join(' ');
+    const habits = (entry.habits || []).map(habit => `✓ ${habit}`).join(' ');
+    return ['★'.repeat(entry.rating), entry.note, tags, habits, entry.journal ? '📓' : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Render the dry-run preview of an import
+ * @param {HTMLElement} container - Container element for the preview
+ * @param {Object} preview - Result of previewImport
+ * @param {string} policy - Currently selected conflict policy
+ */
+export function renderImportPreview(container, preview, policy) {
+    container.innerHTML = '';
+    const { plan, errors, foreign } = preview;
+
+    // Summary badges
+    const counts = { new: 0, changed: 0, conflict: 0, unchanged: 0 };
+    plan.forEach(item => counts[item.status]++);
+    const writeCount = plan.filter(item => shouldWrite(item, policy)).length;
+
+    const summary = document.createElement('div');
+    summary.className = 'd-flex flex-wrap gap-2 mb-2';
+    Object.entries(STATUS_BADGES).forEach(([status, badge]) => {
+        const el = document.createElement('span');
+        el.className = `badge ${badge.className}`;
+        el.textContent = t(badge.summary, { count: counts[status] });
+        summary.appendChild(el);
+    });
+    if (errors.length > 0) {
+        const el = document.createElement('span');
+        el.className = 'badge bg-danger';
+        el.textContent = t('{count} invalid', { count: errors.length });
+        summary.appendChild(el);
+    }
+    container.appendChild(summary);
+
+    const writeInfo = document.createElement('p');
+    writeInfo.className = 'small mb-2';
+    writeInfo.textContent = t('{count} of {total} days will be written to your calendar.', { count: writeCount, total: plan.length });
+    container.appendChild(writeInfo);
+
+    if (foreign > 0) {
+        const foreignInfo = document.createElement('p');
+        foreignInfo.className = 'small text-muted mb-2';
+        foreignInfo.textContent = tn(foreign, '{count} row belongs to another user and will be ignored.',
+            '{count} rows belong to other users and will be ignored.');
+        container.appendChild(foreignInfo);
+    }
+
+    // Validation errors
+    if (errors.length > 0) {
+        const errorList = document.createElement('ul');
+        errorList.className = 'small text-danger import-errors';
+        errors.forEach(error => {
+            const li = document.createElement('li');
+            li.textContent = t('Row {line}: {message}', { line: error.line, message: error.message });
+            errorList.appendChild(li);
+        });
+        container.appendChild(errorList);
+    }
+
+    // Days that differ from the calendar
+    const rows = plan.filter(item => item.status !== 'unchanged');
+    if (rows.length === 0) return;
+
+    const table = document.createElement('table');
+    table.className = 'table table-sm small align-middle import-table';
+    const headRow = table.createTHead().insertRow();
+    ['Date', 'Status', 'Current', 'Imported', 'Action'].forEach(heading => {
+        const th = document.createElement('th');
+        th.textContent = t(heading);
+        headRow.appendChild(th);
+    });
+    const tbody = document.createElement('tbody');
+    rows.forEach(item => {
+        const tr = document.createElement('tr');
+        const badge = STATUS_BADGES[item.status];
+        const cells = [
+            item.date,
+            null,
+            describeEntry(item.existing),
+            describeEntry(item),
+            shouldWrite(item, policy) ? t('Write') : t('Skip')
+        ];
+        cells.forEach((text, index) => {
+            const td = document.createElement('td');
+            if (index === 1) {
+                const el = document.createElement('span');
+                el.className = `badge ${badge.className}`;
+                el.textContent = t(badge.label);
+                td.appendChild(el);
+            } else {
+                td.textContent = text;
+            }
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
@@ -0,0 +1,166 @@
+/**
+ * Journal Module
+ *
+ * Each day can have a long-form journal in Markdown next to its short note;
+ * the note stays the preview in the day cell. The journal is stored with the
+ * note, so it is shared exactly like notes are. This module keeps unsaved
+ * drafts of the journal editor in localStorage, per user and day, so a
+ * closed tab or a crash loses nothing, and renders the reading view that
+ * pages through a month's journal day by day.
+ */
+
+import { renderMarkdown, countWords } from './markdown.js';
+import { t, tn, formatLocalDate } from './i18n.js';
+
+// localStorage key prefix of journal drafts, followed by uid and date
+const DRAFT_KEY_PREFIX = 'daydicated-journal-draft';
+
+/**
+ * Build the localStorage key of a day's draft
+ * @param {string} uid
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string}
+ */
+function getDraftKey(uid, date) {
+    return `${DRAFT_KEY_PREFIX}:${uid}:${date}`;
+}
+
+/**
+ * Get the unsaved draft of a day's journal
+ * @param {string} uid
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {{text: string, savedAt: number}|null}
+ */
+export function getDraft(uid, date) {
+    try {
+        const draft = JSON.parse(localStorage.getItem(getDraftKey(uid, date)));
+        return draft && typeof draft.text === 'string' ? draft : null;
+    } catch (error) {
+        // Storage disabled or a damaged draft
+        return null;
+    }
+}
+
+/**
+ * Remember the text in the journal editor until the entry is saved
+ * @param {string} uid
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} text - Markdown journal text
+ * @returns {number|null} - When the draft was saved, or null if it couldn't be
+ */
+export function saveDraft(uid, date, text) {
+    const savedAt = Date.now();
+    try {
+        localStorage.setItem(getDraftKey(uid, date), JSON.stringify({ text, savedAt }));
+        return savedAt;
+    } catch (error) {
+        console.error('Error saving journal draft:', error);
+        return null;
+    }
+}
+
+/**
+ * Forget the draft of a day's journal (after saving or discarding it)
+ * @param {string} uid
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+export function clearDraft(uid, date) {
+    try {
+        localStorage.removeItem(getDraftKey(uid, date));
+    } catch (error) {
+        // Storage disabled: there is no draft either
+    }
+}
+
+/**
+ * Describe the length of a journal, e.g. "120 words"
+ * @param {string} text - Markdown journal text
+ * @returns {string}
+ */
+export function describeJournal(text) {
+    const words = countWords(text);
+    return tn(words, '{count} word', '{count} words');
+}
+
+/**
+ * Find the days of a month that have a journal
+ * @param {Object} entries - Object mapping date strings to entry data
+ * @param {number} year
+ * @param {number} month - 0 = January
+ * @returns {string[]} - Dates in YYYY-MM-DD format, in order
+ */
+export function getJournalDates(entries, year, month) {
+    const prefix = `${year}-${String(month + 1).padStart(2, '0')}-`;
+    return Object.keys(entries)
+        .filter(date => date.startsWith(prefix) && entries[date].journal)
+        .sort();
+}
+
+/**
+ * Render a journal's Markdown as a preview, or a hint while it is empty
+ * @param {HTMLElement} container
+ * @param {string} text - Markdown journal text
+ */
+export function renderJournalPreview(container, text) {
+    container.innerHTML = '';
+    if (!text.trim()) {
+        const empty = document.createElement('p');
+        empty.className = 'text-muted';
+        empty.textContent = t('Nothing to preview yet.');
+        container.appendChild(empty);
+        return;
+    }
+    container.appendChild(renderMarkdown(text));
+}
+
+/**
+ * Render one day of the reading view: the date, rating, note and tags
+ * above the rendered journal
+ * @param {HTMLElement} container
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} entry - The day's entry
+ */
+export function renderJournalPage(container, date, entry) {
+    container.innerHTML = '';
+
+    const [year, month, day] = date.split('-').map(Number);
+    const heading = document.createElement('h4');
+    heading.className = 'mb-1';
+    heading.textContent = formatLocalDate(new Date(year, month - 1, day), {
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+    });
+    container.appendChild(heading);
+
+    const meta = document.createElement('div');
+    meta.className = 'd-flex flex-wrap align-items-center gap-2 text-muted small mb-3';
+    if (entry.rating) {
+        const rating = document.createElement('span');
+        rating.className = `badge search-rating rating-${entry.rating}`;
+        rating.textContent = '★'.repeat(entry.rating);
+        meta.appendChild(rating);
+    }
+    if (entry.note) {
+        const note = document.createElement('span');
+        note.className = 'fst-italic';
+        note.textContent = entry.note;
+        meta.appendChild(note);
+    }
+    (entry.tags || []).forEach(tag => {
+        const badge = document.createElement('span');
+        badge.className = 'badge rounded-pill bg-light text-dark border';
+        badge.textContent = tag;
+        meta.appendChild(badge);
+    });
+    const length = document.createElement('span');
+    length.textContent = describeJournal(entry.journal);
+    meta.appendChild(length);
+    container.appendChild(meta);
+
+    const body = document.createElement('div');
+    body.className = 'journal-body';
+    body.appendChild(renderMarkdown(entry.journal));
+    container.appendChild(body);
+}
@@ -0,0 +1,235 @@
+/**
+ * Markdown Module
+ *
+ * Renders the Markdown of journal entries into DOM nodes. Only a small,
+ * journal-sized subset is supported: headings, paragraphs, block quotes,
+ * bulleted and numbered lists, code, rules, bold, italics, strikethrough and
+ * links. Everything is built with createElement and textContent, never
+ * innerHTML, so HTML typed into a journal shows as text and can't run.
+ */
+
+// Link targets that may be opened; anything else (javascript:, data:, ...) stays text
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Inline formatting, earliest match wins: an escaped character, `code`,
+// **bold**, __bold__, ~~strikethrough~~, *italics*, _italics_ (not inside
+// words, so snake_case stays as it is) and [text](url)
+const INLINE_PATTERN = /\\([\\`*_[\]()~#>+\-.!|])|`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\s](?:.*?[^*\s])?)\*|(?<![\w])_([^_\s](?:.*?[^_\s])?)_(?![\w])|\[([^\]]+)\]\(([^)\s]+)\)/;
+
+// Block syntax at the start of a line
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^ {0,3}>\s?(.*)$/;
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * Check whether a link target may be opened from a journal
+ * @param {string} href
+ * @returns {boolean}
+ */
+function isSafeLink(href) {
+    try {
+        return SAFE_PROTOCOLS.includes(new URL(href).protocol);
+    } catch (error) {
+        // Relative or malformed
+        return false;
+    }
+}
+
+/**
+ * Append inline Markdown to an element
+ * @param {HTMLElement} parent
+ * @param {string} text - One block's text; newlines become line breaks
+ */
+function appendInline(parent, text) {
+    let rest = text;
+
+    while (rest) {
+        const match = INLINE_PATTERN.exec(rest);
+        if (!match) {
+            appendText(parent, rest);
+            return;
+        }
+
+        appendText(parent, rest.substring(0, match.index));
+        rest = rest.substring(match.index + match[0].length);
+
+        const [, escaped, code, strong, strongAlt, strike, em, emAlt, linkText, href] = match;
+        if (escaped !== undefined) {
+            appendText(parent, escaped);
+        } else if (code !== undefined) {
+            appendElement(parent, 'code').textContent = code;
+        } else if (strong !== undefined || strongAlt !== undefined) {
+            appendInline(appendElement(parent, 'strong'), strong ?? strongAlt);
+        } else if (strike !== undefined) {
+            appendInline(appendElement(parent, 'del'), strike);
+        } else if (em !== undefined || emAlt !== undefined) {
+            appendInline(appendElement(parent, 'em'), em ?? emAlt);
+        } else if (isSafeLink(href)) {
+            const link = appendElement(parent, 'a');
+            link.href = href;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            appendInline(link, linkText);
+        } else {
+            appendText(parent, match[0]);
+        }
+    }
+}
+
+/**
+ * Append text, turning newlines into line breaks
+ * @param {HTMLElement} parent
+ * @param {string} text
+ */
+function appendText(parent, text) {
+    text.split('\n').forEach((line, index) => {
+        if (index > 0) appendElement(parent, 'br');
+        if (line) parent.appendChild(document.createTextNode(line));
+    });
+}
+
+/**
+ * Create an element at the end of a parent
+ * @param {Node} parent
+ * @param {string} tagName
+ * @returns {HTMLElement}
+ */
+function appendElement(parent, tagName) {
+    return parent.appendChild(document.createElement(tagName));
+}
+
+/**
+ * Append Markdown blocks to a parent
+ * @param {Node} parent
+ * @param {string[]} lines
+ */
+function appendBlocks(parent, lines) {
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code runs to the closing fence (or the end)
+        const fence = FENCE_PATTERN.exec(line);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            appendElement(appendElement(parent, 'pre'), 'code').textContent = code.join('\n');
+            continue;
+        }
+
+        // Journal headings sit below the page's own: # is h3, ## is h4 and so on
+        const heading = HEADING_PATTERN.exec(line);
+        if (heading) {
+            appendInline(appendElement(parent, `h${Math.min(heading[1].length + 2, 6)}`), heading[2]);
+            i++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            appendElement(parent, 'hr');
+            i++;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+                quoted.push(QUOTE_PATTERN.exec(lines[i])[1]);
+                i++;
+            }
+            appendBlocks(appendElement(parent, 'blockquote'), quoted);
+            continue;
+        }
+
+        const numbered = NUMBERED_PATTERN.exec(line);
+        if (numbered || BULLET_PATTERN.test(line)) {
+            const pattern = numbered ? NUMBERED_PATTERN : BULLET_PATTERN;
+            const list = appendElement(parent, numbered ? 'ol' : 'ul');
+            if (numbered && numbered[1] !== '1') {
+                list.start = parseInt(numbered[1]);
+            }
+            while (i < lines.length && pattern.test(lines[i])) {
+                const item = pattern.exec(lines[i]);
+                appendInline(appendElement(list, 'li'), item[item.length - 1]);
+                i++;
+            }
+            continue;
+        }
+
+        // A paragraph runs until a blank line or another block starts
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        appendInline(appendElement(parent, 'p'), paragraph.join('\n'));
+    }
+}
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+    return FENCE_PATTERN.test(line)
+        || HEADING_PATTERN.test(line)
+        || RULE_PATTERN.test(line)
+        || QUOTE_PATTERN.test(line)
+        || BULLET_PATTERN.test(line)
+        || NUMBERED_PATTERN.test(line);
+}
+
+/**
+ * Render Markdown into DOM nodes. Single line breaks are kept, as people
+ * expect when journaling.
+ * @param {string} text - Markdown source
+ * @returns {DocumentFragment}
+ */
+export function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    appendBlocks(fragment, String(text || '').replace(/\r\n?/g, '\n').split('\n'));
+    return fragment;
+}
+
+/**
+ * Strip Markdown down to its plain text, e.g. for search
+ * @param {string} text - Markdown source
+ * @returns {string} - The words on one line
+ */
+export function markdownToText(text) {
+    return String(text || '')
+        .replace(/^ {0,3}(`{3,}|~{3,}).*$/gm, '')
+        .replace(new RegExp(RULE_PATTERN.source, 'gm'), '')
+        .replace(/^\s*(#{1,6}|>|[-*+]|\d{1,9}[.)])\s+/gm, '')
+        .replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1')
+        .replace(/(?<!\\)(\*\*|~~|[*`])/g, '')
+        .replace(/(?<![\w\\])_+|_+(?!\w)/g, '')
+        .replace(/\\(.)/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Count the words of a journal entry
+ * @param {string} text - Markdown source
+ * @returns {number}
+ */
+export function countWords(text) {
+    const plain = markdownToText(text);
+    return plain ? plain.split(' ').length : 0;
+}
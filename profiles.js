@@ -0,0 +1,184 @@
+/**
+ * Profiles Module
+ *
+ * User profiles (`users/{uid}` in Firestore): display name, avatar
+ * initials and color, and join date. Profiles are created and refreshed on
+ * login (see auth.js) and form the user directory, so a user appears in
+ * the dropdown before logging a single day.
+ */
+
+import { storage } from './storage.js';
+import { isOnline } from './sync.js';
+import { t, formatLocalDate } from './i18n.js';
+
+// Preferences used until a user changes them
+export const DEFAULT_PREFERENCES = {
+    viewMode: 'year',
+    reminderEnabled: false,
+    reminderTime: '20:00',
+    // null follows the browser (language) or the language's custom (weekStart)
+    language: null,
+    weekStart: null,
+    // Days after a day it can still be edited, or null for any time (see calendar.js)
+    editWindowDays: null
+};
+
+// Avatar background colors, picked per user from their uid
+const AVATAR_COLORS = [
+    '#0d6efd', '#6610f2', '#6f42c1', '#d63384', '#dc3545',
+    '#fd7e14', '#198754', '#20c997', '#0dcaf0', '#6c757d'
+];
+
+/**
+ * Pick a stable avatar color for a user
+ * @param {string} uid
+ * @returns {string} - CSS color
+ */
+function pickColor(uid) {
+    let hash = 0;
+    for (const char of uid) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+}
+
+/**
+ * Derive up to two initials from a display name
+ * @param {string} displayName
+ * @returns {string}
+ */
+export function getInitials(displayName) {
+    const words = displayName.split(/[\s._-]+/).filter(Boolean);
+    if (words.length === 0) return '?';
+    if (words.length === 1) return words[0].substring(0, 2).toUpperCase();
+    return (words[0][0] + words[1][0]).toUpperCase();
+}
+
+/**
+ * Build the profile stored for a user at login
+ * @param {Object} user - Authenticated user
+ * @param {Object|null} existing - The stored profile, if any
+ * @returns {Object} - { uid, displayName, initials, color, joinedAt, lastLoginAt, preferences }
+ */
+export function buildProfile(user, existing) {
+    // Every signed-in user can read profiles, so the email address itself
+    // is never stored (older profiles lose it on their next login)
+    const displayName = (existing && existing.displayName)
+        || user.displayName
+        || (user.email ? user.email.split('@')[0] : user.uid.substring(0, 8));
+
+    // Firebase users know when their account was created
+    const created = user.metadata && Date.parse(user.metadata.creationTime);
+
+    return {
+        uid: user.uid,
+        displayName,
+        initials: getInitials(displayName),
+        color: (existing && existing.color) || pickColor(user.uid),
+        joinedAt: (existing && existing.joinedAt) || (created || Date.now()),
+        lastLoginAt: Date.now(),
+        preferences: (existing && existing.preferences) || {}
+    };
+}
+
+/**
+ * Get a user's preferences with defaults filled in
+ * @param {Object|null} profile
+ * @returns {Object}
+ */
+export function getPreferences(profile) {
+    return { ...DEFAULT_PREFERENCES, ...((profile && profile.preferences) || {}) };
+}
+
+/**
+ * Save some of the logged-in user's preferences in their profile
+ * @param {Object} user - The logged-in user
+ * @param {Object} changes - Preferences to change, e.g. { viewMode: 'week' }
+ * @returns {Promise<Object>} - The updated profile
+ */
+export async function savePreferences(user, changes) {
+    try {
+        const profile = (await storage.getProfile(user.uid)) || buildProfile(user, null);
+        profile.preferences = { ...(profile.preferences || {}), ...changes };
+        await storage.saveProfile(user.uid, profile);
+        return profile;
+    } catch (error) {
+        console.error('Error saving preferences:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create or refresh the profile of a user who just logged in
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object|null>} - The saved profile, or null if skipped offline
+ */
+export async function syncProfile(user) {
+    // Offline an uncached profile looks missing; rebuilding it then could
+    // overwrite the stored one when the write replays
+    if (storage.isRemote && !isOnline()) return null;
+
+    try {
+        const profile = buildProfile(user, await storage.getProfile(user.uid));
+        await storage.saveProfile(user.uid, profile);
+        return profile;
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load every user profile, sorted by display name
+ * @returns {Promise<Object[]>}
+ */
+export async function getAllProfiles() {
+    const profiles = await storage.getAllProfiles();
+    return profiles.sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+/**
+ * Get the name shown for a user
+ * @param {Object|null} profile
+ * @param {string} uid - Fallback when there is no profile
+ * @returns {string}
+ */
+export function getDisplayName(profile, uid) {
+    return profile ? profile.displayName : `${uid.substring(0, 8)}...`;
+}
+
+/**
+ * Render the header naming whose calendar is being viewed
+ * @param {HTMLElement} container - Container element for the header
+ * @param {Object|null} profile - Profile of the calendar's owner
+ * @param {string} uid - The owner's uid
+ * @param {boolean} isSelf - Whether the viewer owns the calendar
+ */
+export function renderCalendarOwner(container, profile, uid, isSelf) {
+    container.innerHTML = '';
+
+    const avatar = document.createElement('span');
+    avatar.className = 'profile-avatar';
+    avatar.style.backgroundColor = profile ? profile.color : pickColor(uid);
+    avatar.textContent = profile ? profile.initials : '?';
+    avatar.setAttribute('aria-hidden', 'true');
+    container.appendChild(avatar);
+
+    const title = document.createElement('div');
+    const name = document.createElement('h2');
+    name.className = 'h5 mb-0';
+    name.textContent = isSelf ? t('Your calendar') : t("{name}'s calendar", { name: getDisplayName(profile, uid) });
+    title.appendChild(name);
+
+    if (profile && profile.joinedAt) {
+        const joined = document.createElement('div');
+        joined.className = 'small text-muted';
+        joined.textContent = t('Member since {date}', {
+            date: formatLocalDate(new Date(profile.joinedAt), { year: 'numeric', month: 'long' })
+        });
+        title.appendChild(joined);
+    }
+
+    container.appendChild(title);
+    container.style.display = 'flex';
+}
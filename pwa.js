@@ -0,0 +1,153 @@
+/**
+ * PWA Module
+ *
+ * Registers the service worker (sw.js) that caches the app shell so the
+ * app can be installed and opened offline, and schedules the opt-in daily
+ * reminder. Reminders are local notifications shown through the service
+ * worker; browsers only run the timer while the app is open in a tab or an
+ * installed window.
+ */
+
+import { t } from './i18n.js';
+
+// Query parameter the service worker adds when a reminder opens a new window
+const OPEN_DAY_PARAM = 'open-day';
+
+// Notifications with the same tag replace each other
+const REMINDER_TAG = 'daydicated-reminder';
+
+let reminderTimer = null;
+
+/**
+ * Register the service worker; failures (e.g. when opened from file://)
+ * leave the app working as a normal web page
+ * @returns {Promise<void>}
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+        console.warn('Service worker not registered:', error);
+    }
+}
+
+/**
+ * Whether this browser can show reminder notifications
+ * @returns {boolean}
+ */
+export function isReminderSupported() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Get the notification permission: 'granted', 'denied' or 'default'
+ * @returns {string}
+ */
+export function getReminderPermission() {
+    return isReminderSupported() ? Notification.permission : 'denied';
+}
+
+/**
+ * Ask for permission to show notifications
+ * @returns {Promise<boolean>} - Whether notifications are allowed
+ */
+export async function requestReminderPermission() {
+    if (!isReminderSupported()) return false;
+    if (Notification.permission === 'granted') return true;
+
+    return (await Notification.requestPermission()) === 'granted';
+}
+
+/**
+ * Get the next moment a daily reminder at the given time is due
+ * @param {string} time - Time of day as HH:MM
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function getNextReminderTime(time, now = new Date()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+    if (next <= now) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+}
+
+/**
+ * Show the reminder notification for a day
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<void>}
+ */
+async function showReminder(date) {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.showNotification('Daydicated', {
+        body: t("You haven't rated today yet. How was your day?"),
+        icon: 'icons/icon-192.png',
+        badge: 'icons/icon-192.png',
+        tag: REMINDER_TAG,
+        data: { date }
+    });
+}
+
+/**
+ * Schedule the daily reminder, replacing any earlier schedule
+ * @param {string} time - Time of day as HH:MM
+ * @param {Function} getUnloggedDay - Async; returns today's date (YYYY-MM-DD)
+ *                                    if it still needs an entry, else null
+ */
+export function scheduleReminder(time, getUnloggedDay) {
+    cancelReminder();
+    if (getReminderPermission() !== 'granted') return;
+
+    reminderTimer = setTimeout(async () => {
+        try {
+            const date = await getUnloggedDay();
+            if (date) {
+                await showReminder(date);
+            }
+        } catch (error) {
+            console.error('Error showing reminder:', error);
+        }
+        scheduleReminder(time, getUnloggedDay);
+    }, getNextReminderTime(time) - Date.now());
+}
+
+/**
+ * Stop the daily reminder
+ */
+export function cancelReminder() {
+    clearTimeout(reminderTimer);
+    reminderTimer = null;
+}
+
+/**
+ * Listen for clicks on reminder notifications
+ * @param {Function} callback - Called with the reminded date (YYYY-MM-DD)
+ */
+export function onReminderClick(callback) {
+    if (!('serviceWorker' in navigator)) return;
+
+    // A window that was already open is told by the service worker
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'open-day') {
+            callback(event.data.date);
+        }
+    });
+}
+
+/**
+ * Take the date a reminder asked to open when it started the app, removing
+ * it from the address bar so a reload doesn't open it again
+ * @returns {string|null} - Date in YYYY-MM-DD format
+ */
+export function takeReminderDay() {
+    const url = new URL(window.location.href);
+    const date = url.searchParams.get(OPEN_DAY_PARAM);
+    if (!date) return null;
+
+    url.searchParams.delete(OPEN_DAY_PARAM);
+    history.replaceState(null, '', url);
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null;
+}
@@ -0,0 +1,239 @@
+/**
+ * Revisions Module
+ *
+ * Every save or delete of a day records a revision: the version it replaced
+ * and the one it wrote (see storage.js). This module reads the signed-in
+ * user's revisions and renders the per-day history shown in the edit modal
+ * and the feed of recent changes. Only owners can read their revisions.
+ */
+
+import { storage } from './storage.js';
+import { getCurrentUser } from './auth.js';
+import { t, tn, formatLocalDate } from './i18n.js';
+import { countWords } from './markdown.js';
+
+// Maximum number of revisions listed in the recent changes feed
+export const RECENT_CHANGES_LIMIT = 20;
+
+/**
+ * Check whether two versions of a day are the same
+ * @param {Object|null} a - { rating, note, tags, journal, habits } or null
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+function isSameVersion(a, b) {
+    if (!a || !b) return a === b;
+    return a.rating === b.rating
+        && (a.note || '') === (b.note || '')
+        && (a.tags || []).join(',') === (b.tags || []).join(',')
+        && (a.journal || '') === (b.journal || '')
+        && (a.habits || []).join(',') === (b.habits || []).join(',');
+}
+
+/**
+ * Whether a revision changed anything (saving an unchanged entry still records one)
+ * @param {Object} revision
+ * @returns {boolean}
+ */
+export function isChange(revision) {
+    return !isSameVersion(revision.previous, revision.current);
+}
+
+/**
+ * Get the signed-in user's history of a day
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object[]>} - Revisions that changed the day, newest first
+ */
+export async function getEntryHistory(date) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to view history');
+    }
+
+    try {
+        const revisions = await storage.getRevisions(user.uid, date);
+        return revisions.filter(isChange);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the signed-in user's latest changes across all days
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>} - Revisions that changed a day, newest first
+ */
+export async function getRecentChanges(limit = RECENT_CHANGES_LIMIT) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to view changes');
+    }
+
+    try {
+        const revisions = await storage.getRecentRevisions(user.uid, limit);
+        return revisions.filter(isChange);
+    } catch (error) {
+        console.error('Error loading recent changes:', error);
+        throw error;
+    }
+}
+
+/**
+ * Format a revision time for display
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string}
+ */
+function formatRevisionTime(time) {
+    return formatLocalDate(new Date(time), {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+/**
+ * Describe a version's rating in a few characters
+ * @param {Object|null} version
+ * @returns {string}
+ */
+function describeRating(version) {
+    if (!version) return t('empty');
+    return version.rating ? '★'.repeat(version.rating) : t('hidden');
+}
+
+/**
+ * Show a muted single-line message in a list
+ * @param {HTMLElement} container
+ * @param {string} message
+ */
+function renderEmpty(container, message) {
+    const empty = document.createElement('div');
+    empty.className = 'list-group-item small text-muted';
+    empty.textContent = message;
+    container.appendChild(empty);
+}
+
+/**
+ * Render the earlier versions of a day, each with a Restore button
+ * @param {HTMLElement} container - List element for the versions
+ * @param {Object[]} revisions - Output of getEntryHistory
+ * @param {Function} onRestore - Called with the version to restore ({ rating, note, tags, journal })
+ */
+export function renderRevisionHistory(container, revisions, onRestore) {
+    container.innerHTML = '';
+
+    // A revision's previous version is the one it replaced; empty days can't be restored
+    const versions = revisions.filter(revision => revision.previous && revision.previous.rating);
+    if (versions.length === 0) {
+        renderEmpty(container, t('No earlier versions'));
+        return;
+    }
+
+    versions.forEach(revision => {
+        const version = revision.previous;
+        const item = document.createElement('div');
+        item.className = 'list-group-item small';
+
+        const header = document.createElement('div');
+        header.className = 'd-flex justify-content-between align-items-center gap-2';
+
+        const ratingEl = document.createElement('span');
+        ratingEl.className = `badge search-rating rating-${version.rating}`;
+        ratingEl.textContent = describeRating(version);
+        header.appendChild(ratingEl);
+
+        const timeEl = document.createElement('span');
+        timeEl.className = 'text-muted';
+        timeEl.textContent = t('replaced {time}', { time: formatRevisionTime(revision.revisedAt) });
+        header.appendChild(timeEl);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'btn btn-sm btn-outline-secondary';
+        restoreBtn.textContent = t('Restore');
+        restoreBtn.addEventListener('click', () => onRestore(version));
+        header.appendChild(restoreBtn);
+        item.appendChild(header);
+
+        if (version.note) {
+            const noteEl = document.createElement('div');
+            noteEl.className = 'text-truncate mt-1';
+            noteEl.textContent = version.note;
+            item.appendChild(noteEl);
+        }
+
+        if (version.tags && version.tags.length > 0) {
+            const tagsEl = document.createElement('div');
+            tagsEl.className = 'text-muted';
+            tagsEl.textContent = version.tags.map(tag => `#${tag}`).join(' ');
+            item.appendChild(tagsEl);
+        }
+
+        if (version.habits && version.habits.length > 0) {
+            const habitsEl = document.createElement('div');
+            habitsEl.className = 'text-muted';
+            habitsEl.textContent = version.habits.map(habit => `✓ ${habit}`).join(' ');
+            item.appendChild(habitsEl);
+        }
+
+        if (version.journal) {
+            const journalEl = document.createElement('div');
+            journalEl.className = 'text-muted';
+            const words = countWords(version.journal);
+            journalEl.textContent = tn(words, 'Journal entry, {count} word', 'Journal entry, {count} words');
+            item.appendChild(journalEl);
+        }
+
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Render the recent changes feed as a clickable list
+ * @param {HTMLElement} container - List element for the changes
+ * @param {Object[]} revisions - Output of getRecentChanges
+ * @param {Function} onSelect - Called with the clicked revision's date
+ */
+export function renderRecentChanges(container, revisions, onSelect) {
+    container.innerHTML = '';
+
+    if (revisions.length === 0) {
+        renderEmpty(container, t('No changes yet'));
+        return;
+    }
+
+    revisions.forEach(revision => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'list-group-item list-group-item-action small';
+
+        const header = document.createElement('div');
+        header.className = 'd-flex justify-content-between gap-2';
+
+        const dateEl = document.createElement('span');
+        dateEl.className = 'fw-bold';
+        dateEl.textContent = revision.date;
+        header.appendChild(dateEl);
+
+        const timeEl = document.createElement('span');
+        timeEl.className = 'text-muted';
+        timeEl.textContent = formatRevisionTime(revision.revisedAt);
+        header.appendChild(timeEl);
+        item.appendChild(header);
+
+        const changeEl = document.createElement('div');
+        if (!revision.current) {
+            changeEl.textContent = t('{before} → cleared', { before: describeRating(revision.previous) });
+        } else if (!revision.previous) {
+            changeEl.textContent = t('Logged {rating}', { rating: describeRating(revision.current) });
+        } else if (revision.previous.rating !== revision.current.rating) {
+            changeEl.textContent = `${describeRating(revision.previous)} → ${describeRating(revision.current)}`;
+        } else {
+            changeEl.textContent = t('{rating} · note, tags, habits or journal edited', { rating: describeRating(revision.current) });
+        }
+        item.appendChild(changeEl);
+
+        item.addEventListener('click', () => onSelect(revision.date));
+        container.appendChild(item);
+    });
+}
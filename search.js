@@ -0,0 +1,149 @@
+/**
+ * Search Module
+ *
+ * Full-text search over entry notes, journals and tags with highlighted snippets.
+ * Works on any list of entries, so the caller decides whose entries are
+ * searched: the viewed calendar or every calendar the viewer may read.
+ */
+
+import { t } from './i18n.js';
+import { markdownToText } from './markdown.js';
+
+// Characters of context shown around a match
+const SNIPPET_CONTEXT = 20;
+
+// Maximum number of results listed
+export const MAX_RESULTS = 50;
+
+/**
+ * Build a snippet around the first match of a query in a text
+ * @param {string} text
+ * @param {number} index - Position of the match
+ * @param {number} length - Length of the match
+ * @returns {{before: string, match: string, after: string}}
+ */
+function buildSnippet(text, index, length) {
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+
+    return {
+        before: (start > 0 ? '…' : '') + text.substring(start, index),
+        match: text.substring(index, index + length),
+        after: text.substring(index + length, end) + (end < text.length ? '…' : '')
+    };
+}
+
+/**
+ * Search entries for a query in their notes, journals and tags
+ * @param {Object[]} entries - Entries with userId, date, rating, note, tags, journal
+ * @param {string} queryText - Text to look for (case-insensitive)
+ * @returns {Object[]} - Matches, newest first: { userId, date, rating, snippet }
+ */
+export function searchEntries(entries, queryText) {
+    const needle = queryText.trim().toLowerCase();
+    if (!needle) return [];
+
+    const results = [];
+    entries.forEach(entry => {
+        const note = entry.note || '';
+        const noteIndex = note.toLowerCase().indexOf(needle);
+
+        // The journal is searched as plain text, without its Markdown
+        const journal = noteIndex === -1 ? markdownToText(entry.journal) : '';
+        const journalIndex = journal.toLowerCase().indexOf(needle);
+
+        let snippet = null;
+        if (noteIndex !== -1) {
+            snippet = buildSnippet(note, noteIndex, needle.length);
+        } else if (journalIndex !== -1) {
+            snippet = buildSnippet(journal, journalIndex, needle.length);
+        } else {
+            const tag = (entry.tags || []).find(tag => tag.includes(needle));
+            if (tag) {
+                snippet = buildSnippet(`#${tag}`, tag.indexOf(needle) + 1, needle.length);
+            }
+        }
+
+        if (snippet) {
+            results.push({
+                userId: entry.userId,
+                date: entry.date,
+                rating: entry.rating,
+                snippet
+            });
+        }
+    });
+
+    return results
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Render search results as a clickable list
+ * @param {HTMLElement} container - Container element for the results
+ * @param {Object[]} results - Output of searchEntries
+ * @param {Function} onSelect - Called with the clicked result
+ * @param {Function} [getUserLabel] - Returns a display name for a userId (all-users search)
+ */
+export function renderSearchResults(container, results, onSelect, getUserLabel = null) {
+    container.innerHTML = '';
+    container.style.display = 'block';
+
+    if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'list-group-item small text-muted';
+        empty.textContent = t('No matching notes');
+        container.appendChild(empty);
+        return;
+    }
+
+    results.forEach(result => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'list-group-item list-group-item-action small';
+
+        const header = document.createElement('div');
+        header.className = 'd-flex justify-content-between gap-2';
+
+        const dateEl = document.createElement('span');
+        dateEl.className = 'fw-bold';
+        dateEl.textContent = result.date;
+        header.appendChild(dateEl);
+
+        const ratingEl = document.createElement('span');
+        ratingEl.className = `badge search-rating rating-${result.rating}`;
+        ratingEl.textContent = '★'.repeat(result.rating);
+        header.appendChild(ratingEl);
+        item.appendChild(header);
+
+        if (getUserLabel) {
+            const userEl = document.createElement('div');
+            userEl.className = 'text-muted';
+            userEl.textContent = getUserLabel(result.userId);
+            item.appendChild(userEl);
+        }
+
+        // Snippet built from text nodes, so notes can't inject markup
+        const snippetEl = document.createElement('div');
+        snippetEl.className = 'text-truncate';
+        const mark = document.createElement('mark');
+        mark.textContent = result.snippet.match;
+        snippetEl.appendChild(document.createTextNode(result.snippet.before));
+        snippetEl.appendChild(mark);
+        snippetEl.appendChild(document.createTextNode(result.snippet.after));
+        item.appendChild(snippetEl);
+
+        item.addEventListener('click', () => onSelect(result));
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Hide the search results list
+ * @param {HTMLElement} container
+ */
+export function hideSearchResults(container) {
+    container.innerHTML = '';
+    container.style.display = 'none';
+}
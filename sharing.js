@@ -0,0 +1,219 @@
+/**
+ * Sharing Module
+ *
+ * Per-user privacy settings: who may see a calendar (nobody, a list of
+ * users, or everyone) and which parts of it (ratings & tags, notes).
+ * Settings are stored through the storage backend (`sharing/{uid}` in
+ * Firestore) and enforced by the security rules in the README as well
+ * as by calendar.js when loading, listing and exporting calendars.
+ */
+
+import { storage } from './storage.js';
+import { getCurrentUser, isEmailVerified } from './auth.js';
+import { isOnline } from './sync.js';
+import { getAllProfiles } from './profiles.js';
+import { t } from './i18n.js';
+
+// Who can see a calendar
+export const SHARING_MODES = {
+    PRIVATE: 'private',
+    LIST: 'list',
+    EVERYONE: 'everyone'
+};
+
+// Settings created for new users on first login: anyone can sign up, so
+// nobody else sees a calendar until its owner shares it
+export const DEFAULT_SHARING = {
+    mode: SHARING_MODES.PRIVATE,
+    sharedWith: [],
+    fields: { rating: true, notes: true }
+};
+
+// Settings created for users who logged days before sharing existed;
+// matches the app's original behaviour where every signed-in user could
+// read every calendar
+export const LEGACY_SHARING = {
+    mode: SHARING_MODES.EVERYONE,
+    sharedWith: [],
+    fields: { rating: true, notes: true }
+};
+
+// What a viewer may see of a calendar
+export const FULL_VISIBILITY = { rating: true, notes: true };
+export const NO_VISIBILITY = { rating: false, notes: false };
+
+/**
+ * Fill in missing or invalid settings with safe values
+ * @param {Object|null} settings
+ * @returns {Object}
+ */
+export function normalizeSharing(settings) {
+    const modes = Object.values(SHARING_MODES);
+    const source = settings || {};
+    const fields = source.fields || {};
+
+    return {
+        mode: modes.includes(source.mode) ? source.mode : SHARING_MODES.PRIVATE,
+        sharedWith: Array.isArray(source.sharedWith) ? [...new Set(source.sharedWith)] : [],
+        fields: {
+            rating: fields.rating !== false,
+            notes: fields.notes !== false
+        }
+    };
+}
+
+/**
+ * Work out what a viewer may see of another user's calendar
+ * @param {Object|null} settings - The owner's sharing settings (null = none saved)
+ * @param {string} ownerUid
+ * @param {string} viewerUid
+ * @returns {{rating: boolean, notes: boolean}}
+ */
+export function getVisibility(settings, ownerUid, viewerUid) {
+    if (ownerUid === viewerUid) return FULL_VISIBILITY;
+    if (!settings) return NO_VISIBILITY;
+
+    const { mode, sharedWith, fields } = normalizeSharing(settings);
+    const shared = mode === SHARING_MODES.EVERYONE
+        || (mode === SHARING_MODES.LIST && sharedWith.includes(viewerUid));
+
+    return shared ? { rating: fields.rating, notes: fields.notes } : NO_VISIBILITY;
+}
+
+/**
+ * Whether a visibility allows seeing anything at all
+ * @param {{rating: boolean, notes: boolean}} visibility
+ * @returns {boolean}
+ */
+export function canSeeAnything(visibility) {
+    return visibility.rating || visibility.notes;
+}
+
+/**
+ * Work out what the logged-in user may see of a calendar
+ * @param {string} ownerUid
+ * @returns {Promise<{rating: boolean, notes: boolean}>}
+ */
+export async function getVisibilityFor(ownerUid) {
+    const viewer = getCurrentUser();
+    if (!viewer) return NO_VISIBILITY;
+    if (viewer.uid === ownerUid) return FULL_VISIBILITY;
+    // The rules show other calendars to verified accounts only
+    if (!isEmailVerified()) return NO_VISIBILITY;
+
+    return getVisibility(await storage.getSharing(ownerUid), ownerUid, viewer.uid);
+}
+
+/**
+ * List the other users a calendar can be shared with
+ * @returns {Promise<Object[]>} - Their profiles
+ */
+export async function getShareableUsers() {
+    const user = getCurrentUser();
+    const profiles = await getAllProfiles();
+    return profiles.filter(profile => !user || profile.uid !== user.uid);
+}
+
+/**
+ * Load the logged-in user's sharing settings
+ * @returns {Promise<Object>}
+ */
+export async function loadMySharing() {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to load sharing settings');
+    }
+
+    const settings = await storage.getSharing(user.uid);
+    return normalizeSharing(settings || DEFAULT_SHARING);
+}
+
+/**
+ * Save the logged-in user's sharing settings
+ * @param {Object} settings
+ * @returns {Promise<void>}
+ */
+export async function saveMySharing(settings) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('Must be logged in to change sharing settings');
+    }
+
+    try {
+        const normalized = normalizeSharing(settings);
+        // Never list yourself
+        normalized.sharedWith = normalized.sharedWith.filter(uid => uid !== user.uid);
+        await storage.saveSharing(user, normalized);
+    } catch (error) {
+        console.error('Error saving sharing settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create default sharing settings for a user who has none yet: private,
+ * or shared as before for a user who already logged days
+ * @param {Object} user
+ * @returns {Promise<void>}
+ */
+export async function ensureSharing(user) {
+    // Offline a missing cache entry looks like missing settings; creating
+    // defaults then could overwrite the real ones when the write replays
+    if (storage.isRemote && !isOnline()) return;
+
+    const settings = await storage.getSharing(user.uid);
+    if (!settings) {
+        const entries = await storage.getUserEntries(user.uid, null, { rating: true, notes: false });
+        const isLegacy = Object.keys(entries).length > 0;
+        await storage.saveSharing(user, isLegacy ? LEGACY_SHARING : DEFAULT_SHARING);
+    }
+}
+
+/**
+ * Render the checklist of people a calendar can be shared with
+ * @param {HTMLElement} container - Container element for the checklist
+ * @param {Object[]} users - Profiles from getShareableUsers
+ * @param {string[]} sharedWith - UIDs currently checked
+ */
+export function renderShareList(container, users, sharedWith) {
+    container.innerHTML = '';
+
+    if (users.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'small text-muted mb-0';
+        empty.textContent = t('Nobody else uses Daydicated yet.');
+        container.appendChild(empty);
+        return;
+    }
+
+    users.forEach(({ uid, displayName }) => {
+        const item = document.createElement('div');
+        item.className = 'form-check';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-check-input';
+        checkbox.id = `share-with-${uid}`;
+        checkbox.value = uid;
+        checkbox.checked = sharedWith.includes(uid);
+
+        const label = document.createElement('label');
+        label.className = 'form-check-label';
+        label.htmlFor = checkbox.id;
+        label.textContent = displayName;
+
+        item.appendChild(checkbox);
+        item.appendChild(label);
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Read the checked UIDs from a checklist rendered by renderShareList
+ * @param {HTMLElement} container
+ * @returns {string[]}
+ */
+export function readShareList(container) {
+    return Array.from(container.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(checkbox => checkbox.value);
+}
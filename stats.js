@@ -0,0 +1,457 @@
+/**
+ * Statistics Module
+ *
+ * Summarizes the entries of the currently viewed calendar: average ratings,
+ * rating distribution, logged days, best/worst month, streaks and, per
+ * habit, completion, streaks and the average rating with and without it.
+ * Works on whatever entries are loaded, so it covers read-only views too.
+ */
+
+import { MONTH_NAMES, formatDate, getDaysInMonth } from './calendar.js';
+import { collectHabits, getHabitColor } from './habits.js';
+import { t, tn, getMonthNames } from './i18n.js';
+
+// Ratings that count as a "good day"
+export const GOOD_DAY_MIN_RATING = 4;
+
+/**
+ * Round a number to one decimal place
+ * @param {number} value
+ * @returns {number}
+ */
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Get the last day of the year that counts towards logged/unlogged totals.
+ * For the current year that is today, for past years December 31st,
+ * and for future years nothing is due yet (returns null).
+ * @param {number} year
+ * @param {Date} today
+ * @returns {Date|null}
+ */
+function getReferenceDate(year, today) {
+    if (year < today.getFullYear()) {
+        return new Date(year, 11, 31);
+    }
+    if (year === today.getFullYear()) {
+        return new Date(year, today.getMonth(), today.getDate());
+    }
+    return null;
+}
+
+/**
+ * Compute the longest and current run of consecutive days matching a test
+ * @param {number} year
+ * @param {Date|null} referenceDate - Day the current streak ends on
+ * @param {Function} matches - Called with a date string, returns boolean
+ * @param {boolean} isToday - Whether referenceDate is today
+ * @returns {{current: number, longest: number}}
+ */
+function computeStreak(year, referenceDate, matches, isToday) {
+    let longest = 0;
+    let run = 0;
+
+    for (let month = 0; month < 12; month++) {
+        const daysInMonth = getDaysInMonth(month, year);
+        for (let day = 1; day <= daysInMonth; day++) {
+            if (matches(formatDate(new Date(year, month, day)))) {
+                run++;
+                longest = Math.max(longest, run);
+            } else {
+                run = 0;
+            }
+        }
+    }
+
+    let current = 0;
+    if (referenceDate) {
+        const cursor = new Date(referenceDate);
+
+        // Today is still open, so an unlogged today doesn't break the streak
+        if (isToday && !matches(formatDate(cursor))) {
+            cursor.setDate(cursor.getDate() - 1);
+        }
+
+        while (cursor.getFullYear() === year && matches(formatDate(cursor))) {
+            current++;
+            cursor.setDate(cursor.getDate() - 1);
+        }
+    }
+
+    return { current, longest };
+}
+
+/**
+ * Compute completion, streaks and the rating comparison of each habit.
+ * A habit counts from the first day it was done in the year, so one added
+ * in the middle of the year isn't measured against the months before.
+ * @param {Object} entries - Object mapping date strings to entry data
+ * @param {number} year
+ * @param {string[]} habits - The calendar owner's habit list
+ * @param {Date|null} referenceDate - Day the current streaks end on
+ * @param {boolean} isToday - Whether referenceDate is today
+ * @returns {Object[]} - [{ name, color, done, days, rate, averageDone, averageNotDone, streak }]
+ */
+function computeHabitStats(entries, year, habits, referenceDate, isToday) {
+    const rated = Object.entries(entries)
+        .filter(([date, entry]) => entry && entry.rating && date.startsWith(`${year}-`))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const isDone = (entry, name) => Boolean(entry && entry.habits && entry.habits.includes(name));
+
+    return collectHabits(Object.fromEntries(rated), habits).map(name => {
+        const first = rated.findIndex(([, entry]) => isDone(entry, name));
+        const tracked = first === -1 ? [] : rated.slice(first);
+
+        let done = 0;
+        let doneSum = 0;
+        let notDoneSum = 0;
+        tracked.forEach(([, entry]) => {
+            const rating = parseInt(entry.rating);
+            if (isDone(entry, name)) {
+                done++;
+                doneSum += rating;
+            } else {
+                notDoneSum += rating;
+            }
+        });
+        const notDone = tracked.length - done;
+
+        return {
+            name,
+            color: getHabitColor(name, habits),
+            done,
+            days: tracked.length,
+            rate: tracked.length > 0 ? done / tracked.length : 0,
+            averageDone: done > 0 ? round1(doneSum / done) : null,
+            averageNotDone: notDone > 0 ? round1(notDoneSum / notDone) : null,
+            streak: computeStreak(year, referenceDate, (date) => isDone(entries[date], name), isToday)
+        };
+    });
+}
+
+/**
+ * Compute statistics for a year of entries
+ * @param {Object} entries - Object mapping date strings to entry data
+ * @param {number} year
+ * @param {Date} [today] - Current date (injectable for predictable results)
+ * @param {string[]} [habits] - The calendar owner's habit list (habits only
+ *                              found in the entries are reported too)
+ * @returns {Object} - Summary statistics
+ */
+export function computeStats(entries, year, today = new Date(), habits = []) {
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    const months = MONTH_NAMES.map((name, index) => ({
+        month: index,
+        name,
+        count: 0,
+        sum: 0,
+        average: null
+    }));
+
+    const referenceDate = getReferenceDate(year, today);
+    const referenceStr = referenceDate ? formatDate(referenceDate) : null;
+
+    let count = 0;
+    let sum = 0;
+    let loggedDue = 0;
+
+    Object.entries(entries).forEach(([date, entry]) => {
+        if (!entry || !entry.rating || !date.startsWith(`${year}-`)) return;
+
+        const rating = parseInt(entry.rating);
+        const month = parseInt(date.substring(5, 7)) - 1;
+
+        histogram[rating] = (histogram[rating] || 0) + 1;
+        months[month].count++;
+        months[month].sum += rating;
+        count++;
+        sum += rating;
+
+        if (referenceStr && date <= referenceStr) {
+            loggedDue++;
+        }
+    });
+
+    months.forEach(month => {
+        if (month.count > 0) {
+            month.average = round1(month.sum / month.count);
+        }
+    });
+
+    // Best/worst month among months that have at least one entry
+    const ratedMonths = months.filter(month => month.count > 0);
+    const byAverage = [...ratedMonths].sort((a, b) => b.sum / b.count - a.sum / a.count);
+
+    // Days that could have been logged so far this year
+    let dueDays = 0;
+    if (referenceDate) {
+        const startOfYear = new Date(year, 0, 1);
+        dueDays = Math.round((referenceDate - startOfYear) / 86400000) + 1;
+    }
+
+    const isToday = referenceDate !== null && year === today.getFullYear();
+    const isLogged = (date) => Boolean(entries[date] && entries[date].rating);
+    const isGood = (date) => isLogged(date) && entries[date].rating >= GOOD_DAY_MIN_RATING;
+
+    return {
+        year,
+        count,
+        average: count > 0 ? round1(sum / count) : null,
+        months,
+        histogram,
+        loggedDays: count,
+        unloggedDays: Math.max(0, dueDays - loggedDue),
+        bestMonth: byAverage.length > 0 ? byAverage[0] : null,
+        worstMonth: byAverage.length > 1 ? byAverage[byAverage.length - 1] : null,
+        loggingStreak: computeStreak(year, referenceDate, isLogged, isToday),
+        goodDayStreak: computeStreak(year, referenceDate, isGood, isToday),
+        habits: computeHabitStats(entries, year, habits, referenceDate, isToday)
+    };
+}
+
+/**
+ * Create a small summary tile
+ * @param {string} label
+ * @param {string|number} value
+ * @param {string} [detail]
+ * @returns {HTMLElement}
+ */
+function createTile(label, value, detail = '') {
+    const col = document.createElement('div');
+    col.className = 'col-6 col-md-4 col-xl-2';
+
+    const tile = document.createElement('div');
+    tile.className = 'stat-tile border rounded p-2 h-100 text-center';
+
+    const valueEl = document.createElement('div');
+    valueEl.className = 'fs-4 fw-bold';
+    valueEl.textContent = value;
+
+    const labelEl = document.createElement('div');
+    labelEl.className = 'small text-muted';
+    labelEl.textContent = label;
+
+    tile.appendChild(valueEl);
+    tile.appendChild(labelEl);
+
+    if (detail) {
+        const detailEl = document.createElement('div');
+        detailEl.className = 'small';
+        detailEl.textContent = detail;
+        tile.appendChild(detailEl);
+    }
+
+    col.appendChild(tile);
+    return col;
+}
+
+/**
+ * Create a labelled horizontal bar
+ * @param {string} label
+ * @param {number} fraction - Bar width between 0 and 1
+ * @param {string} valueText - Text shown after the bar
+ * @param {string} barClass - Extra class for the bar (e.g. rating color)
+ * @returns {HTMLElement}
+ */
+function createBar(label, fraction, valueText, barClass) {
+    const row = document.createElement('div');
+    row.className = 'd-flex align-items-center gap-2 mb-1 small';
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'stat-bar-label';
+    labelEl.textContent = label;
+
+    const track = document.createElement('div');
+    track.className = 'progress flex-grow-1';
+
+    const bar = document.createElement('div');
+    bar.className = `progress-bar stat-bar ${barClass}`;
+    bar.style.width = `${Math.round(fraction * 100)}%`;
+    track.appendChild(bar);
+
+    const valueEl = document.createElement('span');
+    valueEl.className = 'stat-bar-value text-end';
+    valueEl.textContent = valueText;
+
+    row.appendChild(labelEl);
+    row.appendChild(track);
+    row.appendChild(valueEl);
+    return row;
+}
+
+/**
+ * Create the completion bar and figures of one habit
+ * @param {Object} habit - One of the habits computed by computeStats
+ * @returns {HTMLElement}
+ */
+function createHabitRow(habit) {
+    const row = document.createElement('div');
+    row.className = 'mb-2 small';
+
+    const percent = Math.round(habit.rate * 100);
+    const header = document.createElement('div');
+    header.className = 'd-flex justify-content-between gap-2';
+    const name = document.createElement('span');
+    name.className = 'fw-semibold text-truncate';
+    name.textContent = habit.name;
+    const rate = document.createElement('span');
+    rate.textContent = `${percent}%`;
+    header.appendChild(name);
+    header.appendChild(rate);
+    row.appendChild(header);
+
+    const track = document.createElement('div');
+    track.className = 'progress habit-progress';
+    const bar = document.createElement('div');
+    bar.className = `progress-bar habit-color-${habit.color}`;
+    bar.style.width = `${percent}%`;
+    track.appendChild(bar);
+    row.appendChild(track);
+
+    const details = [];
+    if (habit.days === 0) {
+        details.push(t('Not done this year yet'));
+    } else {
+        details.push(tn(habit.days, '{done} of {count} day', '{done} of {count} days', { done: habit.done }));
+        details.push(t('streak {current}, longest {longest}', {
+            current: habit.streak.current,
+            longest: habit.streak.longest
+        }));
+    }
+    if (habit.averageDone !== null && habit.averageNotDone !== null) {
+        details.push(t('avg rating {done} when done vs {notDone} when not', {
+            done: habit.averageDone.toFixed(1),
+            notDone: habit.averageNotDone.toFixed(1)
+        }));
+    }
+    const detail = document.createElement('div');
+    detail.className = 'text-muted';
+    detail.textContent = details.join(' · ');
+    row.appendChild(detail);
+
+    return row;
+}
+
+/**
+ * Render the statistics panel
+ * @param {HTMLElement} container - Container element for the panel
+ * @param {Object} stats - Result of computeStats
+ * @param {string} [ownerLabel] - Whose calendar the stats describe
+ */
+export function renderStats(container, stats, ownerLabel = '') {
+    container.innerHTML = '';
+
+    const card = document.createElement('div');
+    card.className = 'card mb-4';
+
+    const header = document.createElement('div');
+    header.className = 'card-header bg-primary text-white';
+    const title = document.createElement('h5');
+    title.className = 'mb-0';
+    title.innerHTML = '<i class="bi bi-bar-chart-line"></i> ';
+    title.appendChild(document.createTextNode(
+        `${t('Statistics {year}', { year: stats.year })}${ownerLabel ? ` — ${ownerLabel}` : ''}`
+    ));
+    header.appendChild(title);
+    card.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+
+    if (stats.count === 0) {
+        body.innerHTML = '<p class="text-muted mb-0"></p>';
+        body.firstChild.textContent = t('No entries logged this year yet.');
+        card.appendChild(body);
+        container.appendChild(card);
+        return;
+    }
+
+    // Summary tiles
+    const tiles = document.createElement('div');
+    tiles.className = 'row g-2 mb-3';
+    const monthNames = getMonthNames('long');
+    const shortMonthNames = getMonthNames('short');
+    tiles.appendChild(createTile(t('Average rating'), stats.average.toFixed(1)));
+    tiles.appendChild(createTile(t('Logged days'), stats.loggedDays, t('{count} unlogged', { count: stats.unloggedDays })));
+    tiles.appendChild(createTile(
+        t('Best month'),
+        stats.bestMonth ? monthNames[stats.bestMonth.month] : '—',
+        stats.bestMonth ? t('avg {average}', { average: stats.bestMonth.average.toFixed(1) }) : ''
+    ));
+    tiles.appendChild(createTile(
+        t('Worst month'),
+        stats.worstMonth ? monthNames[stats.worstMonth.month] : '—',
+        stats.worstMonth ? t('avg {average}', { average: stats.worstMonth.average.toFixed(1) }) : ''
+    ));
+    tiles.appendChild(createTile(
+        t('Logging streak'),
+        stats.loggingStreak.current,
+        t('longest {count}', { count: stats.loggingStreak.longest })
+    ));
+    tiles.appendChild(createTile(
+        t('Good-day streak'),
+        stats.goodDayStreak.current,
+        t('longest {count}', { count: stats.goodDayStreak.longest })
+    ));
+    body.appendChild(tiles);
+
+    const charts = document.createElement('div');
+    charts.className = 'row g-3';
+
+    // Rating histogram
+    const histogramCol = document.createElement('div');
+    histogramCol.className = 'col-12 col-lg-5';
+    histogramCol.innerHTML = '<h6 class="fw-bold"></h6>';
+    histogramCol.firstChild.textContent = t('Rating distribution');
+    const maxCount = Math.max(...Object.values(stats.histogram), 1);
+    for (let rating = 5; rating >= 1; rating--) {
+        const ratingCount = stats.histogram[rating] || 0;
+        histogramCol.appendChild(createBar(
+            '★'.repeat(rating),
+            ratingCount / maxCount,
+            String(ratingCount),
+            `rating-${rating}`
+        ));
+    }
+    charts.appendChild(histogramCol);
+
+    // Per-month averages
+    const monthsCol = document.createElement('div');
+    monthsCol.className = 'col-12 col-lg-7';
+    monthsCol.innerHTML = '<h6 class="fw-bold"></h6>';
+    monthsCol.firstChild.textContent = t('Average by month');
+    stats.months.forEach(month => {
+        const rounded = month.average !== null ? Math.round(month.average) : 0;
+        monthsCol.appendChild(createBar(
+            shortMonthNames[month.month],
+            month.average !== null ? month.average / 5 : 0,
+            month.average !== null ? month.average.toFixed(1) : '—',
+            rounded ? `rating-${rounded}` : ''
+        ));
+    });
+    charts.appendChild(monthsCol);
+
+    // Habit completion and how the days went with and without each habit
+    if (stats.habits.length > 0) {
+        const habitsCol = document.createElement('div');
+        habitsCol.className = 'col-12';
+        habitsCol.innerHTML = '<h6 class="fw-bold"></h6>';
+        habitsCol.firstChild.textContent = t('Habits');
+        const habitRows = document.createElement('div');
+        habitRows.className = 'row row-cols-1 row-cols-md-2 g-0';
+        stats.habits.forEach(habit => {
+            const col = document.createElement('div');
+            col.className = 'col pe-md-3';
+            col.appendChild(createHabitRow(habit));
+            habitRows.appendChild(col);
+        });
+        habitsCol.appendChild(habitRows);
+        charts.appendChild(habitsCol);
+    }
+
+    body.appendChild(charts);
+    card.appendChild(body);
+    container.appendChild(card);
+}
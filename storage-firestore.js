@@ -0,0 +1,549 @@
+/**
+ * Firestore Storage Backend
+ *
+ * Stores each day in two documents with the same `${userId}_${date}` ID:
+ * the rating, tags and habits in `entries`, the note and journal in `notes`, so the
+ * security rules can share one without the other. Every write also adds a document
+ * to `revisions` holding the day's previous and new version. Sharing
+ * settings live in `sharing/{uid}`, profiles in `users/{uid}`, habit lists in
+ * `habits/{uid}` (shared like ratings, unlike profiles) and groups in
+ * `groups/{groupId}`. Works
+ * offline through Firestore's IndexedDB cache.
+ * Implements the adapter interface described in storage.js.
+ */
+
+import { db } from './firebase.js';
+import { isOnline, trackWrite } from './sync.js';
+import {
+    collection,
+    query,
+    where,
+    getDoc,
+    getDocFromCache,
+    getDocs,
+    getDocsFromCache,
+    onSnapshot,
+    setDoc,
+    deleteDoc,
+    doc,
+    writeBatch,
+    deleteField,
+    orderBy,
+    limit
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+
+// How long a save waits for the server before relying on the local cache
+const WRITE_ACK_TIMEOUT_MS = 2000;
+
+// Entries per batch when moving old notes (Firestore allows 500 writes)
+const MIGRATION_BATCH_SIZE = 200;
+
+// Days per saveEntries batch: each day writes an entry, a note and a revision
+const MAX_BATCH_DAYS = Math.floor(500 / 3);
+
+// Fields of a cleared day: a tombstone instead of deleteDoc, so a deletion
+// made offline is ordered against edits from other devices like any other write
+const CLEARED_FIELDS = {
+    rating: null,
+    note: '',
+    tags: [],
+    journal: '',
+    habits: [],
+    deleted: true
+};
+
+/**
+ * Build the query for a user's documents, optionally for one year
+ * @param {string} collectionName - 'entries' or 'notes'
+ * @param {string} userId
+ * @param {number|null} year - Year to query, or null for all years
+ * @returns {Query}
+ */
+function buildUserQuery(collectionName, userId, year) {
+    const constraints = [where('userId', '==', userId)];
+    if (year !== null) {
+        constraints.push(where('date', '>=', `${year}-01-01`));
+        constraints.push(where('date', '<=', `${year}-12-31`));
+    }
+    constraints.push(orderBy('date'));
+
+    return query(collection(db, collectionName), ...constraints);
+}
+
+/**
+ * Check whether an entry document is a tombstone left by deleteEntry
+ * @param {Object} data - Document data
+ * @returns {boolean}
+ */
+function isDeleted(data) {
+    return data.deleted === true;
+}
+
+/**
+ * Index documents by date
+ * @param {QuerySnapshot|null} snapshot - null when the collection is not visible
+ * @returns {Map<string, Object>} - date -> { id, data, pending }
+ */
+function indexByDate(snapshot) {
+    const byDate = new Map();
+    if (snapshot) {
+        snapshot.forEach((doc) => {
+            byDate.set(doc.data().date, {
+                id: doc.id,
+                data: doc.data(),
+                pending: doc.metadata.hasPendingWrites
+            });
+        });
+    }
+    return byDate;
+}
+
+/**
+ * Combine the rating and note documents of a day into the cached entry shape
+ * @param {Object|undefined} ratingDoc - Indexed `entries` document
+ * @param {Object|undefined} noteDoc - Indexed `notes` document
+ * @param {{rating: boolean, notes: boolean}} visibility
+ * @returns {Object|null} - null if nothing is left to show for the day
+ */
+function toEntry(ratingDoc, noteDoc, visibility) {
+    if (ratingDoc && isDeleted(ratingDoc.data)) return null;
+
+    let note = noteDoc ? noteDoc.data.note || '' : '';
+    // Entries saved before notes were split out still carry their note
+    if (!noteDoc && ratingDoc && visibility.notes) {
+        note = ratingDoc.data.note || '';
+    }
+    const journal = noteDoc ? noteDoc.data.journal || '' : '';
+    if (!ratingDoc && !note && !journal) return null;
+
+    return {
+        id: (ratingDoc || noteDoc).id,
+        rating: ratingDoc ? ratingDoc.data.rating : null,
+        note,
+        tags: ratingDoc ? ratingDoc.data.tags || [] : [],
+        journal,
+        habits: ratingDoc ? ratingDoc.data.habits || [] : [],
+        pending: Boolean((ratingDoc && ratingDoc.pending) || (noteDoc && noteDoc.pending))
+    };
+}
+
+/**
+ * Combine indexed rating and note documents into entries
+ * @param {Map} ratingDocs
+ * @param {Map} noteDocs
+ * @param {{rating: boolean, notes: boolean}} visibility
+ * @returns {Object} - Object mapping date strings to entry data
+ */
+function toEntries(ratingDocs, noteDocs, visibility) {
+    const entries = {};
+    new Set([...ratingDocs.keys(), ...noteDocs.keys()]).forEach(date => {
+        const entry = toEntry(ratingDocs.get(date), noteDocs.get(date), visibility);
+        if (entry) {
+            entries[date] = entry;
+        }
+    });
+    return entries;
+}
+
+/**
+ * Run a query against the server, or the local cache when offline
+ * @param {Query} q
+ * @returns {Promise<QuerySnapshot>}
+ */
+async function readDocs(q) {
+    if (!isOnline()) {
+        return getDocsFromCache(q);
+    }
+
+    try {
+        return await getDocs(q);
+    } catch (error) {
+        // Connection dropped mid-request: fall back to what is cached
+        if (error.code === 'unavailable') {
+            return getDocsFromCache(q);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Read one document from the server, or the local cache when offline
+ * @param {DocumentReference} ref
+ * @returns {Promise<Object|null>} - Document data, or null if missing or not cached
+ */
+async function readDoc(ref) {
+    let snapshot = null;
+    try {
+        snapshot = isOnline() ? await getDoc(ref) : await getDocFromCache(ref);
+    } catch (error) {
+        if (error.code !== 'unavailable') throw error;
+        snapshot = await getDocFromCache(ref).catch(() => null);
+    }
+    return snapshot && snapshot.exists() ? snapshot.data() : null;
+}
+
+/**
+ * Describe the stored version of a day for a revision
+ * @param {Object|null} entryData - `entries` document data
+ * @param {Object|null} noteData - `notes` document data
+ * @returns {Object|null} - { rating, note, tags, journal, habits, updatedAt }, or null if the day had no entry
+ */
+function toVersion(entryData, noteData) {
+    if (!entryData || isDeleted(entryData)) return null;
+
+    return {
+        rating: entryData.rating ?? null,
+        // Entries saved before notes were split out still carry their note
+        note: noteData ? noteData.note || '' : entryData.note || '',
+        tags: entryData.tags || [],
+        journal: noteData ? noteData.journal || '' : '',
+        habits: entryData.habits || [],
+        updatedAt: entryData.updatedAt || null
+    };
+}
+
+/**
+ * Convert revision documents into revisions
+ * @param {QuerySnapshot} snapshot
+ * @returns {Object[]}
+ */
+function toRevisions(snapshot) {
+    return snapshot.docs.map(revisionDoc => ({ id: revisionDoc.id, ...revisionDoc.data() }));
+}
+
+/**
+ * Send a write, waiting briefly for the server only when online.
+ * Offline the write is queued by Firestore and this resolves immediately;
+ * on a slow connection it resolves after WRITE_ACK_TIMEOUT_MS, the write
+ * being in the local cache already (trackWrite still counts it as pending
+ * and reports a late conflict).
+ * @param {Promise} write - Pending setDoc or batch commit
+ * @param {string|null} [label] - Entry date(s) reported on conflicts; null
+ *                                for writes other than entries
+ * @returns {Promise<boolean>} - Whether the server acknowledged the write
+ */
+async function sendWrite(write, label = null) {
+    const tracked = trackWrite(write, label);
+    if (!isOnline()) return false;
+
+    const timeout = new Promise(resolve => setTimeout(() => resolve(false), WRITE_ACK_TIMEOUT_MS));
+    return Promise.race([tracked.then(() => true), timeout]);
+}
+
+/**
+ * Write the entry and note documents of one or more days for a user in a
+ * single batch, each with a revision recording the version it replaces.
+ * Every write carries the client edit time in `updatedAt`; the security rules
+ * reject an update that is older than the stored one, so when queued offline
+ * edits replay, the most recent edit across devices wins.
+ * @param {Object} user - The current user
+ * @param {Object[]} days - [{ date, fields }], fields being the entry fields
+ *                          to store ({ rating, note, tags, journal, habits, ... })
+ * @param {string} label - Date (or description) reported on conflicts
+ * @returns {Promise<boolean>} - Whether the server acknowledged the write
+ */
+async function writeDays(user, days, label) {
+    const updatedAt = Date.now();
+
+    // Offline this reads the cache; a day never loaded counts as empty
+    const previous = await Promise.all(days.map(({ date }) => {
+        const docId = `${user.uid}_${date}`;
+        return Promise.all([
+            readDoc(doc(db, 'entries', docId)).catch(() => null),
+            readDoc(doc(db, 'notes', docId)).catch(() => null)
+        ]);
+    }));
+
+    const batch = writeBatch(db);
+    days.forEach(({ date, fields }, index) => {
+        // Use a composite document ID for uniqueness: userId_date
+        const docId = `${user.uid}_${date}`;
+        const { note, journal, ...entryFields } = fields;
+        const [previousEntry, previousNote] = previous[index];
+
+        batch.set(doc(collection(db, 'revisions')), {
+            userId: user.uid,
+            date,
+            previous: toVersion(previousEntry, previousNote),
+            current: fields.deleted ? null : {
+                rating: fields.rating,
+                note: note || '',
+                tags: fields.tags || [],
+                journal: journal || '',
+                habits: fields.habits || []
+            },
+            revisedAt: updatedAt
+        });
+        batch.set(doc(db, 'entries', docId), {
+            userId: user.uid,
+            date: date,
+            ...entryFields,
+            updatedAt
+        });
+        batch.set(doc(db, 'notes', docId), {
+            userId: user.uid,
+            date: date,
+            note: note || '',
+            journal: journal || '',
+            updatedAt
+        });
+    });
+
+    return sendWrite(batch.commit(), label);
+}
+
+/**
+ * Move notes still stored on a user's `entries` documents into `notes`
+ * @param {Object} user
+ * @returns {Promise<number>} - Number of entries migrated
+ */
+async function migrateNotes(user) {
+    const snapshot = await getDocs(buildUserQuery('entries', user.uid, null));
+    const legacy = snapshot.docs.filter(entryDoc => entryDoc.data().note !== undefined);
+
+    for (let i = 0; i < legacy.length; i += MIGRATION_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        const updatedAt = Date.now();
+        legacy.slice(i, i + MIGRATION_BATCH_SIZE).forEach(entryDoc => {
+            const data = entryDoc.data();
+            batch.set(doc(db, 'notes', entryDoc.id), {
+                userId: user.uid,
+                date: data.date,
+                note: data.note || '',
+                updatedAt
+            });
+            batch.update(entryDoc.ref, { note: deleteField(), updatedAt });
+        });
+        await batch.commit();
+    }
+
+    return legacy.length;
+}
+
+/**
+ * Create the Firestore storage backend
+ * @returns {Object} - Storage adapter
+ */
+export function createFirestoreStorage() {
+    return {
+        name: 'firestore',
+        isRemote: true,
+
+        async setupUser(user) {
+            // Needs the server; runs again on the next login if offline now
+            if (isOnline()) {
+                await migrateNotes(user);
+            }
+        },
+
+        async getUserEntries(userId, year, visibility) {
+            const [ratingSnapshot, noteSnapshot] = await Promise.all([
+                visibility.rating ? readDocs(buildUserQuery('entries', userId, year)) : null,
+                visibility.notes ? readDocs(buildUserQuery('notes', userId, year)) : null
+            ]);
+
+            return toEntries(indexByDate(ratingSnapshot), indexByDate(noteSnapshot), visibility);
+        },
+
+        watchUserEntries(userId, year, listener, visibility) {
+            // One listener per visible collection, merged per day
+            const sources = {
+                entries: { enabled: visibility.rating, docs: new Map(), ready: false, fromCache: false },
+                notes: { enabled: visibility.notes, docs: new Map(), ready: false, fromCache: false }
+            };
+            const enabled = Object.values(sources).filter(source => source.enabled);
+            let initialized = false;
+
+            const subscribe = (collectionName) => {
+                const source = sources[collectionName];
+                return onSnapshot(
+                    buildUserQuery(collectionName, userId, year),
+                    { includeMetadataChanges: true },
+                    (snapshot) => {
+                        source.fromCache = snapshot.metadata.fromCache;
+                        listener.onStatus(enabled.some(s => s.fromCache) ? 'reconnecting' : 'live');
+
+                        // Metadata changes included so pending-sync markers clear once acknowledged
+                        const dates = new Set();
+                        snapshot.docChanges({ includeMetadataChanges: true }).forEach((change) => {
+                            const date = change.doc.data().date;
+                            if (change.type === 'removed') {
+                                source.docs.delete(date);
+                            } else {
+                                source.docs.set(date, {
+                                    id: change.doc.id,
+                                    data: change.doc.data(),
+                                    pending: change.doc.metadata.hasPendingWrites
+                                });
+                            }
+                            dates.add(date);
+                        });
+                        source.ready = true;
+
+                        if (!initialized) {
+                            if (enabled.every(s => s.ready)) {
+                                initialized = true;
+                                listener.onInitial(toEntries(sources.entries.docs, sources.notes.docs, visibility));
+                            }
+                            return;
+                        }
+
+                        const changes = Array.from(dates).map(date => ({
+                            date,
+                            entry: toEntry(sources.entries.docs.get(date), sources.notes.docs.get(date), visibility)
+                        }));
+                        if (changes.length > 0) {
+                            listener.onChange(changes);
+                        }
+                    },
+                    // Firestore ends a listener that fails, so this is final
+                    (error) => listener.onError(error)
+                );
+            };
+
+            const unsubscribes = Object.keys(sources)
+                .filter(collectionName => sources[collectionName].enabled)
+                .map(subscribe);
+
+            return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+        },
+
+        async saveEntry(user, date, fields) {
+            const acknowledged = await writeDays(user, [{ date, fields }], date);
+            return { id: `${user.uid}_${date}`, ...fields, pending: !acknowledged };
+        },
+
+        async deleteEntry(user, date) {
+            await writeDays(user, [{ date, fields: CLEARED_FIELDS }], date);
+        },
+
+        async saveEntries(user, changes) {
+            if (changes.length > MAX_BATCH_DAYS) {
+                throw new Error(`Can't save more than ${MAX_BATCH_DAYS} days at once`);
+            }
+            if (changes.length === 0) return {};
+
+            const dates = changes.map(change => change.date).sort();
+            const label = dates.length > 1 ? `${dates[0]} – ${dates[dates.length - 1]}` : dates[0];
+            const acknowledged = await writeDays(user, changes.map(({ date, fields }) => ({
+                date,
+                fields: fields || CLEARED_FIELDS
+            })), label);
+
+            const saved = {};
+            changes.forEach(({ date, fields }) => {
+                saved[date] = fields ? { id: `${user.uid}_${date}`, ...fields, pending: !acknowledged } : null;
+            });
+            return saved;
+        },
+
+        async getRevisions(userId, date) {
+            const snapshot = await readDocs(query(
+                collection(db, 'revisions'),
+                where('userId', '==', userId),
+                where('date', '==', date),
+                orderBy('revisedAt', 'desc')
+            ));
+            return toRevisions(snapshot);
+        },
+
+        async getRecentRevisions(userId, count) {
+            const snapshot = await readDocs(query(
+                collection(db, 'revisions'),
+                where('userId', '==', userId),
+                orderBy('revisedAt', 'desc'),
+                limit(count)
+            ));
+            return toRevisions(snapshot);
+        },
+
+        async getSharing(uid) {
+            return readDoc(doc(db, 'sharing', uid));
+        },
+
+        async saveSharing(user, settings) {
+            await sendWrite(setDoc(doc(db, 'sharing', user.uid), {
+                ...settings,
+                updatedAt: Date.now()
+            }));
+        },
+
+        async getAllSharing() {
+            const snapshot = await readDocs(collection(db, 'sharing'));
+            const sharing = {};
+            snapshot.forEach((sharingDoc) => {
+                sharing[sharingDoc.id] = sharingDoc.data();
+            });
+            return sharing;
+        },
+
+        async getProfile(uid) {
+            return readDoc(doc(db, 'users', uid));
+        },
+
+        async saveProfile(uid, profile) {
+            await sendWrite(setDoc(doc(db, 'users', uid), profile));
+        },
+
+        async getAllProfiles() {
+            const snapshot = await readDocs(collection(db, 'users'));
+            return snapshot.docs.map(profileDoc => ({ ...profileDoc.data(), uid: profileDoc.id }));
+        },
+
+        async getHabitList(uid, visibility) {
+            if (!visibility.rating) return [];
+            const data = await readDoc(doc(db, 'habits', uid));
+            return data ? data.habits || [] : [];
+        },
+
+        async saveHabitList(user, habits) {
+            await sendWrite(setDoc(doc(db, 'habits', user.uid), {
+                userId: user.uid,
+                habits,
+                updatedAt: Date.now()
+            }));
+        },
+
+        async getGroups(uid) {
+            // The rules only let members and invited users read a group
+            const [memberOf, invitedTo] = await Promise.all([
+                readDocs(query(collection(db, 'groups'), where('members', 'array-contains', uid))),
+                readDocs(query(collection(db, 'groups'), where('invited', 'array-contains', uid)))
+            ]);
+
+            const groups = new Map();
+            [...memberOf.docs, ...invitedTo.docs].forEach(groupDoc => {
+                groups.set(groupDoc.id, { ...groupDoc.data(), id: groupDoc.id });
+            });
+            return Array.from(groups.values());
+        },
+
+        async saveGroup(user, group) {
+            const { id, ...fields } = group;
+            const ref = id ? doc(db, 'groups', id) : doc(collection(db, 'groups'));
+            await sendWrite(setDoc(ref, { ...fields, updatedAt: Date.now() }));
+            return ref.id;
+        },
+
+        async deleteGroup(user, groupId) {
+            await sendWrite(deleteDoc(doc(db, 'groups', groupId)));
+        },
+
+        async getAllEntries(year, users) {
+            const perUser = await Promise.all(users.map(async ({ uid, visibility }) => {
+                const entries = await this.getUserEntries(uid, year, visibility);
+                return Object.entries(entries).map(([date, entry]) => ({
+                    userId: uid,
+                    date,
+                    rating: entry.rating,
+                    note: entry.note,
+                    tags: entry.tags,
+                    journal: entry.journal,
+                    habits: entry.habits
+                }));
+            }));
+
+            return perUser.flat().sort((a, b) => a.date.localeCompare(b.date));
+        }
+    };
+}
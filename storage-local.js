@@ -0,0 +1,92 @@
+/**
+ * Local Storage Backend
+ *
+ * Persists entries, revisions, sharing settings, profiles, groups and habit lists in the browser's localStorage, so the app runs without
+ * a Firebase project (demos, kiosks). Builds on the in-memory backend and
+ * keeps several open tabs in step through the `storage` event.
+ * Implements the adapter interface described in storage.js.
+ */
+
+import { createMemoryStorage } from './storage-memory.js';
+
+// localStorage keys holding all entry documents, sharing settings, profiles, revisions,
+// groups and habit lists
+const STORAGE_KEY = 'daydicated-entries';
+const SHARING_KEY = 'daydicated-sharing';
+const PROFILES_KEY = 'daydicated-profiles';
+const REVISIONS_KEY = 'daydicated-revisions';
+const GROUPS_KEY = 'daydicated-groups';
+const HABITS_KEY = 'daydicated-habits';
+
+/**
+ * Read a list of documents from localStorage
+ * @param {string} [key] - STORAGE_KEY or REVISIONS_KEY
+ * @returns {Object[]}
+ */
+function loadDocs(key = STORAGE_KEY) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Read an object keyed by uid (or id) from localStorage
+ * @param {string} key - SHARING_KEY, PROFILES_KEY, GROUPS_KEY or HABITS_KEY
+ * @returns {Object}
+ */
+function loadByUid(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return {};
+    }
+}
+
+/**
+ * Write all documents, sharing settings, profiles, revisions, groups and habit lists to localStorage
+ * @param {Object[]} docs
+ * @param {Object} sharing - Settings keyed by uid
+ * @param {Object} profiles - Profiles keyed by uid
+ * @param {Object[]} revisions - Revisions, newest first
+ * @param {Object} groups - Groups keyed by id
+ * @param {Object} habitLists - Habit lists keyed by uid
+ */
+function saveDocs(docs, sharing, profiles, revisions, groups, habitLists) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(docs));
+    localStorage.setItem(SHARING_KEY, JSON.stringify(sharing));
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    localStorage.setItem(REVISIONS_KEY, JSON.stringify(revisions));
+    localStorage.setItem(GROUPS_KEY, JSON.stringify(groups));
+    localStorage.setItem(HABITS_KEY, JSON.stringify(habitLists));
+}
+
+/**
+ * Create the localStorage backend
+ * @returns {Object} - Storage adapter
+ */
+export function createLocalStorage() {
+    const adapter = createMemoryStorage({
+        seedEntries: loadDocs(),
+        seedSharing: loadByUid(SHARING_KEY),
+        seedProfiles: loadByUid(PROFILES_KEY),
+        seedRevisions: loadDocs(REVISIONS_KEY),
+        seedGroups: loadByUid(GROUPS_KEY),
+        seedHabitLists: loadByUid(HABITS_KEY),
+        onPersist: saveDocs,
+        name: 'local'
+    });
+
+    window.addEventListener('storage', (event) => {
+        if ([STORAGE_KEY, SHARING_KEY, PROFILES_KEY, REVISIONS_KEY, GROUPS_KEY, HABITS_KEY].includes(event.key)) {
+            adapter.replaceAll(loadDocs(), loadByUid(SHARING_KEY), loadByUid(PROFILES_KEY),
+                loadDocs(REVISIONS_KEY), loadByUid(GROUPS_KEY), loadByUid(HABITS_KEY));
+        }
+    });
+
+    return adapter;
+}
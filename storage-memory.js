@@ -0,0 +1,401 @@
+/**
+ * In-Memory Storage Backend
+ *
+ * Keeps entries, revisions, sharing settings, profiles, groups and habit lists in memory for demos and tests; nothing
+ * survives a reload unless an `onPersist` hook saves the documents (see
+ * storage-local.js).
+ * Implements the adapter interface described in storage.js.
+ */
+
+// Revisions kept per user, newest first (localStorage has little room)
+const MAX_REVISIONS_PER_USER = 500;
+
+/**
+ * Check whether a date string falls in a year (null matches every year)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number|null} year
+ * @returns {boolean}
+ */
+function isInYear(date, year) {
+    return year === null || date.startsWith(`${year}-`);
+}
+
+/**
+ * Convert a stored document into the cached entry shape, keeping only the
+ * fields the viewer may see
+ * @param {string} docId
+ * @param {Object} data
+ * @param {{rating: boolean, notes: boolean}} visibility
+ * @returns {Object|null} - null if nothing is left to show for the day
+ */
+function toEntry(docId, data, visibility) {
+    const note = visibility.notes ? data.note || '' : '';
+    const journal = visibility.notes ? data.journal || '' : '';
+    if (!visibility.rating && !note && !journal) return null;
+
+    return {
+        id: docId,
+        rating: visibility.rating ? data.rating : null,
+        note,
+        tags: visibility.rating ? data.tags || [] : [],
+        journal,
+        habits: visibility.rating ? data.habits || [] : [],
+        pending: false
+    };
+}
+
+/**
+ * Describe a stored document as the version a revision records
+ * @param {Object|undefined} data
+ * @returns {Object|null} - { rating, note, tags, journal, habits, updatedAt }, or null if the day had no entry
+ */
+function toVersion(data) {
+    if (!data) return null;
+    return {
+        rating: data.rating ?? null,
+        note: data.note || '',
+        tags: data.tags || [],
+        journal: data.journal || '',
+        habits: data.habits || [],
+        updatedAt: data.updatedAt || null
+    };
+}
+
+/**
+ * Describe the fields being saved as the version a revision records
+ * @param {Object} fields - { rating, note, tags, journal, habits }
+ * @returns {Object} - { rating, note, tags, journal, habits }
+ */
+function toCurrent(fields) {
+    return {
+        rating: fields.rating,
+        note: fields.note || '',
+        tags: fields.tags || [],
+        journal: fields.journal || '',
+        habits: fields.habits || []
+    };
+}
+
+/**
+ * Create the in-memory storage backend
+ * @param {Object} [options]
+ * @param {Object[]} [options.seedEntries] - Documents to start with ({userId, date, rating, note, ...})
+ * @param {Object} [options.seedSharing] - Sharing settings to start with, keyed by uid
+ * @param {Object} [options.seedProfiles] - Profiles to start with, keyed by uid
+ * @param {Object[]} [options.seedRevisions] - Revisions to start with, newest first
+ * @param {Object} [options.seedGroups] - Groups to start with, keyed by id
+ * @param {Object} [options.seedHabitLists] - Habit lists to start with, keyed by uid
+ * @param {Function} [options.onPersist] - Called with all documents, sharing settings,
+ *                                         profiles, revisions, groups and habit lists after every change
+ * @param {string} [options.name] - Backend name reported to the UI
+ * @returns {Object} - Storage adapter
+ */
+export function createMemoryStorage({
+    seedEntries = [],
+    seedSharing = {},
+    seedProfiles = {},
+    seedRevisions = [],
+    seedGroups = {},
+    seedHabitLists = {},
+    onPersist = null,
+    name = 'memory'
+} = {}) {
+    // Documents keyed like Firestore: userId_date
+    const docs = new Map();
+    // Sharing settings and profiles keyed by uid
+    const sharing = new Map(Object.entries(seedSharing));
+    const profiles = new Map(Object.entries(seedProfiles));
+    // Every user's revisions, newest first
+    let revisions = [...seedRevisions];
+    let revisionCounter = 0;
+    // Groups keyed by id
+    const groups = new Map(Object.entries(seedGroups));
+    let groupCounter = 0;
+    // Habit lists keyed by uid
+    const habitLists = new Map(Object.entries(seedHabitLists));
+    const watchers = new Set();
+
+    seedEntries.forEach(data => docs.set(`${data.userId}_${data.date}`, { ...data }));
+
+    /**
+     * Tell watchers of a user's calendar that days changed, in one change list
+     * @param {string} userId
+     * @param {...string} dates
+     */
+    function notify(userId, ...dates) {
+        watchers.forEach(watcher => {
+            if (watcher.userId !== userId) return;
+
+            const changes = dates
+                .filter(date => isInYear(date, watcher.year))
+                .map(date => {
+                    const docId = `${userId}_${date}`;
+                    const data = docs.get(docId);
+                    return { date, entry: data ? toEntry(docId, data, watcher.visibility) : null };
+                });
+            if (changes.length > 0) {
+                watcher.listener.onChange(changes);
+            }
+        });
+    }
+
+    function persist() {
+        if (onPersist) {
+            onPersist(Array.from(docs.values()), Object.fromEntries(sharing), Object.fromEntries(profiles), revisions,
+                Object.fromEntries(groups), Object.fromEntries(habitLists));
+        }
+    }
+
+    /**
+     * Record that a user's day changed from its stored version to a new one
+     * @param {string} userId
+     * @param {string} date
+     * @param {Object|null} current - New { rating, note, tags, journal, habits }, or null when cleared
+     * @param {number} revisedAt
+     */
+    function addRevision(userId, date, current, revisedAt) {
+        revisions.unshift({
+            id: `${revisedAt}-${++revisionCounter}`,
+            userId,
+            date,
+            previous: toVersion(docs.get(`${userId}_${date}`)),
+            current,
+            revisedAt
+        });
+
+        // Drop the user's oldest revisions beyond the limit
+        let kept = 0;
+        revisions = revisions.filter(revision => revision.userId !== userId || ++kept <= MAX_REVISIONS_PER_USER);
+    }
+
+    /**
+     * Get a user's documents, sorted by date
+     * @param {string|null} userId - null for all users
+     * @param {number|null} year - null for all years
+     * @returns {Object[]}
+     */
+    function findDocs(userId, year) {
+        return Array.from(docs.values())
+            .filter(data => (userId === null || data.userId === userId) && isInYear(data.date, year))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    function collectEntries(userId, year, visibility) {
+        const entries = {};
+        findDocs(userId, year).forEach(data => {
+            const entry = toEntry(`${data.userId}_${data.date}`, data, visibility);
+            if (entry) {
+                entries[data.date] = entry;
+            }
+        });
+        return entries;
+    }
+
+    return {
+        name,
+        isRemote: false,
+
+        async setupUser() {
+            // Nothing to migrate
+        },
+
+        async getUserEntries(userId, year, visibility) {
+            return collectEntries(userId, year, visibility);
+        },
+
+        watchUserEntries(userId, year, listener, visibility) {
+            const watcher = { userId, year, listener, visibility };
+            watchers.add(watcher);
+
+            // Deliver asynchronously, like a Firestore snapshot
+            queueMicrotask(() => {
+                if (!watchers.has(watcher)) return;
+                listener.onStatus('live');
+                listener.onInitial(collectEntries(userId, year, visibility));
+            });
+
+            return () => watchers.delete(watcher);
+        },
+
+        async saveEntry(user, date, fields) {
+            const docId = `${user.uid}_${date}`;
+            const updatedAt = Date.now();
+            addRevision(user.uid, date, toCurrent(fields), updatedAt);
+            docs.set(docId, {
+                userId: user.uid,
+                date,
+                ...fields,
+                updatedAt
+            });
+            persist();
+            notify(user.uid, date);
+            return toEntry(docId, docs.get(docId), { rating: true, notes: true });
+        },
+
+        async deleteEntry(user, date) {
+            addRevision(user.uid, date, null, Date.now());
+            docs.delete(`${user.uid}_${date}`);
+            persist();
+            notify(user.uid, date);
+        },
+
+        async saveEntries(user, changes) {
+            const updatedAt = Date.now();
+            const saved = {};
+
+            changes.forEach(({ date, fields }) => {
+                const docId = `${user.uid}_${date}`;
+                addRevision(user.uid, date, fields ? toCurrent(fields) : null, updatedAt);
+
+                if (fields) {
+                    docs.set(docId, {
+                        userId: user.uid,
+                                date,
+                        ...fields,
+                        updatedAt
+                    });
+                    saved[date] = toEntry(docId, docs.get(docId), { rating: true, notes: true });
+                } else {
+                    docs.delete(docId);
+                    saved[date] = null;
+                }
+            });
+
+            persist();
+            notify(user.uid, ...changes.map(change => change.date));
+            return saved;
+        },
+
+        async getRevisions(userId, date) {
+            return revisions.filter(revision => revision.userId === userId && revision.date === date);
+        },
+
+        async getRecentRevisions(userId, count) {
+            return revisions.filter(revision => revision.userId === userId).slice(0, count);
+        },
+
+        async getSharing(uid) {
+            return sharing.has(uid) ? { ...sharing.get(uid) } : null;
+        },
+
+        async saveSharing(user, settings) {
+            sharing.set(user.uid, { ...settings, updatedAt: Date.now() });
+            persist();
+        },
+
+        async getAllSharing() {
+            return Object.fromEntries(sharing);
+        },
+
+        async getProfile(uid) {
+            return profiles.has(uid) ? { ...profiles.get(uid) } : null;
+        },
+
+        async saveProfile(uid, profile) {
+            profiles.set(uid, { ...profile });
+            persist();
+        },
+
+        async getAllProfiles() {
+            return Array.from(profiles.entries()).map(([uid, profile]) => ({ ...profile, uid }));
+        },
+
+        async getHabitList(uid, visibility) {
+            return visibility.rating ? [...(habitLists.get(uid) || [])] : [];
+        },
+
+        async saveHabitList(user, habits) {
+            habitLists.set(user.uid, [...habits]);
+            persist();
+        },
+
+        async getGroups(uid) {
+            return Array.from(groups.entries())
+                .filter(([, group]) => group.members.includes(uid) || group.invited.includes(uid))
+                .map(([id, group]) => ({ ...group, id }));
+        },
+
+        async saveGroup(user, group) {
+            const id = group.id || `${Date.now()}-${++groupCounter}`;
+            const saved = { ...group, updatedAt: Date.now() };
+            delete saved.id;
+            groups.set(id, saved);
+            persist();
+            return id;
+        },
+
+        async deleteGroup(user, groupId) {
+            groups.delete(groupId);
+            persist();
+        },
+
+        async getAllEntries(year, users) {
+            const visibilityByUser = new Map(users.map(({ uid, visibility }) => [uid, visibility]));
+
+            return findDocs(null, year)
+                .filter(data => visibilityByUser.has(data.userId))
+                .map(data => ({
+                    userId: data.userId,
+                    date: data.date,
+                    entry: toEntry(`${data.userId}_${data.date}`, data, visibilityByUser.get(data.userId))
+                }))
+                .filter(({ entry }) => entry)
+                .map(({ userId, date, entry }) => ({
+                    userId,
+                    date,
+                    rating: entry.rating,
+                    note: entry.note,
+                    tags: entry.tags,
+                    journal: entry.journal,
+                    habits: entry.habits
+                }));
+        },
+
+        /**
+         * Replace every document (e.g. after another tab changed them)
+         * and notify watchers of the days that differ
+         * @param {Object[]} list - All documents
+         * @param {Object} [sharingByUid] - All sharing settings, keyed by uid
+         * @param {Object} [profilesByUid] - All profiles, keyed by uid
+         * @param {Object[]} [revisionList] - All revisions, newest first
+         * @param {Object} [groupsById] - All groups, keyed by id
+         * @param {Object} [habitListsByUid] - All habit lists, keyed by uid
+         */
+        replaceAll(list, sharingByUid = null, profilesByUid = null, revisionList = null, groupsById = null,
+            habitListsByUid = null) {
+            if (revisionList) {
+                revisions = [...revisionList];
+            }
+            if (sharingByUid) {
+                sharing.clear();
+                Object.entries(sharingByUid).forEach(([uid, settings]) => sharing.set(uid, settings));
+            }
+            if (profilesByUid) {
+                profiles.clear();
+                Object.entries(profilesByUid).forEach(([uid, profile]) => profiles.set(uid, profile));
+            }
+            if (groupsById) {
+                groups.clear();
+                Object.entries(groupsById).forEach(([id, group]) => groups.set(id, group));
+            }
+            if (habitListsByUid) {
+                habitLists.clear();
+                Object.entries(habitListsByUid).forEach(([uid, habits]) => habitLists.set(uid, habits));
+            }
+
+            const previous = new Map(docs);
+            docs.clear();
+            list.forEach(data => docs.set(`${data.userId}_${data.date}`, { ...data }));
+
+            const changedIds = new Set([...previous.keys(), ...docs.keys()]);
+            changedIds.forEach(docId => {
+                const before = previous.get(docId);
+                const after = docs.get(docId);
+                if (JSON.stringify(before) !== JSON.stringify(after)) {
+                    const data = after || before;
+                    notify(data.userId, data.date);
+                }
+            });
+        }
+    };
+}
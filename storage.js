@@ -0,0 +1,58 @@
+/**
+ * Storage Module
+ *
+ * Loads the storage backend chosen in config.js. Only the selected backend
+ * is imported, so the local and memory backends never load Firebase.
+ *
+ * Every backend implements the same adapter interface:
+ * - name, isRemote
+ * - setupUser(user) -> Promise<void>  (per-login housekeeping, e.g. migrations)
+ * - getUserEntries(userId, year|null, visibility) -> Promise<{[date]: entry}>
+ * - watchUserEntries(userId, year, {onInitial, onChange, onStatus, onError}, visibility) -> unsubscribe
+ *     onInitial(entries), onChange([{date, entry|null}]), onStatus('live'|'reconnecting')
+ * - saveEntry(user, date, {rating, note, tags, journal, habits}) -> Promise<entry>
+ * - deleteEntry(user, date) -> Promise<void>
+ *     Both also record a revision of the day:
+ *     {id, userId, date, previous: {rating, note, tags, journal, habits, updatedAt}|null,
+ *      current: {rating, note, tags, journal, habits}|null, revisedAt}  (null = no entry)
+ * - saveEntries(user, [{date, fields|null}]) -> Promise<{[date]: entry|null}>
+ *     Saves several days in one atomic write (null fields clear the day),
+ *     recording a revision for each
+ * - getRevisions(userId, date) -> Promise<[revision]>  (newest first)
+ * - getRecentRevisions(userId, limit) -> Promise<[revision]>  (newest first, across days)
+ * - getSharing(uid) -> Promise<settings|null>
+ * - saveSharing(user, settings) -> Promise<void>
+ * - getAllSharing() -> Promise<{[uid]: settings}>
+ * - getProfile(uid) -> Promise<profile|null>
+ * - saveProfile(uid, profile) -> Promise<void>
+ * - getAllProfiles() -> Promise<[profile]>  (the user directory)
+ * - getHabitList(uid, visibility) -> Promise<[string]>  (empty unless the rating is visible)
+ * - saveHabitList(user, [string]) -> Promise<void>
+ * - getGroups(uid) -> Promise<[group]>  (groups the user is a member of or invited to)
+ * - saveGroup(user, group) -> Promise<groupId>  (creates the group when it has no id)
+ * - deleteGroup(user, groupId) -> Promise<void>
+ *     group: {id, name, ownerId, members: [uid], invited: [uid], createdAt, updatedAt}
+ * - getAllEntries(year|null, [{uid, visibility}]) -> Promise<[{userId, date, rating, note, tags, journal, habits}]>
+ *
+ * `visibility` is {rating, notes} (see sharing.js): hidden fields are never read.
+ * The journal (Markdown, see journal.js) is part of the notes; the habits done
+ * (see habits.js) and the owner's habit list go with the rating and tags. Groups
+ * are described in groups.js.
+ */
+
+import { config } from './config.js';
+
+// Factories for each backend, imported on demand
+const BACKEND_FACTORIES = {
+    firestore: async () => (await import('./storage-firestore.js')).createFirestoreStorage(),
+    local: async () => (await import('./storage-local.js')).createLocalStorage(),
+    memory: async () => (await import('./storage-memory.js')).createMemoryStorage({
+        seedEntries: config.seedEntries,
+        seedSharing: config.seedSharing,
+        seedProfiles: config.seedProfiles,
+        seedGroups: config.seedGroups,
+        seedHabitLists: config.seedHabitLists
+    })
+};
+
+export const storage = await BACKEND_FACTORIES[config.backend]();
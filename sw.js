@@ -0,0 +1,150 @@
+/**
+ * Service Worker
+ *
+ * Caches the app shell (page, styles, ES modules and the CDN libraries) so
+ * Daydicated opens offline and can be installed. The app's own files are
+ * fetched network-first so a deploy shows up on the next load; versioned
+ * CDN files are served from the cache. Entries are not cached here:
+ * Firestore keeps its own offline cache.
+ *
+ * Also opens the calendar when a reminder notification (see pwa.js) is clicked.
+ */
+
+// Bump to drop caches of files that are no longer used
+const CACHE_NAME = 'daydicated-v1';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'app.js',
+    'auth.js',
+    'bulk.js',
+    'calendar.js',
+    'compare.js',
+    'config.js',
+    'export.js',
+    'firebase.js',
+    'groups.js',
+    'habits.js',
+    'i18n.js',
+    'import.js',
+    'journal.js',
+    'markdown.js',
+    'profiles.js',
+    'pwa.js',
+    'revisions.js',
+    'search.js',
+    'sharing.js',
+    'stats.js',
+    'storage.js',
+    'storage-firestore.js',
+    'storage-local.js',
+    'storage-memory.js',
+    'sync.js',
+    'tags.js',
+    'translations.js'
+];
+
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.1/font/bootstrap-icons.css',
+    'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js',
+    'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js',
+    'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js'
+];
+
+// Hosts of versioned files that never change (e.g. the icon font the CSS loads)
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'www.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll([...APP_SHELL, ...CDN_ASSETS]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Fetch from the network and refresh the cache, falling back to the cache offline
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Navigations with a query string (e.g. ?backend=local) share the page
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve from the cache, fetching and caching on a miss
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Anything else (Firebase APIs) goes straight to the network
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { date } = event.notification.data || {};
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) {
+            const client = await windows[0].focus();
+            client.postMessage({ type: 'open-day', date });
+            return;
+        }
+        const url = new URL('./', self.location.href);
+        if (date) {
+            url.searchParams.set('open-day', date);
+        }
+        await self.clients.openWindow(url.href);
+    })());
+});
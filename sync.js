@@ -0,0 +1,88 @@
+/**
+ * Sync Module
+ *
+ * Tracks connectivity and writes that have not reached Firestore yet.
+ * Firestore's persistent cache queues offline writes and replays them on
+ * reconnect; this module only keeps count so the UI can show sync status.
+ */
+
+// Writes issued in this session that the server hasn't acknowledged yet
+let pendingWrites = 0;
+
+const statusListeners = new Set();
+const conflictListeners = new Set();
+
+/**
+ * Whether the browser currently reports a network connection
+ * @returns {boolean}
+ */
+export function isOnline() {
+    return navigator.onLine;
+}
+
+/**
+ * Get the current sync state
+ * @returns {{online: boolean, pending: number}}
+ */
+export function getSyncState() {
+    return { online: isOnline(), pending: pendingWrites };
+}
+
+/**
+ * Notify status listeners of the current sync state
+ */
+function notifyStatus() {
+    const state = getSyncState();
+    statusListeners.forEach(callback => callback(state));
+}
+
+/**
+ * Track a Firestore write until the server acknowledges or rejects it.
+ * For an entry write, a permission-denied rejection means the update rule
+ * found a newer version of the entry on the server (see README rules), so
+ * the write is reported as a conflict that the other device won. Other
+ * writes pass no date and their rejections are left to the caller.
+ * @param {Promise} write - Promise returned by setDoc / batch.commit
+ * @param {string|null} [date] - Date of the entry being written
+ * @returns {Promise} - The original write promise
+ */
+export function trackWrite(write, date = null) {
+    pendingWrites++;
+    notifyStatus();
+
+    write
+        .catch((error) => {
+            if (date !== null && error.code === 'permission-denied') {
+                conflictListeners.forEach(callback => callback(date));
+            }
+        })
+        .finally(() => {
+            pendingWrites--;
+            notifyStatus();
+        });
+
+    return write;
+}
+
+/**
+ * Subscribe to sync state changes (connectivity and pending writes)
+ * @param {Function} callback - Called with {online, pending}
+ * @returns {Function} - Unsubscribe function
+ */
+export function onSyncStatusChange(callback) {
+    statusListeners.add(callback);
+    return () => statusListeners.delete(callback);
+}
+
+/**
+ * Subscribe to writes that lost a conflict against another device
+ * @param {Function} callback - Called with the date of the rejected entry
+ * @returns {Function} - Unsubscribe function
+ */
+export function onWriteConflict(callback) {
+    conflictListeners.add(callback);
+    return () => conflictListeners.delete(callback);
+}
+
+window.addEventListener('online', notifyStatus);
+window.addEventListener('offline', notifyStatus);
@@ -0,0 +1,204 @@
+/**
+ * Tags Module
+ *
+ * Tags record what a day contained ("gym", "sick", "travel", ...).
+ * Provides tag normalization, the tag picker used in the edit modal
+ * and the tag filter bar shown above the calendar.
+ */
+
+import { t } from './i18n.js';
+
+// Limits for tags on a single entry
+export const MAX_TAGS = 10;
+export const TAG_MAX_LENGTH = 20;
+
+/**
+ * Normalize a single tag: trimmed, lowercase, inner whitespace collapsed
+ * @param {string} tag
+ * @returns {string}
+ */
+export function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase().replace(/\s+/g, ' ').substring(0, TAG_MAX_LENGTH);
+}
+
+/**
+ * Normalize a list of tags: no empties, no duplicates, at most MAX_TAGS
+ * @param {string[]|string|null|undefined} tags - Array, or a ";" / "," separated string
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+    if (!tags) return [];
+    const list = Array.isArray(tags) ? tags : String(tags).split(/[;,]/);
+
+    const unique = [];
+    list.map(normalizeTag).forEach(tag => {
+        if (tag && !unique.includes(tag)) {
+            unique.push(tag);
+        }
+    });
+    return unique.slice(0, MAX_TAGS);
+}
+
+/**
+ * Collect tags used in a set of entries, most used first
+ * @param {Object} entries - Object mapping date strings to entry data
+ * @returns {string[]}
+ */
+export function collectTags(entries) {
+    const counts = new Map();
+    Object.values(entries).forEach(entry => {
+        (entry.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([tag]) => tag);
+}
+
+/**
+ * Check whether an entry carries any of the given tags
+ * @param {Object|undefined} entry
+ * @param {string[]} tags
+ * @returns {boolean}
+ */
+export function hasAnyTag(entry, tags) {
+    return Boolean(entry && entry.tags && entry.tags.some(tag => tags.includes(tag)));
+}
+
+/**
+ * Create a tag picker: removable chips plus an input with autocomplete
+ * @param {HTMLElement} chipsContainer - Where the selected tags are shown
+ * @param {HTMLInputElement} input - Text input for new tags
+ * @param {HTMLDataListElement} datalist - Datalist bound to the input for suggestions
+ * @returns {Object} - { getTags, setTags, setSuggestions }
+ */
+export function createTagPicker(chipsContainer, input, datalist) {
+    let tags = [];
+    let suggestions = [];
+
+    function renderSuggestions() {
+        datalist.innerHTML = '';
+        suggestions
+            .filter(tag => !tags.includes(tag))
+            .forEach(tag => {
+                const option = document.createElement('option');
+                option.value = tag;
+                datalist.appendChild(option);
+            });
+    }
+
+    function renderChips() {
+        chipsContainer.innerHTML = '';
+        tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'badge rounded-pill bg-primary tag-chip';
+            chip.textContent = tag;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-close btn-close-white ms-1';
+            removeBtn.setAttribute('aria-label', t('Remove tag {tag}', { tag }));
+            removeBtn.addEventListener('click', () => {
+                tags = tags.filter(other => other !== tag);
+                renderChips();
+            });
+
+            chip.appendChild(removeBtn);
+            chipsContainer.appendChild(chip);
+        });
+        input.disabled = tags.length >= MAX_TAGS;
+        renderSuggestions();
+    }
+
+    function addFromInput() {
+        const added = normalizeTags(input.value);
+        if (added.length > 0) {
+            tags = normalizeTags([...tags, ...added]);
+            renderChips();
+        }
+        input.value = '';
+    }
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            // Keep Enter from submitting the edit form
+            e.preventDefault();
+            addFromInput();
+        } else if (e.key === 'Backspace' && input.value === '' && tags.length > 0) {
+            tags = tags.slice(0, -1);
+            renderChips();
+        }
+    });
+
+    // Picking a suggestion from the datalist fires "input" without a key press
+    input.addEventListener('input', (e) => {
+        if (!e.inputType || e.inputType === 'insertReplacementText') {
+            addFromInput();
+        }
+    });
+    input.addEventListener('blur', addFromInput);
+
+    return {
+        getTags() {
+            // Include a tag that was typed but not confirmed yet
+            addFromInput();
+            return [...tags];
+        },
+        setTags(newTags) {
+            tags = normalizeTags(newTags);
+            input.value = '';
+            renderChips();
+        },
+        setSuggestions(newSuggestions) {
+            suggestions = newSuggestions;
+            renderSuggestions();
+        }
+    };
+}
+
+/**
+ * Render the tag filter bar
+ * @param {HTMLElement} container - Container element for the filter bar
+ * @param {string[]} availableTags - Tags present in the viewed calendar
+ * @param {string[]} selectedTags - Tags currently filtered on
+ * @param {Function} onChange - Called with the new list of selected tags
+ */
+export function renderTagFilter(container, availableTags, selectedTags, onChange) {
+    container.innerHTML = '';
+
+    // Keep selected tags visible even if they no longer occur
+    const tags = [...new Set([...availableTags, ...selectedTags])];
+    if (tags.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'flex';
+
+    const label = document.createElement('span');
+    label.className = 'small text-muted me-1';
+    label.innerHTML = '<i class="bi bi-tags"></i> ';
+    label.appendChild(document.createTextNode(t('Highlight:')));
+    container.appendChild(label);
+
+    tags.forEach(tag => {
+        const selected = selectedTags.includes(tag);
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `btn btn-sm rounded-pill ${selected ? 'btn-primary' : 'btn-outline-primary'}`;
+        btn.textContent = tag;
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.addEventListener('click', () => {
+            onChange(selected ? selectedTags.filter(other => other !== tag) : [...selectedTags, tag]);
+        });
+        container.appendChild(btn);
+    });
+
+    if (selectedTags.length > 0) {
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.className = 'btn btn-link btn-sm';
+        clearBtn.textContent = t('Clear');
+        clearBtn.addEventListener('click', () => onChange([]));
+        container.appendChild(clearBtn);
+    }
+}
@@ -0,0 +1,559 @@
+/**
+ * Translations
+ *
+ * String catalogs for the languages in i18n.js other than English. Keys
+ * are the English UI texts exactly as written in index.html and the
+ * modules, including {placeholders}; a text missing here shows in English.
+ * Exported files (CSV, JSON, iCalendar, Markdown, images) stay in English.
+ */
+
+export const TRANSLATIONS = {
+    de: {
+        // Page and login
+        'Daydicated - Daily Calendar': 'Daydicated - Tageskalender',
+        'Track your days, rate your moments': 'Erfasse deine Tage, bewerte deine Momente',
+        'Loading...': 'Wird geladen...',
+        'Email address': 'E-Mail-Adresse',
+        'Password': 'Passwort',
+        'Login': 'Anmelden',
+        'Logout': 'Abmelden',
+        'Forgot password?': 'Passwort vergessen?',
+        'Create an account': 'Konto erstellen',
+        'Create Account': 'Konto erstellen',
+        'Repeat password': 'Passwort wiederholen',
+        'At least 6 characters.': 'Mindestens 6 Zeichen.',
+        "We'll email you a link to verify your address before you can log days.":
+            'Wir schicken dir einen Link zur Bestätigung deiner Adresse, bevor du Tage erfassen kannst.',
+        "Enter your account's email address and we'll send you a link to choose a new password.":
+            'Gib die E-Mail-Adresse deines Kontos ein. Wir schicken dir einen Link, mit dem du ein neues Passwort wählen kannst.',
+        'Send Reset Link': 'Link zum Zurücksetzen senden',
+        'Back to login': 'Zurück zur Anmeldung',
+        'Language': 'Sprache',
+        'Verify your email address to log days and see calendars shared with you. We sent a link to':
+            'Bestätige deine E-Mail-Adresse, um Tage zu erfassen und geteilte Kalender zu sehen. Wir haben einen Link geschickt an',
+        'Resend email': 'E-Mail erneut senden',
+        "I've verified": 'Ich habe bestätigt',
+
+        // Navbar and calendar
+        'Search notes': 'Notizen durchsuchen',
+        'Search notes...': 'Notizen durchsuchen...',
+        'Search scope': 'Suchbereich',
+        'This calendar': 'Dieser Kalender',
+        'All users': 'Alle Nutzer',
+        'Viewed year': 'Angezeigtes Jahr',
+        'All years': 'Alle Jahre',
+        'Select a user...': 'Nutzer auswählen...',
+        '{name} (You)': '{name} (Du)',
+        'Compare': 'Vergleichen',
+        'Calendar layout': 'Kalenderansicht',
+        'Year': 'Jahr',
+        'Year in pixels': 'Jahr in Pixeln',
+        'Month': 'Monat',
+        'Week': 'Woche',
+        'First day of the week': 'Erster Tag der Woche',
+        'Week starts on {day} (language default)': 'Woche beginnt am {day} (Standard der Sprache)',
+        'Week starts on {day}': 'Woche beginnt am {day}',
+        'Stats': 'Statistik',
+        'Import': 'Importieren',
+        'More': 'Mehr',
+        'Image': 'Bild',
+        'Sharing': 'Freigabe',
+        'Changes': 'Änderungen',
+        'Reminder': 'Erinnerung',
+        'Account': 'Konto',
+        'Export scope': 'Exportumfang',
+        'Previous year': 'Vorheriges Jahr',
+        'Next year': 'Nächstes Jahr',
+        'This year': 'Dieses Jahr',
+        'Previous': 'Zurück',
+        'Next': 'Weiter',
+        'Today': 'Heute',
+        '{year}, one square per day': '{year}, ein Feld pro Tag',
+        'In {year}': 'Im Jahr {year}',
+        ', rated {rating} of 5': ', bewertet mit {rating} von 5',
+        ', not logged': ', nicht erfasst',
+        '. Tags: {tags}': '. Tags: {tags}',
+        '. Waiting to sync': '. Wartet auf Synchronisierung',
+        '. Today': '. Heute',
+        '. Locked': '. Gesperrt',
+        '{date} is locked. {reason}': '{date} ist gesperrt. {reason}',
+        "Future days can't be logged yet.": 'Zukünftige Tage können noch nicht erfasst werden.',
+        'Days can only be edited on the day itself.': 'Tage können nur am selben Tag bearbeitet werden.',
+        'Days can only be edited for {count} day afterwards.': 'Tage können nur bis {count} Tag danach bearbeitet werden.',
+        'Days can only be edited for {count} days afterwards.': 'Tage können nur bis {count} Tage danach bearbeitet werden.',
+        'Waiting to sync': 'Wartet auf Synchronisierung',
+        'Your calendar': 'Dein Kalender',
+        "{name}'s calendar": 'Kalender von {name}',
+        'Member since {date}': 'Dabei seit {date}',
+        'The owner of this calendar keeps their ratings, tags, habits and notes private.':
+            'Die Person, der dieser Kalender gehört, hält Bewertungen, Tags, Gewohnheiten und Notizen privat.',
+        'The owner of this calendar keeps their ratings, tags and habits private.':
+            'Die Person, der dieser Kalender gehört, hält Bewertungen, Tags und Gewohnheiten privat.',
+        'The owner of this calendar keeps their notes private.':
+            'Die Person, der dieser Kalender gehört, hält Notizen privat.',
+        'Highlight:': 'Hervorheben:',
+        'Clear': 'Zurücksetzen',
+        'Remove tag {tag}': 'Tag {tag} entfernen',
+        'No matching notes': 'Keine passenden Notizen',
+
+        // Connection status
+        'Demo (not saved)': 'Demo (nicht gespeichert)',
+        'Local': 'Lokal',
+        'Offline': 'Offline',
+        '{count} pending': '{count} ausstehend',
+        'Syncing {count}…': 'Synchronisiere {count}…',
+        'Live': 'Live',
+        'Reconnecting…': 'Verbinde neu…',
+        'Stopped': 'Angehalten',
+        'This calendar stopped updating, for example because it is no longer shared with you.':
+            'Dieser Kalender wird nicht mehr aktualisiert, zum Beispiel weil er nicht mehr mit dir geteilt wird.',
+        'Reload': 'Neu laden',
+
+        // Edit modal
+        'Edit Entry': 'Eintrag bearbeiten',
+        'Date': 'Datum',
+        'Rating (1-5)': 'Bewertung (1-5)',
+        'Rating': 'Bewertung',
+        '😢 Poor': '😢 Schlecht',
+        '😐 Okay': '😐 Okay',
+        '😊 Great': '😊 Großartig',
+        'Note (optional)': 'Notiz (optional)',
+        'Max 50 characters': 'Höchstens 50 Zeichen',
+        'One word or short phrase...': 'Ein Wort oder eine kurze Phrase...',
+        'Tags (optional)': 'Tags (optional)',
+        'gym, travel, deadline...': 'Sport, Reise, Frist...',
+        'Press Enter or comma to add a tag': 'Enter oder Komma drücken, um einen Tag hinzuzufügen',
+        'History': 'Verlauf',
+        'Clear Day': 'Tag leeren',
+        'Cancel': 'Abbrechen',
+        'Save Entry': 'Eintrag speichern',
+        'Save': 'Speichern',
+        'Close': 'Schließen',
+        'Entry saved successfully!': 'Eintrag gespeichert!',
+        'Entry saved offline. It will sync when you reconnect.':
+            'Eintrag offline gespeichert. Er wird synchronisiert, sobald du wieder verbunden bist.',
+        'Failed to save entry: {reason}': 'Eintrag konnte nicht gespeichert werden: {reason}',
+        '{date} rated {rating} of 5.': '{date} mit {rating} von 5 bewertet.',
+        '{date} rated {rating} of 5 offline. It will sync when you reconnect.':
+            '{date} offline mit {rating} von 5 bewertet. Wird synchronisiert, sobald du wieder verbunden bist.',
+        'Clear the entry for {date}? Its rating and note will be removed.':
+            'Eintrag für {date} leeren? Bewertung und Notiz werden entfernt.',
+        'Entry for {date} cleared.': 'Eintrag für {date} geleert.',
+        'Undo': 'Rückgängig',
+        'Failed to clear entry: {reason}': 'Eintrag konnte nicht geleert werden: {reason}',
+        'Entry for {date} restored.': 'Eintrag für {date} wiederhergestellt.',
+        'Verify your email address before logging days': 'Bestätige deine E-Mail-Adresse, bevor du Tage erfasst',
+
+        // History and recent changes
+        'Recent Changes': 'Letzte Änderungen',
+        'Your latest edits across all days. Open a day to see its history and restore an earlier version.':
+            'Deine letzten Änderungen an allen Tagen. Öffne einen Tag, um seinen Verlauf zu sehen und eine frühere Version wiederherzustellen.',
+        'empty': 'leer',
+        'hidden': 'verborgen',
+        'No earlier versions': 'Keine früheren Versionen',
+        'replaced {time}': 'ersetzt {time}',
+        'Restore': 'Wiederherstellen',
+        'No changes yet': 'Noch keine Änderungen',
+        '{before} → cleared': '{before} → geleert',
+        'Logged {rating}': 'Erfasst: {rating}',
+        '{rating} · note, tags, habits or journal edited': '{rating} · Notiz, Tags, Gewohnheiten oder Tagebuch bearbeitet',
+        'Failed to load history: {reason}': 'Verlauf konnte nicht geladen werden: {reason}',
+        'Earlier version of {date} restored.': 'Frühere Version von {date} wiederhergestellt.',
+        'Failed to restore entry: {reason}': 'Eintrag konnte nicht wiederhergestellt werden: {reason}',
+        'Failed to load recent changes: {reason}': 'Letzte Änderungen konnten nicht geladen werden: {reason}',
+
+        // Journal
+        'Journal': 'Tagebuch',
+        'Journal (optional)': 'Tagebuch (optional)',
+        'Discard draft': 'Entwurf verwerfen',
+        'Preview': 'Vorschau',
+        '**bold**, *italic*, # heading, - list, > quote, [link](https://…)':
+            '**fett**, *kursiv*, # Überschrift, - Liste, > Zitat, [Link](https://…)',
+        'Back to entry': 'Zurück zum Eintrag',
+        'Nothing to preview yet.': 'Noch nichts für die Vorschau.',
+        '{count} word': '{count} Wort',
+        '{count} words': '{count} Wörter',
+        'Journal entry, {count} word': 'Tagebucheintrag, {count} Wort',
+        'Journal entry, {count} words': 'Tagebucheintrag, {count} Wörter',
+        '. Has a journal entry': '. Hat einen Tagebucheintrag',
+        'Write as much as you like; the note stays the preview in the calendar.':
+            'Schreib so viel du möchtest; die Notiz bleibt die Vorschau im Kalender.',
+        '{length}, unsaved draft kept on this device.': '{length}, ungespeicherter Entwurf auf diesem Gerät.',
+        'Draft saved on this device at {time}. Save the entry to keep it.':
+            'Entwurf um {time} auf diesem Gerät gesichert. Speichere den Eintrag, um ihn zu behalten.',
+        "Couldn't save a draft on this device.": 'Auf diesem Gerät konnte kein Entwurf gesichert werden.',
+        'Previous month': 'Vorheriger Monat',
+        'Next month': 'Nächster Monat',
+        'Previous day': 'Vorheriger Tag',
+        'Next day': 'Nächster Tag',
+        'Edit': 'Bearbeiten',
+        'Day {index} of {count}': 'Tag {index} von {count}',
+        'No journal entries in {month}.': 'Keine Tagebucheinträge im {month}.',
+        'Failed to load the journal: {reason}': 'Tagebuch konnte nicht geladen werden: {reason}',
+
+        // Habits
+        'Habits': 'Gewohnheiten',
+        'Habits done': 'Erledigte Gewohnheiten',
+        'Habits you want to keep up. Check them off when you edit a day; they show as dots in the calendar. Removing a habit keeps the days it was done.':
+            'Gewohnheiten, die du beibehalten willst. Hake sie beim Bearbeiten eines Tages ab; im Kalender erscheinen sie als Punkte. Wenn du eine Gewohnheit entfernst, bleiben die Tage erhalten, an denen du sie erledigt hast.',
+        'New habit': 'Neue Gewohnheit',
+        'Exercise, reading, no alcohol...': 'Sport, Lesen, kein Alkohol...',
+        'Add': 'Hinzufügen',
+        'Up to 12 habits': 'Bis zu 12 Gewohnheiten',
+        'No habits yet. Add the first one below.': 'Noch keine Gewohnheiten. Füge unten die erste hinzu.',
+        'Remove habit {habit}': 'Gewohnheit {habit} entfernen',
+        '. Habits done: {habits}': '. Erledigte Gewohnheiten: {habits}',
+        'Habits saved.': 'Gewohnheiten gespeichert.',
+        'Failed to save habits: {reason}': 'Gewohnheiten konnten nicht gespeichert werden: {reason}',
+        'Not done this year yet': 'Dieses Jahr noch nicht erledigt',
+        '{done} of {count} day': 'an {done} von {count} Tag',
+        '{done} of {count} days': 'an {done} von {count} Tagen',
+        'streak {current}, longest {longest}': 'Serie {current}, längste {longest}',
+        'avg rating {done} when done vs {notDone} when not': 'Ø Bewertung {done} mit, {notDone} ohne',
+
+        // Groups
+        'Groups': 'Gruppen',
+        'Group': 'Gruppe',
+        "A group calendar shows each day's mean or median rating across the members, for a team's mood at a glance. It only includes members who share their ratings with you.":
+            'Ein Gruppenkalender zeigt für jeden Tag den Mittelwert oder Median der Bewertungen aller Mitglieder, so siehst du die Stimmung eines Teams auf einen Blick. Er berücksichtigt nur Mitglieder, die ihre Bewertungen mit dir teilen.',
+        'New group': 'Neue Gruppe',
+        'Platform team': 'Plattform-Team',
+        'Create': 'Erstellen',
+        'Rating of the day': 'Bewertung des Tages',
+        'Mean': 'Mittelwert',
+        'Median': 'Median',
+        'mean': 'Mittelwert',
+        'median': 'Median',
+        'Exit group view': 'Gruppenansicht verlassen',
+        'Export group': 'Gruppe exportieren',
+        'Everyone': 'Alle',
+        'Group: {name}': 'Gruppe: {name}',
+        'You are not in any group yet. Create one below.': 'Du bist noch in keiner Gruppe. Erstelle unten eine.',
+        "{owner} invited you to this group. Members see each other's ratings in the group calendar only if they share them.":
+            '{owner} hat dich in diese Gruppe eingeladen. Mitglieder sehen die Bewertungen der anderen im Gruppenkalender nur, wenn diese sie teilen.',
+        'Join': 'Beitreten',
+        'Decline': 'Ablehnen',
+        'View calendar': 'Kalender ansehen',
+        'Delete': 'Löschen',
+        'Leave': 'Verlassen',
+        'owner': 'Besitzer',
+        'invited': 'eingeladen',
+        'Remove {name}': '{name} entfernen',
+        'Person to invite': 'Einzuladende Person',
+        'Invite': 'Einladen',
+        'Enter a name for the group': 'Gib einen Namen für die Gruppe ein',
+        'Only the owner of a group can invite people': 'Nur der Besitzer einer Gruppe kann Leute einladen',
+        'A group can have at most {max} members': 'Eine Gruppe kann höchstens {max} Mitglieder haben',
+        'Only the owner of a group can remove people': 'Nur der Besitzer einer Gruppe kann Leute entfernen',
+        "The owner can't be removed; delete the group instead": 'Der Besitzer kann nicht entfernt werden; lösche stattdessen die Gruppe',
+        'This invitation is no longer open': 'Diese Einladung gilt nicht mehr',
+        "The owner can't leave a group; delete it instead": 'Der Besitzer kann eine Gruppe nicht verlassen; lösche sie stattdessen',
+        'Only the owner of a group can delete it': 'Nur der Besitzer einer Gruppe kann sie löschen',
+        'Last 7 days': 'Letzte 7 Tage',
+        '{count} day rated': '{count} Tag bewertet',
+        '{count} days rated': '{count} Tage bewertet',
+        'Year average': 'Jahresdurchschnitt',
+        '{method} rating per day': '{method} der Bewertungen pro Tag',
+        'Participation': 'Beteiligung',
+        'average over {count} rated day': 'Durchschnitt über {count} bewerteten Tag',
+        'average over {count} rated days': 'Durchschnitt über {count} bewertete Tage',
+        'Sharing ratings': 'Teilen Bewertungen',
+        'members whose ratings you can see': 'Mitglieder, deren Bewertungen du sehen kannst',
+        'Color: {method} rating of the day · small number: members who rated it':
+            'Farbe: {method} der Bewertungen des Tages · kleine Zahl: Mitglieder, die ihn bewertet haben',
+        'Not included (ratings not shared with you): {names}': 'Nicht berücksichtigt (Bewertungen nicht mit dir geteilt): {names}',
+        '{value} from {count} of {total} members': '{value} von {count} der {total} Mitglieder',
+        'Failed to load groups: {reason}': 'Gruppen konnten nicht geladen werden: {reason}',
+        'Invited {name} to {group}.': '{name} wurde in {group} eingeladen.',
+        'You joined {group}.': 'Du bist {group} beigetreten.',
+        'Leave {group}? You can only join again if the owner invites you.':
+            '{group} verlassen? Du kannst nur wieder beitreten, wenn der Besitzer dich einlädt.',
+        'You left {group}.': 'Du hast {group} verlassen.',
+        'Delete {group}? Its members keep their own calendars.': '{group} löschen? Die Mitglieder behalten ihre eigenen Kalender.',
+        'Group deleted.': 'Gruppe gelöscht.',
+        'Failed to update the group: {reason}': 'Die Gruppe konnte nicht geändert werden: {reason}',
+        'Group created. Invite people to it above.': 'Gruppe erstellt. Lade oben Leute in sie ein.',
+        'Failed to load the group calendar: {reason}': 'Der Gruppenkalender konnte nicht geladen werden: {reason}',
+
+        // Bulk edit
+        'Set rating': 'Bewertung setzen',
+        'Append to note': 'An Notiz anhängen',
+        'Replace note': 'Notiz ersetzen',
+        'Clear days': 'Tage leeren',
+        'Note text': 'Notiztext',
+        'Apply': 'Anwenden',
+        'Deselect': 'Auswahl aufheben',
+        '1 day selected ({date})': '1 Tag ausgewählt ({date})',
+        '{count} days selected ({from} – {to})': '{count} Tage ausgewählt ({from} – {to})',
+        'Nothing to change on the selected days.': 'An den ausgewählten Tagen gibt es nichts zu ändern.',
+        'Clear {count} logged day? Its rating and note will be removed.':
+            '{count} erfassten Tag leeren? Bewertung und Notiz werden entfernt.',
+        'Clear {count} logged days? Their ratings and notes will be removed.':
+            '{count} erfasste Tage leeren? Bewertungen und Notizen werden entfernt.',
+        'It will sync when you reconnect.': 'Wird synchronisiert, sobald du wieder verbunden bist.',
+        'Failed to update the selected days: {reason}': 'Die ausgewählten Tage konnten nicht geändert werden: {reason}',
+        'Restored {count} day.': '{count} Tag wiederhergestellt.',
+        'Restored {count} days.': '{count} Tage wiederhergestellt.',
+        'Failed to undo: {reason}': 'Rückgängig machen fehlgeschlagen: {reason}',
+        'Select at most {max} days at once': 'Wähle höchstens {max} Tage auf einmal aus',
+        'Choose a rating from 1 to 5': 'Wähle eine Bewertung von 1 bis 5',
+        'Enter the text to append': 'Gib den anzuhängenden Text ein',
+        'Notes are limited to {max} characters; the note would get too long on {date}':
+            'Notizen sind auf {max} Zeichen begrenzt; die Notiz am {date} würde zu lang',
+        'Notes are limited to {max} characters; the note would get too long on {count} days':
+            'Notizen sind auf {max} Zeichen begrenzt; die Notiz würde an {count} Tagen zu lang',
+        'Rated {count} day.': '{count} Tag bewertet.',
+        'Rated {count} days.': '{count} Tage bewertet.',
+        'Added to the note of {count} day.': 'Notiz von {count} Tag ergänzt.',
+        'Added to the note of {count} days.': 'Notizen von {count} Tagen ergänzt.',
+        'Replaced the note of {count} day.': 'Notiz von {count} Tag ersetzt.',
+        'Replaced the note of {count} days.': 'Notizen von {count} Tagen ersetzt.',
+        'Cleared {count} day.': '{count} Tag geleert.',
+        'Cleared {count} days.': '{count} Tage geleert.',
+        '{count} day left unchanged.': '{count} Tag unverändert.',
+        '{count} days left unchanged.': '{count} Tage unverändert.',
+        '{count} day left unchanged (empty days or nothing to change).':
+            '{count} Tag unverändert (leere Tage oder nichts zu ändern).',
+        '{count} days left unchanged (empty days or nothing to change).':
+            '{count} Tage unverändert (leere Tage oder nichts zu ändern).',
+        '{count} locked day left out.': '{count} gesperrter Tag ausgelassen.',
+        '{count} locked days left out.': '{count} gesperrte Tage ausgelassen.',
+        'Nothing to change on the selected days ({count} is locked).':
+            'An den ausgewählten Tagen gibt es nichts zu ändern ({count} ist gesperrt).',
+        'Nothing to change on the selected days ({count} are locked).':
+            'An den ausgewählten Tagen gibt es nichts zu ändern ({count} sind gesperrt).',
+
+        // Loading calendars
+        'Failed to load calendar: {reason}': 'Kalender konnte nicht geladen werden: {reason}',
+        'Failed to load calendar data': 'Kalenderdaten konnten nicht geladen werden',
+        'Failed to load {year}: {reason}': '{year} konnte nicht geladen werden: {reason}',
+        'Failed to open {date}: {reason}': '{date} konnte nicht geöffnet werden: {reason}',
+        'Year must be between {min} and {max}': 'Das Jahr muss zwischen {min} und {max} liegen',
+        'This calendar is private': 'Dieser Kalender ist privat',
+        'Your offline change to {date} was older than a change made on another device, so the newer one was kept.':
+            'Deine Offline-Änderung an {date} war älter als eine Änderung auf einem anderen Gerät, daher wurde die neuere behalten.',
+        'Could not remember the layout: {reason}': 'Die Ansicht konnte nicht gespeichert werden: {reason}',
+        'Could not remember the language: {reason}': 'Die Sprache konnte nicht gespeichert werden: {reason}',
+        'Could not remember the week start: {reason}': 'Der Wochenbeginn konnte nicht gespeichert werden: {reason}',
+        'Could not update your account settings. Sharing may not work until you log in again.':
+            'Deine Kontoeinstellungen konnten nicht aktualisiert werden. Die Freigabe funktioniert eventuell erst nach der nächsten Anmeldung.',
+        'Search failed: {reason}': 'Suche fehlgeschlagen: {reason}',
+
+        // Statistics
+        'Statistics {year}': 'Statistik {year}',
+        'No entries logged this year yet.': 'In diesem Jahr wurden noch keine Einträge erfasst.',
+        'Average rating': 'Durchschnittliche Bewertung',
+        'Logged days': 'Erfasste Tage',
+        '{count} unlogged': '{count} nicht erfasst',
+        'Best month': 'Bester Monat',
+        'Worst month': 'Schlechtester Monat',
+        'avg {average}': 'Ø {average}',
+        'Logging streak': 'Erfassungsserie',
+        'Good-day streak': 'Serie guter Tage',
+        'longest {count}': 'längste {count}',
+        'Rating distribution': 'Verteilung der Bewertungen',
+        'Average by month': 'Durchschnitt pro Monat',
+
+        // Comparison
+        'First user': 'Erste Person',
+        'Second user': 'Zweite Person',
+        'with': 'mit',
+        'Comparison layout': 'Vergleichsansicht',
+        'Side by side': 'Nebeneinander',
+        'Overlay': 'Überlagert',
+        'Exit comparison': 'Vergleich beenden',
+        'Nobody else shares a calendar with you yet.': 'Noch niemand teilt einen Kalender mit dir.',
+        'Failed to compare calendars: {reason}': 'Kalender konnten nicht verglichen werden: {reason}',
+        'Days both rated': 'Von beiden bewertete Tage',
+        'Average difference': 'Durchschnittlicher Unterschied',
+        '{a} − {b}, ±{difference} per day': '{a} − {b}, ±{difference} pro Tag',
+        'Both had a good day': 'Beide hatten einen guten Tag',
+        '{count} day rated {rating}+ by both': '{count} Tag von beiden mit {rating}+ bewertet',
+        '{count} days rated {rating}+ by both': '{count} Tage von beiden mit {rating}+ bewertet',
+        'Correlation': 'Korrelation',
+        'not enough data': 'zu wenige Daten',
+        'no clear link': 'kein klarer Zusammenhang',
+        'weakly move together': 'schwach gleichläufig',
+        'strongly move together': 'stark gleichläufig',
+        'weakly move oppositely': 'schwach gegenläufig',
+        'strongly move oppositely': 'stark gegenläufig',
+        'No days rated by both users this year.': 'In diesem Jahr gibt es keine von beiden bewerteten Tage.',
+        'Left half: {a} · right half: {b} · number: difference':
+            'Linke Hälfte: {a} · rechte Hälfte: {b} · Zahl: Unterschied',
+
+        // Export
+        'Export Calendar or Journal': 'Kalender oder Tagebuch exportieren',
+        'Whose entries': 'Wessen Einträge',
+        'From': 'Von',
+        'To': 'Bis',
+        'Calendar (.ics) or Markdown journal': 'Kalender (.ics) oder Markdown-Tagebuch',
+        'iCalendar adds one all-day event per logged day to calendar apps. Markdown writes a readable journal grouped by month.':
+            'iCalendar fügt Kalender-Apps einen ganztägigen Termin pro erfasstem Tag hinzu. Markdown schreibt ein lesbares Tagebuch, nach Monaten gegliedert.',
+        'Markdown journal': 'Markdown-Tagebuch',
+        'Export Year Image': 'Jahresbild exportieren',
+        'Year in pixels image': 'Bild „Jahr in Pixeln“',
+        'Title': 'Titel',
+        'Background': 'Hintergrund',
+        'Light': 'Hell',
+        'Dark': 'Dunkel',
+        'Show note initials in each day': 'Anfangsbuchstaben der Notiz in jedem Tag zeigen',
+        '{name} — {year} in pixels': '{name} — {year} in Pixeln',
+        'CSV exported successfully!': 'CSV exportiert!',
+        'CSV exported from the offline cache (only entries viewed before going offline).':
+            'CSV aus dem Offline-Speicher exportiert (nur Einträge, die vor dem Offline-Gehen angezeigt wurden).',
+        'JSON exported successfully!': 'JSON exportiert!',
+        'JSON exported from the offline cache (only entries viewed before going offline).':
+            'JSON aus dem Offline-Speicher exportiert (nur Einträge, die vor dem Offline-Gehen angezeigt wurden).',
+        '{format} exported with {count} day.': '{format} mit {count} Tag exportiert.',
+        '{format} exported with {count} days.': '{format} mit {count} Tagen exportiert.',
+        '{format} image exported successfully!': '{format}-Bild exportiert!',
+        'Export failed: {reason}': 'Export fehlgeschlagen: {reason}',
+        'Failed to prepare image: {reason}': 'Bild konnte nicht vorbereitet werden: {reason}',
+        'Choose a start and end date': 'Wähle ein Start- und ein Enddatum',
+        'The start date must not be after the end date': 'Das Startdatum darf nicht nach dem Enddatum liegen',
+        'Could not draw the PNG image': 'Das PNG-Bild konnte nicht gezeichnet werden',
+
+        // Import
+        'Import Entries': 'Einträge importieren',
+        'CSV or JSON file': 'CSV- oder JSON-Datei',
+        'Columns: date, rating, note, tags (userId and tags optional). Entries are imported into your own calendar only.':
+            'Spalten: date, rating, note, tags (userId und tags optional). Einträge werden nur in deinen eigenen Kalender importiert.',
+        'When a day already has a different entry': 'Wenn ein Tag bereits einen anderen Eintrag hat',
+        'Skip it (keep my entry)': 'Überspringen (meinen Eintrag behalten)',
+        'Overwrite it with the imported entry': 'Mit dem importierten Eintrag überschreiben',
+        'Keep the higher rating': 'Die höhere Bewertung behalten',
+        'New': 'Neu',
+        'Changed': 'Geändert',
+        'Conflict': 'Konflikt',
+        'Unchanged': 'Unverändert',
+        '{count} new': '{count} neu',
+        '{count} changed': '{count} geändert',
+        '{count} conflict': '{count} Konflikt',
+        '{count} unchanged': '{count} unverändert',
+        '{count} invalid': '{count} ungültig',
+        '{count} of {total} days will be written to your calendar.':
+            '{count} von {total} Tagen werden in deinen Kalender geschrieben.',
+        '{count} row belongs to another user and will be ignored.':
+            '{count} Zeile gehört einer anderen Person und wird ignoriert.',
+        '{count} rows belong to other users and will be ignored.':
+            '{count} Zeilen gehören anderen Personen und werden ignoriert.',
+        'Row {line}: {message}': 'Zeile {line}: {message}',
+        'Status': 'Status',
+        'Current': 'Aktuell',
+        'Imported': 'Importiert',
+        'Action': 'Aktion',
+        'Write': 'Schreiben',
+        'Skip': 'Überspringen',
+        'Invalid JSON: {reason}': 'Ungültiges JSON: {reason}',
+        'JSON must be an array of entries': 'JSON muss eine Liste von Einträgen sein',
+        'Invalid date "{date}"': 'Ungültiges Datum „{date}“',
+        'Invalid rating "{rating}" for {date}': 'Ungültige Bewertung „{rating}“ für {date}',
+        'Note for {date} is longer than {max} characters': 'Die Notiz für {date} ist länger als {max} Zeichen',
+        'Journal for {date} is longer than {max} characters': 'Das Tagebuch für {date} ist länger als {max} Zeichen',
+        'Duplicate date {date}': 'Doppeltes Datum {date}',
+        'Could not read file: {reason}': 'Datei konnte nicht gelesen werden: {reason}',
+        'Imported {written} entries ({skipped} skipped).': '{written} Einträge importiert ({skipped} übersprungen).',
+        'Import failed: {reason}': 'Import fehlgeschlagen: {reason}',
+        'Import failed after {count} entry was saved: {reason}':
+            'Import fehlgeschlagen, nachdem {count} Eintrag gespeichert wurde: {reason}',
+        'Import failed after {count} entries were saved: {reason}':
+            'Import fehlgeschlagen, nachdem {count} Einträge gespeichert wurden: {reason}',
+
+        // Sharing
+        'Who can see my calendar': 'Wer meinen Kalender sehen kann',
+        'Only me': 'Nur ich',
+        'Specific people': 'Bestimmte Personen',
+        'Everyone with an account': 'Alle mit einem Konto',
+        'What they can see': 'Was sie sehen können',
+        'Ratings, tags & habits': 'Bewertungen, Tags & Gewohnheiten',
+        'Notes & journal': 'Notizen & Tagebuch',
+        'Nobody else uses Daydicated yet.': 'Noch niemand sonst nutzt Daydicated.',
+        'Could not load sharing settings: {reason}': 'Freigabeeinstellungen konnten nicht geladen werden: {reason}',
+        'Sharing settings saved.': 'Freigabeeinstellungen gespeichert.',
+        'Failed to save sharing settings: {reason}': 'Freigabeeinstellungen konnten nicht gespeichert werden: {reason}',
+
+        // Reminder
+        'Daily Reminder': 'Tägliche Erinnerung',
+        "Remind me when I haven't rated the day": 'Erinnere mich, wenn ich den Tag noch nicht bewertet habe',
+        'At': 'Um',
+        "You haven't rated today yet. How was your day?": 'Du hast heute noch nicht bewertet. Wie war dein Tag?',
+        "This browser can't show notifications.": 'Dieser Browser kann keine Benachrichtigungen anzeigen.',
+        'Notifications are blocked for this site. Allow them in your browser settings to get reminders.':
+            'Benachrichtigungen sind für diese Seite blockiert. Erlaube sie in den Browsereinstellungen, um Erinnerungen zu erhalten.',
+        'Reminders appear while Daydicated is open in a tab or installed as an app. Your browser asks for permission when you turn them on.':
+            'Erinnerungen erscheinen, solange Daydicated in einem Tab geöffnet oder als App installiert ist. Dein Browser fragt beim Einschalten nach der Erlaubnis.',
+        'Reminders need permission to show notifications.': 'Erinnerungen brauchen die Erlaubnis, Benachrichtigungen anzuzeigen.',
+        'Daily reminder set for {time}.': 'Tägliche Erinnerung um {time} eingestellt.',
+        'Daily reminder turned off.': 'Tägliche Erinnerung ausgeschaltet.',
+        'Failed to save reminder: {reason}': 'Erinnerung konnte nicht gespeichert werden: {reason}',
+
+        // Account
+        'Editing': 'Bearbeiten',
+        'Past days can be edited': 'Vergangene Tage können bearbeitet werden',
+        'Any time': 'Jederzeit',
+        'Only on the day itself': 'Nur am selben Tag',
+        'Up to 1 day later': 'Bis 1 Tag danach',
+        'Up to 3 days later': 'Bis 3 Tage danach',
+        'Up to 7 days later': 'Bis 7 Tage danach',
+        'Up to 14 days later': 'Bis 14 Tage danach',
+        'Up to 30 days later': 'Bis 30 Tage danach',
+        'Older days are locked on every device, so your log stays as you wrote it at the time. Future days can never be logged.':
+            'Ältere Tage sind auf allen Geräten gesperrt, damit dein Tagebuch so bleibt, wie du es damals geschrieben hast. Zukünftige Tage können nie erfasst werden.',
+        'Edit window saved.': 'Bearbeitungszeitraum gespeichert.',
+        'Failed to save the edit window: {reason}': 'Bearbeitungszeitraum konnte nicht gespeichert werden: {reason}',
+        'Change password': 'Passwort ändern',
+        'Change Password': 'Passwort ändern',
+        'Current password': 'Aktuelles Passwort',
+        'New password': 'Neues Passwort',
+        'Repeat new password': 'Neues Passwort wiederholen',
+        'Change email address': 'E-Mail-Adresse ändern',
+        'Change Email': 'E-Mail ändern',
+        'New email address': 'Neue E-Mail-Adresse',
+        "We'll send a confirmation link to the new address. Your email changes once you click it.":
+            'Wir schicken einen Bestätigungslink an die neue Adresse. Deine E-Mail-Adresse ändert sich, sobald du ihn anklickst.',
+        'Login failed: {reason}': 'Anmeldung fehlgeschlagen: {reason}',
+        'The passwords do not match.': 'Die Passwörter stimmen nicht überein.',
+        'Account created. We sent a verification link to {email}.':
+            'Konto erstellt. Wir haben einen Bestätigungslink an {email} geschickt.',
+        'Sign-up failed: {reason}': 'Registrierung fehlgeschlagen: {reason}',
+        'If {email} has an account, a link to reset its password is on its way.':
+            'Falls es für {email} ein Konto gibt, ist ein Link zum Zurücksetzen des Passworts unterwegs.',
+        'Password reset failed: {reason}': 'Zurücksetzen des Passworts fehlgeschlagen: {reason}',
+        'Verification link sent to {email}.': 'Bestätigungslink an {email} geschickt.',
+        'Could not send the email: {reason}': 'Die E-Mail konnte nicht gesendet werden: {reason}',
+        'Your email address is not verified yet. Click the link in the email we sent, then try again.':
+            'Deine E-Mail-Adresse ist noch nicht bestätigt. Klicke auf den Link in unserer E-Mail und versuche es dann erneut.',
+        'Email address verified. Happy logging!': 'E-Mail-Adresse bestätigt. Viel Spaß beim Erfassen!',
+        'Could not check verification: {reason}': 'Bestätigung konnte nicht geprüft werden: {reason}',
+        'The new passwords do not match.': 'Die neuen Passwörter stimmen nicht überein.',
+        'Password changed.': 'Passwort geändert.',
+        'Password change failed: {reason}': 'Passwortänderung fehlgeschlagen: {reason}',
+        'We sent a confirmation link to {email}. Your email address changes once you click it.':
+            'Wir haben einen Bestätigungslink an {email} geschickt. Deine E-Mail-Adresse ändert sich, sobald du ihn anklickst.',
+        'Email change failed: {reason}': 'Änderung der E-Mail-Adresse fehlgeschlagen: {reason}',
+        'Logout failed: {reason}': 'Abmeldung fehlgeschlagen: {reason}',
+        'Something went wrong ({code}). Please try again.': 'Etwas ist schiefgelaufen ({code}). Bitte versuche es erneut.',
+        'That email address is not valid.': 'Diese E-Mail-Adresse ist ungültig.',
+        'Enter your email address.': 'Gib deine E-Mail-Adresse ein.',
+        'Enter your password.': 'Gib dein Passwort ein.',
+        'Wrong email address or password.': 'Falsche E-Mail-Adresse oder falsches Passwort.',
+        'Wrong password.': 'Falsches Passwort.',
+        'There is no account with that email address.': 'Mit dieser E-Mail-Adresse gibt es kein Konto.',
+        'This account has been disabled. Ask your administrator to enable it.':
+            'Dieses Konto wurde deaktiviert. Bitte deine Administration, es wieder zu aktivieren.',
+        'That password belongs to a different account.': 'Dieses Passwort gehört zu einem anderen Konto.',
+        'An account with that email address already exists. Log in or reset its password.':
+            'Mit dieser E-Mail-Adresse gibt es bereits ein Konto. Melde dich an oder setze das Passwort zurück.',
+        'Choose a password with at least {count} characters.': 'Wähle ein Passwort mit mindestens {count} Zeichen.',
+        'For your security, log out and log in again before changing this.':
+            'Melde dich zu deiner Sicherheit ab und wieder an, bevor du das änderst.',
+        'Too many attempts. Wait a few minutes and try again.':
+            'Zu viele Versuche. Warte ein paar Minuten und versuche es erneut.',
+        "Can't reach the server. Check your connection and try again.":
+            'Der Server ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.',
+        'Email/password accounts are not enabled for this app. Ask your administrator.':
+            'Konten mit E-Mail und Passwort sind für diese App nicht aktiviert. Frag deine Administration.',
+        'New accounts are created by your administrator.': 'Neue Konten werden von deiner Administration angelegt.',
+        'Verify your email address first.': 'Bestätige zuerst deine E-Mail-Adresse.'
+    }
+};